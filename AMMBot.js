@@ -1,24 +1,30 @@
 import { ethers } from "ethers";
 import dotenv from "dotenv";
-import axios from "axios";
 import { createRequire } from "module";
 import { TOKENS, COINGECKO_IDS } from "./constants.js";
+import { connectNetwork, requireAddress } from "./network.js";
+import { createOrderIndexer, isOpen } from "./orderIndexer.js";
+import { createTxManager } from "./txManager.js";
+import express from "express";
+import { createTokenRegistry, toRaw, toHuman, parsePrice, priceToNumber } from "./tokenRegistry.js";
+import { createOracleFromEnv } from "./oracle.js";
+import { STRATEGIES, createMarketMaker, loadStrategyConfig, priceAlignment, quoteOrderArgs } from "./marketMaker.js";
+import { createRiskManager, riskLimitsFromEnv } from "./risk.js";
+import { createBotMetrics, instrumentProvider, instrumentTxManager, updateBalances } from "./metrics.js";
 
 dotenv.config();
 const require = createRequire(import.meta.url);
 
-const { RPC_URL, PRIVATE_KEY } = process.env;
-const EXECUTOR_ADDR = "0x59AEeACD225bD2b2B178B2cDa53D6c6759bB2966";
-const ROUTER_ADDR = "0x81Ba02Ca510a58560D183F0F5eE42E47D1846245";
-const FACTORY_ADDR = "0x339A0Da8ffC7a6fc98Bf2FC53a17dEEf36F0D9c3";
-const FEE = 500;
+const { PRIVATE_KEY, METRICS_PORT, MM_STRATEGY = "ladder" } = process.env;
+if (!STRATEGIES[MM_STRATEGY]) throw new Error(`Unknown MM_STRATEGY "${MM_STRATEGY}" (have: ${Object.keys(STRATEGIES).join(", ")})`);
+const { profile: network, provider } = await connectNetwork();
+const EXECUTOR_ADDR = requireAddress(network, "executor");
 const DUMMY_AMOUNT = 0.0001;
 
 const ERC20_ABI = [
     "function approve(address,uint256)",
     "function allowance(address,address) view returns (uint256)",
-    "function balanceOf(address) view returns (uint256)",
-    "function decimals() view returns (uint8)"
+    "function balanceOf(address) view returns (uint256)"
 ];
 
 const LIMIT_ORDER_ABI = [
@@ -26,52 +32,105 @@ const LIMIT_ORDER_ABI = [
     "function getLastExecutedPrice(address tokenA, address tokenB) view returns (uint256 price1e18, uint256 blockNum, uint256 buyOrderId, uint256 sellOrderId)"
 ];
 
-const ROUTER_ABI = ["function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) payable returns (uint256 amountOut)"];
-const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
-const POOL_ABI = [
-    "function slot0() view returns (uint160,int24,uint16,uint16,uint16,uint8,bool)",
-    "function liquidity() view returns (uint128)"
-];
-
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+const metrics = createBotMetrics("ammbot");
+instrumentProvider(provider, metrics);
 const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 const contracts = {
-    executor: new ethers.Contract(EXECUTOR_ADDR, LIMIT_ORDER_ABI, wallet),
-    router: new ethers.Contract(ROUTER_ADDR, ROUTER_ABI, wallet),
-    factory: new ethers.Contract(FACTORY_ADDR, FACTORY_ABI, wallet)
+    executor: new ethers.Contract(EXECUTOR_ADDR, LIMIT_ORDER_ABI, wallet)
 };
+const tokens = createTokenRegistry({ provider, network });
+const oracle = createOracleFromEnv({ provider, network, registry: tokens, executor: contracts.executor, coingeckoIds: COINGECKO_IDS });
+const indexer = createOrderIndexer({ executor: contracts.executor, provider, name: "orders-ammbot" });
+const txManager = createTxManager({ wallet, name: "tx-ammbot" });
+instrumentTxManager(txManager, metrics);
+const risk = createRiskManager({ limits: riskLimitsFromEnv(), name: "risk-ammbot" });
+if (process.env.RISK_RESET === "true") {
+    console.log("♻️ Circuit breaker reset (RISK_RESET)");
+    risk.reset();
+}
+
+const SYMBOL_BY_ADDR = Object.fromEntries(Object.entries(TOKENS).map(([s, a]) => [a.toLowerCase(), s]));
+// Last oracle price per symbol, what every order is checked against
+const oraclePrices = new Map();
+// Orders we placed that the indexer hasn't picked up yet still count towards the limits
+const recentOrders = new Map();
 
 let isRunning = false;
 
-async function sendTx(txPromise, desc = "Tx", gasLimit = 500000) {
+async function sendTx(contract, method, args, desc = "Tx") {
     try {
         console.log(`⏳ Sending: ${desc}...`);
-        const tx = await txPromise;
-        const response = await tx.wait();
+        const handle = await txManager.send(contract, method, args, { desc });
+        const response = await handle.wait();
         console.log(`✅ Confirmed: ${desc} (Hash: ${response.hash.slice(0, 10)}...)`);
         return response;
     } catch (e) {
         console.error(`❌ Failed [${desc}]:`, e.shortMessage || e.message);
+        risk.recordTxFailure(desc);
         return null;
     }
 }
 
-async function getOpts(gasLimit = 800000) {
-    const fee = await provider.getFeeData();
-    return { gasLimit, maxFeePerGas: fee.maxFeePerGas, maxPriorityFeePerGas: fee.maxPriorityFeePerGas };
+// Every order goes through the risk limits first; a refused order is logged and skipped like a failed one
+async function placeOrder(args, desc, symbol, side) {
+    const [tokenIn, , amountIn, amountOutMin, price1e18] = args;
+    const buy = tokenIn.toLowerCase() === TOKENS.USDT.toLowerCase();
+    const [decIn, decU, balanceIn] = await Promise.all([getDecimals(tokenIn), getDecimals(TOKENS.USDT), getBalance(tokenIn)]);
+    const exposure = {
+        symbol,
+        pair: `${symbol}/USDT`,
+        notional: Number(toHuman(buy ? amountIn : amountOutMin, decU))
+    };
+
+    let ticket;
+    try {
+        ticket = risk.admit({
+            ...exposure,
+            tokenInSymbol: buy ? "USDT" : symbol,
+            amountIn: Number(toHuman(amountIn, decIn)),
+            balanceIn: Number(toHuman(balanceIn, decIn)),
+            price: priceToNumber(price1e18),
+            oraclePrice: oraclePrices.get(symbol)
+        }, ownOpenOrders());
+    } catch (e) {
+        console.log(`   🚫 ${desc}: ${e.message}`);
+        metrics.riskRejections.inc({ token: symbol });
+        return null;
+    }
+
+    try {
+        const receipt = await sendTx(contracts.executor, "depositAndCreateOrder", args, desc);
+        if (receipt) {
+            metrics.ordersPlaced.inc({ token: symbol, side });
+            const id = createdOrderId(receipt);
+            if (id !== null) recentOrders.set(id, exposure);
+        }
+        return receipt;
+    } finally {
+        ticket.release();
+    }
 }
 
+// No fallback: an order sized with guessed decimals can be off by orders of magnitude
 async function getDecimals(addr) {
-    try { return Number(await new ethers.Contract(addr, ERC20_ABI, provider).decimals()); }
-    catch { return 18; }
+    return (await tokens.resolve(addr)).decimals;
 }
 
+// Quotes are placed in parallel; they share one approval per token instead of racing their own
+const approving = new Map();
+
 async function approve(token, spender, amount) {
+    const key = `${token}:${spender}`;
+    if (approving.has(key)) return approving.get(key);
     const c = new ethers.Contract(token, ERC20_ABI, wallet);
-    if ((await c.allowance(wallet.address, spender)) < amount) {
-        console.log(`🔓 Approving ${token}...`);
-        await sendTx(c.approve(spender, ethers.MaxUint256, await getOpts(100000)), `Approve ${token}`);
-    }
+    const pending = (async () => {
+        if ((await c.allowance(wallet.address, spender)) < amount) {
+            console.log(`🔓 Approving ${token}...`);
+            await sendTx(c, "approve", [spender, ethers.MaxUint256], `Approve ${token}`);
+        }
+    })().finally(() => approving.delete(key));
+    approving.set(key, pending);
+    return pending;
 }
 
 async function getBalance(token) {
@@ -79,98 +138,158 @@ async function getBalance(token) {
     return await c.balanceOf(wallet.address);
 }
 
-async function scanFullDepth(token) {
-    const nextId = Number(await contracts.executor.nextOrderId());
-    const BATCH_SIZE = 50;
-
+function scanFullDepth(token) {
     let buys = 0;
     let sells = 0;
 
     const uAddr = TOKENS.USDT.toLowerCase();
     const tAddr = token.toLowerCase();
 
-    for (let i = nextId - 1; i >= 1; i -= BATCH_SIZE) {
-        const batch = [];
-        for (let j = 0; j < BATCH_SIZE; j++) {
-            const id = i - j;
-            if (id < 1) break;
-            batch.push(contracts.executor.getOrder(id).catch(() => null));
-        }
-
-        const results = await Promise.all(batch);
+    for (const o of indexer.getOpenOrders()) {
+        if (o.tokenIn === uAddr && o.tokenOut === tAddr) buys++;
+        if (o.tokenIn === tAddr && o.tokenOut === uAddr) sells++;
+    }
 
-        for (const o of results) {
-            const amountIn = o ? (o.amountIn || o[5]) : 0n;
-            if (!o || o.filled || o.cancelled || amountIn === 0n) continue;
+    return { buys, sells };
+}
 
-            const rawIn = o.tokenIn || o[2];
-            const rawOut = o.tokenOut || o[3];
-            if (!rawIn || !rawOut) continue;
+// Our open orders as the risk limits see them: { id, symbol, pair, notional (USDT) }
+function ownOpenOrders() {
+    const me = wallet.address.toLowerCase();
+    const usdt = TOKENS.USDT.toLowerCase();
+    const out = [];
+    for (const o of indexer.getOpenOrders()) {
+        if (o.maker !== me) continue;
+        const base = o.tokenIn === usdt ? o.tokenOut : o.tokenIn;
+        const symbol = SYMBOL_BY_ADDR[base];
+        const decIn = tokens.get(o.tokenIn)?.decimals;
+        if (!symbol || decIn === undefined) continue;
+        const amountIn = Number(toHuman(o.amountIn, decIn));
+        const notional = o.tokenIn === usdt ? amountIn : amountIn * priceToNumber(o.targetPrice1e18);
+        out.push({ id: o.id, symbol, pair: `${symbol}/USDT`, notional });
+    }
+    for (const [id, exposure] of recentOrders) {
+        if (indexer.getOrder(id)) recentOrders.delete(id);
+        else out.push({ id, ...exposure });
+    }
+    return out;
+}
 
-            const tIn = rawIn.toLowerCase();
-            const tOut = rawOut.toLowerCase();
+// Wallet plus our open orders, valued at oracle prices; null while something we hold has no price
+async function totalEquity() {
+    const me = wallet.address.toLowerCase();
+    const held = new Map(await Promise.all(Object.values(TOKENS).map(async a => [a.toLowerCase(), await getBalance(a)])));
+    for (const o of indexer.getOpenOrders()) {
+        if (o.maker === me && held.has(o.tokenIn)) held.set(o.tokenIn, held.get(o.tokenIn) + o.amountIn);
+    }
 
-            if (tIn === uAddr && tOut === tAddr) buys++;
-            if (tIn === tAddr && tOut === uAddr) sells++;
-        }
+    let total = 0;
+    for (const [addr, amount] of held) {
+        if (amount === 0n) continue;
+        const symbol = SYMBOL_BY_ADDR[addr];
+        const price = symbol === "USDT" ? 1 : oraclePrices.get(symbol);
+        if (!price) return null;
+        total += Number(toHuman(amount, await getDecimals(addr))) * price;
     }
+    return total;
+}
 
-    return { buys, sells };
+async function cancelAllOwnOrders() {
+    const ids = ownOpenOrders().map(o => o.id);
+    console.log(`🧹 Cancelling ${ids.length} bot orders`);
+    await Promise.all(ids.map(id => sendTx(contracts.executor, "cancelOrder", [id], `Cancel #${id} (breaker)`)));
 }
 
-async function ensureDummyOrders(token, symbol, marketPrice) {
-    console.log(`\n🔍 Full Depth Scan [${symbol}]...`);
-    const { buys, sells } = await scanFullDepth(token);
-    console.log(`   📊 Active Orders: ${buys} Buys | ${sells} Sells`);
-
-    const decT = await getDecimals(token);
-    const decU = await getDecimals(TOKENS.USDT);
-    const amtT_Dummy = ethers.parseUnits(DUMMY_AMOUNT.toString(), decT);
-    const amtU_Dummy = ethers.parseUnits((DUMMY_AMOUNT * marketPrice).toFixed(6), decU);
-
-    if (buys < 5) {
-        const needed = 5 - buys;
-        console.log(`   ➕ Adding ${needed} Dummy Buys...`);
-        const bal = await getBalance(TOKENS.USDT);
-        if (bal >= amtU_Dummy * BigInt(needed)) {
-            await approve(TOKENS.USDT, EXECUTOR_ADDR, amtU_Dummy * BigInt(needed));
-            const stairs = [0.98, 0.95, 0.92, 0.90, 0.88];
-            for (let i = 0; i < needed; i++) {
-                const p = stairs[i % stairs.length];
-                const price = ethers.parseUnits((marketPrice * p).toFixed(4), 18);
-                await sendTx(contracts.executor.depositAndCreateOrder(TOKENS.USDT, token, amtU_Dummy, amtT_Dummy, price, 86400 * 3, 0, await getOpts(400000)), `Dummy Buy`);
-            }
-        }
+risk.on("trip", ({ cancelOrders }) => {
+    metrics.breakerTripped.set({}, 1);
+    if (cancelOrders) cancelAllOwnOrders().catch(e => console.error("Cancel on trip failed:", e.message));
+});
+
+function createdOrderId(receipt) {
+    for (const log of receipt.logs) {
+        try {
+            const ev = contracts.executor.interface.parseLog(log);
+            if (ev?.name === "OrderCreated") return Number(ev.args.orderId);
+        } catch { }
     }
+    return null;
+}
 
-    if (sells < 5) {
-        const needed = 5 - sells;
-        console.log(`   ➕ Adding ${needed} Dummy Sells...`);
-        const bal = await getBalance(token);
-        if (bal >= amtT_Dummy * BigInt(needed)) {
-            await approve(token, EXECUTOR_ADDR, amtT_Dummy * BigInt(needed));
-            const stairs = [1.02, 1.05, 1.08, 1.10, 1.12];
-            for (let i = 0; i < needed; i++) {
-                const p = stairs[i % stairs.length];
-                const price = ethers.parseUnits((marketPrice * p).toFixed(4), 18);
-                await sendTx(contracts.executor.depositAndCreateOrder(token, TOKENS.USDT, amtT_Dummy, amtU_Dummy, price, 86400 * 3, 1, await getOpts(400000)), `Dummy Sell`);
+// USDT is shared by every token we quote, so each token's inventory gets an equal slice of it
+const quotedSymbols = () => Object.keys(TOKENS).filter(s => s !== "USDT");
+
+const marketMaker = createMarketMaker({
+    strategy: STRATEGIES[MM_STRATEGY](),
+    configFor: loadStrategyConfig(),
+    name: "market-maker-ammbot",
+    adapter: {
+        // Orders the indexer hasn't seen yet are still live
+        isLive: async id => {
+            const o = indexer.getOrder(id);
+            return o ? isOpen(o) : null;
+        },
+
+        // Wallet balances plus what our own ladder has locked in the book
+        inventory: async symbol => {
+            const token = TOKENS[symbol];
+            const [decT, decU, balT, balU] = await Promise.all([
+                getDecimals(token), getDecimals(TOKENS.USDT), getBalance(token), getBalance(TOKENS.USDT)
+            ]);
+            let lockedT = 0n;
+            let lockedU = 0n;
+            for (const { id } of marketMaker.state(symbol)?.orders || []) {
+                const o = indexer.getOrder(id);
+                if (!o || !isOpen(o)) continue;
+                if (o.tokenIn === token.toLowerCase()) lockedT += o.amountIn;
+                else lockedU += o.amountIn;
             }
-        }
+            return {
+                base: Number(toHuman(balT + lockedT, decT)),
+                quote: Number(toHuman(balU, decU)) / quotedSymbols().length + Number(toHuman(lockedU, decU))
+            };
+        },
+
+        place: async ({ symbol, side, level, price, size, ttlSeconds }) => {
+            const token = TOKENS[symbol];
+            const [baseDecimals, quoteDecimals] = await Promise.all([getDecimals(token), getDecimals(TOKENS.USDT)]);
+            const args = quoteOrderArgs({ side, price, size, ttlSeconds }, { base: token, quote: TOKENS.USDT, baseDecimals, quoteDecimals });
+            if (!args) return null;
+
+            const [tokenIn, , amountIn] = args;
+            if ((await getBalance(tokenIn)) < amountIn) {
+                console.log(`   ⚠️ Not enough balance for ${side} L${level} ${symbol}`);
+                return null;
+            }
+            await approve(tokenIn, EXECUTOR_ADDR, amountIn);
+            const receipt = await placeOrder(args, `Quote ${side} L${level} ${symbol} @ ${price.toPrecision(6)}`, symbol, side.toLowerCase());
+            return receipt ? createdOrderId(receipt) : null;
+        },
+
+        cancel: async id => Boolean(await sendTx(contracts.executor, "cancelOrder", [id], `Cancel quote #${id}`))
     }
+});
+
+async function updateQuotes(token, symbol, marketPrice) {
+    const { anchor, cancelled, placed, orders } = await marketMaker.run(symbol, marketPrice);
+    console.log(`   🪜 ${MM_STRATEGY} around $${anchor.toPrecision(6)}: ${orders} quotes live (${placed} placed, ${cancelled} cancelled)`);
+
+    const { buys, sells } = scanFullDepth(token);
+    metrics.openOrders.set({ pair: `${symbol}/USDT`, side: "buy" }, buys);
+    metrics.openOrders.set({ pair: `${symbol}/USDT`, side: "sell" }, sells);
 }
+
 async function updateLimitPrice(token, symbol, marketPrice) {
     try {
         const result = await contracts.executor.getLastExecutedPrice(token, TOKENS.USDT);
         const price1e18 = result[0];
-        const contractPrice = Number(ethers.formatUnits(price1e18, 18));
-        const diff = contractPrice === 0 ? 1 : Math.abs(contractPrice - marketPrice) / marketPrice;
+        const contractPrice = priceToNumber(price1e18);
+        const { diff, threshold, aligned } = priceAlignment(contractPrice, marketPrice);
+        // A pair that never traded has no contract price to compare against
+        if (contractPrice > 0) metrics.priceDeviation.set({ token: symbol }, diff);
 
-        // If price < $0.10, allow 3% diff (0.03). Else allow 0.5% (0.005)
-        const THRESHOLD = marketPrice < 0.7 ? 0.03 : 0.005;
+        console.log(`   ⚖️ Contract: $${contractPrice.toFixed(4)} | Market: $${marketPrice} | Diff: ${(diff * 100).toFixed(2)}% (Limit: ${(threshold * 100)}%)`);
 
-        console.log(`   ⚖️ Contract: $${contractPrice.toFixed(4)} | Market: $${marketPrice} | Diff: ${(diff * 100).toFixed(2)}% (Limit: ${(THRESHOLD * 100)}%)`);
-
-        if (diff < THRESHOLD) {
+        if (aligned) {
             console.log(`   ✅ Price Aligned.`);
             return;
         }
@@ -179,25 +298,25 @@ async function updateLimitPrice(token, symbol, marketPrice) {
         const decT = await getDecimals(token);
         const decU = await getDecimals(TOKENS.USDT);
 
-        const amountT = ethers.parseUnits(DUMMY_AMOUNT.toString(), decT);
+        const amountT = toRaw(DUMMY_AMOUNT, decT);
 
-        const amountU = ethers.parseUnits((DUMMY_AMOUNT * marketPrice).toFixed(6), decU);
+        const amountU = toRaw(DUMMY_AMOUNT * marketPrice, decU);
 
         const balU = await getBalance(TOKENS.USDT);
         if (balU >= amountU) {
             await approve(TOKENS.USDT, EXECUTOR_ADDR, amountU);
-            await sendTx(
-                contracts.executor.depositAndCreateOrder(TOKENS.USDT, token, amountU, amountT, ethers.parseUnits(marketPrice.toFixed(4), 18), 86400, 0, await getOpts(500000)),
-                `Limit Buy ${symbol}`
+            await placeOrder(
+                [TOKENS.USDT, token, amountU, amountT, parsePrice(marketPrice), 86400, 0],
+                `Limit Buy ${symbol}`, symbol, "buy"
             );
         }
 
         const balT = await getBalance(token);
         if (balT >= amountT) {
             await approve(token, EXECUTOR_ADDR, amountT);
-            await sendTx(
-                contracts.executor.depositAndCreateOrder(token, TOKENS.USDT, amountT, amountU, ethers.parseUnits(marketPrice.toFixed(4), 18), 86400, 1, await getOpts(500000)),
-                `Limit Sell ${symbol}`
+            await placeOrder(
+                [token, TOKENS.USDT, amountT, amountU, parsePrice(marketPrice), 86400, 1],
+                `Limit Sell ${symbol}`, symbol, "sell"
             );
         }
     } catch (e) {
@@ -209,25 +328,63 @@ async function main() {
     if (isRunning) return;
     isRunning = true;
     console.log(`\n=== Cycle: ${new Date().toLocaleTimeString()} ===`);
+    const endTimer = metrics.cycleDuration.startTimer();
 
     try {
-        const ids = Object.values(COINGECKO_IDS).join(",");
-        const { data } = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd`);
+        await indexer.sync();
+        await updateBalances(metrics, { provider, owner: wallet.address, registry: tokens, symbols: TOKENS });
+
+        const symbols = quotedSymbols();
+        const { prices, failures } = await oracle.getPrices(symbols);
+        for (const [source, error] of Object.entries(failures)) console.log(`⚠️ Oracle source ${source} failed: ${error}`);
+
+        for (const symbol of symbols) {
+            if (prices[symbol].price === null) continue;
+            oraclePrices.set(symbol, prices[symbol].price);
+            risk.recordPrice(symbol, prices[symbol].price);
+        }
+        const equity = await totalEquity();
+        if (equity !== null) risk.recordEquity(equity);
+
+        const halted = risk.tripped();
+        metrics.breakerTripped.set({}, halted ? 1 : 0);
+        if (halted) {
+            console.log(`🛑 Quoting halted since ${new Date(halted.at).toLocaleString()}: ${halted.reason} (restart with RISK_RESET=true to resume)`);
+        }
 
-        for (const [symbol, addr] of Object.entries(TOKENS)) {
-            if (symbol === "USDT") continue;
-            const price = data[COINGECKO_IDS[symbol]]?.usd;
-            if (!price) continue;
+        for (const symbol of halted ? [] : symbols) {
+            const addr = TOKENS[symbol];
+            const { price, sources, rejected } = prices[symbol];
+            for (const r of rejected) console.log(`   🚫 ${symbol} ${r.source} $${r.price} rejected: ${r.reason}`);
+            if (price === null) {
+                console.log(`\n⏭️ ${symbol}: no usable price`);
+                continue;
+            }
 
-            console.log(`\n🔹 ${symbol} @ $${price}`);
-            await ensureDummyOrders(addr, symbol, price);
-            await updateLimitPrice(addr, symbol, price);
+            console.log(`\n🔹 ${symbol} @ $${price} (${sources.map(q => q.source).join(", ")})`);
+            try {
+                await updateQuotes(addr, symbol, price);
+                await updateLimitPrice(addr, symbol, price);
+            } catch (e) {
+                console.error(`   ❌ ${symbol} skipped:`, e.message);
+            }
         }
-    } catch (e) { console.error("Cycle Error:", e.message); }
+    } catch (e) {
+        metrics.cycleErrors.inc();
+        console.error("Cycle Error:", e.message);
+    }
 
+    endTimer();
     isRunning = false;
 }
 
+if (METRICS_PORT) {
+    const app = express();
+    app.get("/metrics", (req, res) => res.type("text/plain; version=0.0.4").send(metrics.registry.render()));
+    app.listen(METRICS_PORT, () => console.log(`📈 Metrics: http://localhost:${METRICS_PORT}/metrics`));
+}
+
 console.log("🟢 Bot Started");
+txManager.resume();
 main();
 setInterval(main, 300000);
\ No newline at end of file
@@ -0,0 +1,313 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { createRequire } from "module";
+import { COINGECKO_IDS } from "./constants.js";
+import { connectNetwork, requireAddress } from "./network.js";
+import { createOrderIndexer, isOpen } from "./orderIndexer.js";
+import { createTxManager } from "./txManager.js";
+import { createTokenRegistry, toHuman } from "./tokenRegistry.js";
+import { createOracleFromEnv } from "./oracle.js";
+import { baseOf, quoteOf, baseToQuote, quoteToBase } from "./matchingEngine.js";
+import { poolState, findOpportunity } from "./arbitrage.js";
+import { createBotMetrics, instrumentProvider, instrumentTxManager } from "./metrics.js";
+
+dotenv.config();
+const require = createRequire(import.meta.url);
+
+// Captures the gap between resting executor orders and Uniswap V3 pools: an ask below the pool is
+// bought on the book and sold into the pool, a bid above the pool is filled with base bought from it.
+const {
+    PRIVATE_KEY,
+    ARB_FEE_TIERS = "500",
+    ARB_MIN_PROFIT_USDT = "1",
+    ARB_SLIPPAGE_BPS = "50",
+    ARB_GAS_UNITS = "650000",
+    ARB_NATIVE_SYMBOL = "ETH",
+    ARB_INTERVAL_MS = "30000",
+    ARB_FILL_TIMEOUT_MS = "60000",
+    ARB_ORDER_TTL = "300"
+} = process.env;
+const DRY_RUN = process.env.DRY_RUN === "true" || process.argv.includes("--dry-run");
+const FEE_TIERS = ARB_FEE_TIERS.split(",").map(Number).filter(Boolean);
+
+if (!PRIVATE_KEY) throw new Error("Missing .env vars (need PRIVATE_KEY)");
+
+const { profile: network, provider } = await connectNetwork();
+const EXECUTOR_ADDR = requireAddress(network, "executor");
+const ROUTER_ADDR = requireAddress(network, "router");
+const FACTORY_ADDR = requireAddress(network, "factory");
+const TOKENS = network.tokens;
+const USDT = TOKENS.USDT.toLowerCase();
+
+const ERC20_ABI = [
+    "function approve(address,uint256)",
+    "function allowance(address,address) view returns (uint256)",
+    "function balanceOf(address) view returns (uint256)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+const ERC20 = new ethers.Interface(ERC20_ABI);
+const ROUTER_ABI = ["function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) payable returns (uint256 amountOut)"];
+const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
+const POOL_ABI = [
+    "function slot0() view returns (uint160,int24,uint16,uint16,uint16,uint8,bool)",
+    "function liquidity() view returns (uint128)",
+    "function token0() view returns (address)"
+];
+
+const metrics = createBotMetrics("arbbot");
+instrumentProvider(provider, metrics);
+const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+const contracts = {
+    executor: new ethers.Contract(EXECUTOR_ADDR, require("./ABI/LimitOrder.json"), wallet),
+    router: new ethers.Contract(ROUTER_ADDR, ROUTER_ABI, wallet),
+    factory: new ethers.Contract(FACTORY_ADDR, FACTORY_ABI, provider)
+};
+const tokens = createTokenRegistry({ provider, network });
+const oracle = createOracleFromEnv({ provider, network, registry: tokens, executor: contracts.executor, coingeckoIds: COINGECKO_IDS });
+const indexer = createOrderIndexer({ executor: contracts.executor, provider, name: "orders-arbbot" });
+const txManager = createTxManager({ wallet, name: "tx-arbbot" });
+instrumentTxManager(txManager, metrics);
+
+const pools = new Map();
+let isRunning = false;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function sendTx(contract, method, args, desc) {
+    console.log(`⏳ Sending: ${desc}...`);
+    const handle = await txManager.send(contract, method, args, { desc });
+    const receipt = await handle.wait();
+    console.log(`✅ Confirmed: ${desc} (Hash: ${receipt.hash.slice(0, 10)}...)`);
+    return receipt;
+}
+
+async function approve(token, spender, amount) {
+    const c = new ethers.Contract(token, ERC20_ABI, wallet);
+    if ((await c.allowance(wallet.address, spender)) < amount) {
+        await sendTx(c, "approve", [spender, ethers.MaxUint256], `Approve ${token.slice(0, 8)}`);
+    }
+}
+
+async function getPool(base, fee) {
+    const key = `${base}:${fee}`;
+    if (!pools.has(key)) {
+        const addr = await contracts.factory.getPool(base, USDT, fee);
+        pools.set(key, addr === ethers.ZeroAddress ? null : new ethers.Contract(addr, POOL_ABI, provider));
+    }
+    return pools.get(key);
+}
+
+async function readPool(base, fee) {
+    const pool = await getPool(base, fee);
+    if (!pool) return null;
+    const [slot0, liquidity, token0, b, q] = await Promise.all([
+        pool.slot0(), pool.liquidity(), pool.token0(), tokens.resolve(base), tokens.resolve(USDT)
+    ]);
+    return poolState({ sqrtPriceX96: slot0[0], liquidity, token0, fee, base, baseDecimals: b.decimals, quoteDecimals: q.decimals });
+}
+
+// Gas for one round trip (order, match, swap) priced in USDT through the native token's oracle price
+async function gasCostQuote() {
+    const [{ gasPrice, maxFeePerGas }, { prices }] = await Promise.all([
+        provider.getFeeData(),
+        oracle.getPrices([ARB_NATIVE_SYMBOL])
+    ]);
+    const native = prices[ARB_NATIVE_SYMBOL]?.price;
+    if (!native) throw new Error(`No oracle price for ${ARB_NATIVE_SYMBOL}, can't price gas`);
+    const wei = BigInt(ARB_GAS_UNITS) * (maxFeePerGas ?? gasPrice ?? 0n);
+    return Number(ethers.formatEther(wei)) * native;
+}
+
+function eventArg(receipt, contract, name, arg) {
+    for (const log of receipt.logs) {
+        try {
+            const ev = contract.interface.parseLog(log);
+            if (ev?.name === name) return BigInt(ev.args[arg]);
+        } catch { }
+    }
+    return null;
+}
+
+function createdOrderId(receipt) {
+    const id = eventArg(receipt, contracts.executor, "OrderCreated", "orderId");
+    if (id === null) throw new Error("OrderCreated not found in receipt");
+    return Number(id);
+}
+
+// Matches our crossing order against the target ourselves; if the executor won't let us (or the
+// target moved), waits for the matcher. Whatever is still open afterwards is cancelled.
+// Returns how much of `deposited` filled and how much the cancel paid back. Amounts come from the
+// executor, not wallet balances, which other bots on the same key would move too.
+async function fillAgainst(ourId, target, weBuy, deposited) {
+    const [buyId, sellId] = weBuy ? [ourId, target.id] : [target.id, ourId];
+    let matched = false;
+    try {
+        await contracts.executor.matchOrders.staticCall(buyId, sellId);
+        await sendTx(contracts.executor, "matchOrders", [buyId, sellId], `Match ${buyId}/${sellId}`);
+        matched = true;
+    } catch (e) {
+        console.log(`   ⚠️ Self-match not possible (${e.shortMessage || e.message}), waiting for the matcher`);
+    }
+
+    if (!matched) {
+        const deadline = Date.now() + Number(ARB_FILL_TIMEOUT_MS);
+        while (Date.now() < deadline) {
+            await sleep(5000);
+            await indexer.sync();
+            const o = indexer.getOrder(ourId);
+            if (o && !isOpen(o)) break;
+        }
+    }
+
+    // The target can be smaller than our order; the rest shouldn't stay on the book
+    const o = await contracts.executor.getOrder(ourId);
+    if (o.filled || o.amountIn === 0n) return { filled: deposited, refunded: 0n };
+    const filled = deposited - o.amountIn;
+    try {
+        const receipt = await sendTx(contracts.executor, "cancelOrder", [ourId], `Cancel unfilled #${ourId}`);
+        return { filled, refunded: eventArg(receipt, contracts.executor, "OrderCancelled", "refundedAmount") ?? o.amountIn };
+    } catch (e) {
+        // Still on the book, or expired and waiting for the sweeper: not ours to hedge yet
+        console.error(`   ❌ Cancel #${ourId} failed:`, e.shortMessage || e.message);
+        return { filled, refunded: 0n };
+    }
+}
+
+// The executor's view of the target, not the indexer's: it may have filled or been cancelled since the scan
+async function isLive(order) {
+    const o = await contracts.executor.getOrder(order.id);
+    return !o.filled && !o.cancelled && !o.claimed && o.amountIn > 0n && Number(o.expiry) > Date.now() / 1000;
+}
+
+// Returns what the router delivered, read from tokenOut's Transfer to us in the receipt
+async function swap(tokenIn, tokenOut, fee, amountIn, amountOutMinimum, desc) {
+    await approve(tokenIn, ROUTER_ADDR, amountIn);
+    const receipt = await sendTx(contracts.router, "exactInputSingle", [{
+        tokenIn,
+        tokenOut,
+        fee,
+        recipient: wallet.address,
+        deadline: Math.floor(Date.now() / 1000) + 120,
+        amountIn,
+        amountOutMinimum,
+        sqrtPriceLimitX96: 0
+    }], desc);
+
+    let amountOut = 0n;
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== tokenOut.toLowerCase()) continue;
+        const ev = ERC20.parseLog(log);
+        if (ev?.name === "Transfer" && ev.args.to.toLowerCase() === wallet.address.toLowerCase()) amountOut += ev.args.value;
+    }
+    return amountOut;
+}
+
+async function execute(opp, base, symbol, pool) {
+    const { order, baseAmount, quoteAmount, poolMinOut, fee } = opp;
+    const ttl = Number(ARB_ORDER_TTL);
+
+    if (opp.direction === "BOOK_TO_POOL") {
+        await approve(USDT, EXECUTOR_ADDR, quoteAmount);
+        const receipt = await sendTx(contracts.executor, "depositAndCreateOrder",
+            [USDT, base, quoteAmount, baseAmount, order.targetPrice1e18, ttl, 0], `Arb buy #${order.id} ${symbol}`);
+        const { filled } = await fillAgainst(createdOrderId(receipt), order, true, quoteAmount);
+
+        // The target is the older order, so every fill is at its price; rounding down never hedges more than arrived
+        const received = quoteToBase(filled, order.targetPrice1e18, pool.baseDecimals, pool.quoteDecimals);
+        if (received <= 0n) {
+            console.log("   ⏭️ Nothing filled, no hedge needed");
+            return;
+        }
+        // Partial fills hedge proportionally less, with the same minimum price
+        const minOut = (poolMinOut * received) / baseAmount;
+        await swap(base, USDT, fee, received, minOut, `Arb hedge sell ${symbol} on pool`);
+        return;
+    }
+
+    // Buying on the pool first commits us; a bid that's already gone would leave the base unhedged
+    if (!(await isLive(order))) {
+        console.log(`   ⏭️ Bid #${order.id} is no longer open, skipped`);
+        return;
+    }
+    const bought = await swap(USDT, base, fee, quoteAmount, poolMinOut, `Arb buy ${symbol} on pool`);
+    if (bought === 0n) {
+        console.log("   ⏭️ Pool swap delivered nothing, no sell needed");
+        return;
+    }
+    const capacity = baseAmount > bought ? bought : baseAmount;
+    const wants = baseToQuote(capacity, order.targetPrice1e18, pool.baseDecimals, pool.quoteDecimals);
+    await approve(base, EXECUTOR_ADDR, capacity);
+    const receipt = await sendTx(contracts.executor, "depositAndCreateOrder",
+        [base, USDT, capacity, wants, order.targetPrice1e18, ttl, 1], `Arb sell #${order.id} ${symbol}`);
+    const { refunded } = await fillAgainst(createdOrderId(receipt), order, false, capacity);
+
+    // Whatever the bid didn't take (refunded by the cancel, or bought beyond its capacity) goes back to
+    // the pool, for no less than it cost less the slippage tolerance and the pool fee both ways
+    const unsold = bought - capacity + refunded;
+    if (unsold <= 0n) return;
+    const lossBps = BigInt(ARB_SLIPPAGE_BPS) + (2n * BigInt(fee)) / 100n;
+    const minOut = (quoteAmount * unsold * (10_000n - lossBps)) / (bought * 10_000n);
+    await swap(base, USDT, fee, unsold, minOut, `Arb unwind ${symbol} on pool`);
+}
+
+async function main() {
+    if (isRunning) return;
+    isRunning = true;
+    const endTimer = metrics.cycleDuration.startTimer();
+
+    try {
+        await indexer.sync();
+        const gasCost = await gasCostQuote();
+        const me = wallet.address.toLowerCase();
+
+        // Books by base token, other makers only
+        const books = new Map();
+        for (const o of indexer.getOpenOrders()) {
+            if (o.maker === me || quoteOf(o) !== USDT) continue;
+            const base = baseOf(o);
+            if (!books.has(base)) books.set(base, []);
+            books.get(base).push(o);
+        }
+
+        for (const [symbol, address] of Object.entries(TOKENS)) {
+            const base = address.toLowerCase();
+            if (base === USDT || !books.has(base)) continue;
+
+            let best = null;
+            for (const fee of FEE_TIERS) {
+                const pool = await readPool(base, fee);
+                if (!pool) continue;
+                const opp = findOpportunity(books.get(base), pool, { gasCostQuote: gasCost, slippageBps: Number(ARB_SLIPPAGE_BPS) });
+                if (opp && (!best || opp.profit > best.opp.profit)) best = { opp, pool };
+            }
+            if (!best) continue;
+
+            const { opp, pool } = best;
+            const line = `${symbol} ${opp.direction} #${opp.order.id}: book $${opp.bookPrice} vs pool $${opp.poolPrice.toPrecision(6)} (fee ${opp.fee}), ` +
+                `${toHuman(opp.baseAmount, pool.baseDecimals)} ${symbol}, net $${opp.profit.toFixed(4)} after $${gasCost.toFixed(4)} gas`;
+            if (opp.profit < Number(ARB_MIN_PROFIT_USDT)) {
+                console.log(`   · ${line} (below min ${ARB_MIN_PROFIT_USDT})`);
+                continue;
+            }
+            console.log(`💰 ${line}`);
+            if (DRY_RUN) continue;
+
+            try {
+                await execute(opp, base, symbol, pool);
+            } catch (e) {
+                console.error(`   ❌ Arb ${symbol} failed:`, e.shortMessage || e.message);
+            }
+        }
+    } catch (e) {
+        metrics.cycleErrors.inc();
+        console.error("Cycle Error:", e.message);
+    }
+
+    endTimer();
+    isRunning = false;
+}
+
+console.log(`🟢 Arb Bot Started${DRY_RUN ? " (dry run)" : ""}: fee tiers ${FEE_TIERS.join(", ")}, min profit $${ARB_MIN_PROFIT_USDT}`);
+txManager.resume();
+main();
+setInterval(main, Number(ARB_INTERVAL_MS));
@@ -0,0 +1,325 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import fs from "fs";
+import { createRequire } from "module";
+import { TOKENS, POOL_MAP, COINGECKO_IDS } from "./constants.js";
+import { connectNetwork, requireAddress } from "./network.js";
+import { createTokenRegistry, toRaw, toHuman } from "./tokenRegistry.js";
+import { createTxManager } from "./txManager.js";
+import { createOracleFromEnv } from "./oracle.js";
+import { readJSON, writeJSON } from "./storage.js";
+import {
+    sdkToken, sdkPool, tickToHuman, rangeAround, positionFromAmounts, mintAmounts, positionAmounts, rangeStatus
+} from "./liquidity.js";
+
+dotenv.config();
+const require = createRequire(import.meta.url);
+
+// Keeps one concentrated position per configured pair: opened around a reference price, moved when
+// the pool leaves its band, fees collected on a schedule. Pairs come from LP_CONFIG_FILE
+// ({ "collectIntervalMs", "pairs": [{ "pool": "USDC_USDT" | "pair": "ETH/USDT", "fee", "widthBps",
+// "bandBps", "maxBase", "maxQuote", "reference": "oracle" | "pool" }] }) or default to every POOL_MAP pool.
+const {
+    PRIVATE_KEY,
+    LP_CONFIG_FILE,
+    LP_WIDTH_BPS = "100",
+    LP_BAND_BPS = "50",
+    LP_MAX_BASE = "0",
+    LP_MAX_QUOTE = "0",
+    LP_SLIPPAGE_BPS = "50",
+    LP_COLLECT_INTERVAL_MS = String(6 * 3600_000),
+    LP_INTERVAL_MS = "300000"
+} = process.env;
+
+if (!PRIVATE_KEY) throw new Error("Missing .env vars (need PRIVATE_KEY)");
+
+const { profile: network, provider, chainId } = await connectNetwork();
+const POSITION_MANAGER_ADDR = requireAddress(network, "positionManager");
+const FACTORY_ADDR = requireAddress(network, "factory");
+
+const POOL_ABI = require("./ABI/PoolABI.json").abi;
+const NPM_ABI = require("./ABI/PositionManagerABI.json").abi;
+const ERC20_ABI = require("./ABI/IERC20.json").abi;
+const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
+const MAX_UINT128 = 2n ** 128n - 1n;
+
+const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+const npm = new ethers.Contract(POSITION_MANAGER_ADDR, NPM_ABI, wallet);
+const factory = new ethers.Contract(FACTORY_ADDR, FACTORY_ABI, provider);
+// Only the oracle's executor source reads it
+const executor = network.executor ? new ethers.Contract(network.executor, require("./ABI/LimitOrder.json"), provider) : null;
+const tokens = createTokenRegistry({ provider, network });
+const oracle = createOracleFromEnv({ provider, network, registry: tokens, executor, coingeckoIds: COINGECKO_IDS });
+const txManager = createTxManager({ wallet, name: "tx-liquidity" });
+
+const fileConfig = LP_CONFIG_FILE ? JSON.parse(fs.readFileSync(LP_CONFIG_FILE, "utf8")) : {};
+const COLLECT_INTERVAL_MS = Number(fileConfig.collectIntervalMs ?? LP_COLLECT_INTERVAL_MS);
+const PAIRS = (fileConfig.pairs || Object.keys(POOL_MAP).map(pool => ({ pool }))).map(p => ({
+    widthBps: Number(LP_WIDTH_BPS),
+    bandBps: Number(LP_BAND_BPS),
+    maxBase: LP_MAX_BASE,
+    maxQuote: LP_MAX_QUOTE,
+    reference: "oracle",
+    ...p,
+    label: p.pool || p.pair
+}));
+
+// { [label]: { tokenId, tickLower, tickUpper, openedAt, lastCollectAt, fees: { base, quote } } }
+const positions = readJSON("lp-positions.json", {});
+let isRunning = false;
+
+async function sendTx(contract, method, args, desc) {
+    console.log(`⏳ Sending: ${desc}...`);
+    const handle = await txManager.send(contract, method, args, { desc });
+    const receipt = await handle.wait();
+    console.log(`✅ Confirmed: ${desc} (Hash: ${receipt.hash.slice(0, 10)}...)`);
+    return receipt;
+}
+
+function events(receipt, name) {
+    return receipt.logs.map(log => {
+        try {
+            return npm.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+    }).filter(ev => ev?.name === name).map(ev => ev.args);
+}
+
+async function approve(token, amount) {
+    const c = new ethers.Contract(token, ERC20_ABI, wallet);
+    if ((await c.allowance(wallet.address, POSITION_MANAGER_ADDR)) < amount) {
+        await sendTx(c, "approve", [POSITION_MANAGER_ADDR, ethers.MaxUint256], `Approve ${token.slice(0, 8)}`);
+    }
+}
+
+async function getBalance(token) {
+    return new ethers.Contract(token, ERC20_ABI, provider).balanceOf(wallet.address);
+}
+
+// "USDC_USDT" pool labels name base and quote; "ETH/USDT" pairs are looked up at their fee tier
+async function resolvePair(cfg) {
+    const [baseSym, quoteSym] = cfg.label.split(/[_/]/);
+    if (!TOKENS[baseSym] || !TOKENS[quoteSym]) throw new Error(`${cfg.label}: unknown tokens`);
+    const address = cfg.pool ? POOL_MAP[cfg.pool] : await factory.getPool(TOKENS[baseSym], TOKENS[quoteSym], cfg.fee ?? 500);
+    if (!address || address === ethers.ZeroAddress) throw new Error(`${cfg.label}: no pool`);
+    const [base, quote] = await Promise.all([tokens.resolve(TOKENS[baseSym]), tokens.resolve(TOKENS[quoteSym])]);
+    return {
+        ...cfg,
+        baseSym,
+        quoteSym,
+        pool: new ethers.Contract(address, POOL_ABI, provider),
+        base: sdkToken(chainId, { ...base, address: TOKENS[baseSym] }),
+        quote: sdkToken(chainId, { ...quote, address: TOKENS[quoteSym] })
+    };
+}
+
+async function readPool(p) {
+    const [slot0, liquidity, fee] = await Promise.all([p.pool.slot0(), p.pool.liquidity(), p.pool.fee()]);
+    return sdkPool({ tokenA: p.base, tokenB: p.quote, fee, sqrtPriceX96: slot0[0], liquidity, tick: slot0[1] });
+}
+
+// Quote per base from the oracle (prices are in USDT), or the pool's own price
+async function referencePrice(p, pool) {
+    if (p.reference === "pool") return Number(pool.priceOf(p.base).toSignificant(12));
+    const { prices } = await oracle.getPrices([p.baseSym, p.quoteSym].filter(s => s !== "USDT"));
+    const usd = s => (s === "USDT" ? 1 : prices[s]?.price);
+    if (!usd(p.baseSym) || !usd(p.quoteSym)) return null;
+    return usd(p.baseSym) / usd(p.quoteSym);
+}
+
+// Base/quote amounts -> the pool's token0/token1 order and back
+const ordered = (pool, p, baseAmt, quoteAmt) => (pool.token0.equals(p.base) ? [baseAmt, quoteAmt] : [quoteAmt, baseAmt]);
+
+async function open(p, pool) {
+    const ref = await referencePrice(p, pool);
+    if (!ref) {
+        console.log(`   ⏭️ ${p.label}: no reference price`);
+        return;
+    }
+    const [balBase, balQuote] = await Promise.all([getBalance(p.base.address), getBalance(p.quote.address)]);
+    const maxBase = toRaw(p.maxBase, p.base.decimals);
+    const maxQuote = toRaw(p.maxQuote, p.quote.decimals);
+    const baseAmt = balBase < maxBase ? balBase : maxBase;
+    const quoteAmt = balQuote < maxQuote ? balQuote : maxQuote;
+    if (baseAmt === 0n && quoteAmt === 0n) {
+        console.log(`   ⏭️ ${p.label}: nothing to deposit (maxBase/maxQuote or balances are zero)`);
+        return;
+    }
+
+    const range = rangeAround(pool, p.base, ref, p.widthBps);
+    const [amount0, amount1] = ordered(pool, p, baseAmt, quoteAmt);
+    const position = positionFromAmounts(pool, range, amount0, amount1);
+    if (position.liquidity.toString() === "0") {
+        console.log(`   ⏭️ ${p.label}: deposit too small for the range around ${ref}`);
+        return;
+    }
+    const amounts = mintAmounts(position, Number(LP_SLIPPAGE_BPS));
+
+    await approve(pool.token0.address, amounts.amount0Desired);
+    await approve(pool.token1.address, amounts.amount1Desired);
+    const receipt = await sendTx(npm, "mint", [{
+        token0: pool.token0.address,
+        token1: pool.token1.address,
+        fee: pool.fee,
+        ...range,
+        ...amounts,
+        recipient: wallet.address,
+        deadline: Math.floor(Date.now() / 1000) + 600
+    }], `Mint ${p.label} [${tickToHuman(pool, p.base, range.tickLower)}, ${tickToHuman(pool, p.base, range.tickUpper)}]`);
+
+    const [minted] = events(receipt, "IncreaseLiquidity");
+    positions[p.label] = {
+        tokenId: Number(minted.tokenId),
+        ...range,
+        reference: ref,
+        openedAt: Date.now(),
+        lastCollectAt: Date.now(),
+        fees: { base: 0n, quote: 0n }
+    };
+    writeJSON("lp-positions.json", positions);
+}
+
+// Closed positions stay on file under "<pair>#<tokenId>" for their fee history
+function retire(p, st) {
+    delete positions[p.label];
+    positions[`${p.label}#${st.tokenId}`] = { ...st, closedAt: Date.now() };
+    writeJSON("lp-positions.json", positions);
+}
+
+// Fees are what collect() returns beyond the principal a decreaseLiquidity in the same step freed
+function recordFees(p, pool, st, collected, principal = [0n, 0n]) {
+    const fee0 = collected.amount0 - principal[0];
+    const fee1 = collected.amount1 - principal[1];
+    const [feeBase, feeQuote] = pool.token0.equals(p.base) ? [fee0, fee1] : [fee1, fee0];
+    st.fees = { base: st.fees.base + feeBase, quote: st.fees.quote + feeQuote };
+    st.lastCollectAt = Date.now();
+    writeJSON("lp-positions.json", positions);
+    return { feeBase, feeQuote };
+}
+
+async function collect(p, pool, st, principal) {
+    const receipt = await sendTx(npm, "collect", [{
+        tokenId: st.tokenId,
+        recipient: wallet.address,
+        amount0Max: MAX_UINT128,
+        amount1Max: MAX_UINT128
+    }], `Collect ${p.label} #${st.tokenId}`);
+    const [collected] = events(receipt, "Collect");
+    const { feeBase, feeQuote } = recordFees(p, pool, st, collected, principal);
+    console.log(`   💸 ${p.label} fees: ${toHuman(feeBase, p.base.decimals)} ${p.baseSym} + ${toHuman(feeQuote, p.quote.decimals)} ${p.quoteSym}`);
+}
+
+async function close(p, pool, st) {
+    const { liquidity } = await npm.positions(st.tokenId);
+    let principal = [0n, 0n];
+    if (liquidity > 0n) {
+        // Minimums from the current pool price: closing is what protects us once the price has moved
+        const held = positionAmounts(pool, { ...st, liquidity });
+        const slip = BigInt(LP_SLIPPAGE_BPS);
+        const receipt = await sendTx(npm, "decreaseLiquidity", [{
+            tokenId: st.tokenId,
+            liquidity,
+            amount0Min: (held.amount0 * (10_000n - slip)) / 10_000n,
+            amount1Min: (held.amount1 * (10_000n - slip)) / 10_000n,
+            deadline: Math.floor(Date.now() / 1000) + 600
+        }], `Withdraw ${p.label} #${st.tokenId}`);
+        const [freed] = events(receipt, "DecreaseLiquidity");
+        principal = [freed.amount0, freed.amount1];
+    }
+    await collect(p, pool, st, principal);
+    await sendTx(npm, "burn", [st.tokenId], `Burn ${p.label} #${st.tokenId}`);
+}
+
+async function report(p, pool, st) {
+    const [onchain, pending] = await Promise.all([
+        npm.positions(st.tokenId),
+        npm.collect.staticCall({ tokenId: st.tokenId, recipient: wallet.address, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 })
+    ]);
+    const held = positionAmounts(pool, { ...st, liquidity: onchain.liquidity });
+    const price = Number(pool.priceOf(p.base).toSignificant(12));
+    const [heldBase, heldQuote] = ordered(pool, p, held.amount0, held.amount1);
+    const [pendingBase, pendingQuote] = ordered(pool, p, pending.amount0, pending.amount1);
+    const value = (b, q) => Number(toHuman(b, p.base.decimals)) * price + Number(toHuman(q, p.quote.decimals));
+    const status = rangeStatus(pool, p.base, st, p.bandBps);
+    // Fees earned on the pair, including by the positions this one replaced
+    const history = Object.entries(positions).filter(([k]) => k === p.label || k.startsWith(`${p.label}#`));
+    const earned = history.reduce((sum, [, s]) => sum + value(s.fees.base, s.fees.quote), 0);
+
+    return {
+        pair: p.label,
+        tokenId: st.tokenId,
+        range: [tickToHuman(pool, p.base, st.tickLower), tickToHuman(pool, p.base, st.tickUpper)],
+        price,
+        inRange: status.inRange,
+        base: toHuman(heldBase, p.base.decimals),
+        quote: toHuman(heldQuote, p.quote.decimals),
+        value: value(heldBase, heldQuote),
+        feesPending: value(pendingBase, pendingQuote),
+        feesCollected: earned,
+        valueIn: p.quoteSym,
+        openedAt: new Date(st.openedAt).toISOString()
+    };
+}
+
+async function managePair(cfg) {
+    const p = await resolvePair(cfg);
+    const pool = await readPool(p);
+    let st = positions[p.label];
+
+    // Withdrawn by hand or elsewhere: keep its fee history and start over
+    if (st && (await npm.positions(st.tokenId)).liquidity === 0n) {
+        console.log(`   ⚠️ ${p.label}: position #${st.tokenId} is empty, opening a new one`);
+        retire(p, st);
+        st = null;
+    }
+
+    if (!st) {
+        await open(p, pool);
+    } else {
+        const status = rangeStatus(pool, p.base, st, p.bandBps);
+        if (status.rebalance) {
+            console.log(`   🔁 ${p.label}: ${status.price} is ${(status.deviation * 100).toFixed(2)}% from the range center ${status.center}${status.inRange ? "" : " (out of range)"}`);
+            await close(p, pool, st);
+            // The old position is burned whether or not the new one gets opened
+            retire(p, st);
+            await open(p, await readPool(p));
+        } else if (Date.now() - st.lastCollectAt >= COLLECT_INTERVAL_MS) {
+            await collect(p, pool, st);
+        }
+    }
+
+    return positions[p.label] ? report(p, await readPool(p), positions[p.label]) : null;
+}
+
+async function main() {
+    if (isRunning) return;
+    isRunning = true;
+    console.log(`\n=== LP cycle: ${new Date().toLocaleTimeString()} ===`);
+    try {
+        await cycle();
+    } finally {
+        isRunning = false;
+    }
+}
+
+async function cycle() {
+    const rows = [];
+    for (const cfg of PAIRS) {
+        try {
+            const row = await managePair(cfg);
+            if (!row) continue;
+            rows.push(row);
+            console.log(`   📦 ${row.pair} #${row.tokenId} [${row.range[0]}, ${row.range[1]}] @ ${row.price}${row.inRange ? "" : " OUT OF RANGE"}: ` +
+                `${row.base} + ${row.quote} = ${row.value.toFixed(4)} ${row.valueIn}, fees ${row.feesCollected.toFixed(4)} collected + ${row.feesPending.toFixed(4)} pending`);
+        } catch (e) {
+            console.error(`   ❌ ${cfg.label}:`, e.shortMessage || e.message);
+        }
+    }
+    writeJSON("lp-report.json", { updatedAt: new Date().toISOString(), positions: rows });
+}
+
+console.log(`🟢 Liquidity Bot Started: ${PAIRS.map(p => p.label).join(", ") || "no pairs configured"}`);
+txManager.resume();
+main();
+setInterval(main, Number(LP_INTERVAL_MS));
@@ -1,7 +1,13 @@
 import { ethers } from "ethers";
 import dotenv from "dotenv";
-import axios from "axios";
 import { createRequire } from "module";
+import { TOKENS, COINGECKO_IDS } from "./constants.js";
+import { connectNetwork, requireAddress } from "./network.js";
+import { createTokenRegistry } from "./tokenRegistry.js";
+import { createTxManager } from "./txManager.js";
+import { createOracleFromEnv } from "./oracle.js";
+import { poolState, poolPrice, deepestPool } from "./arbitrage.js";
+import { quoteOrderArgs, rebalanceSide } from "./marketMaker.js";
 const require = createRequire(import.meta.url);
 dotenv.config();
 
@@ -11,56 +17,79 @@ const ERC20_ABI = require("./ABI/IERC20.json").abi;
 const EXECUTOR_ABI = require("./ABI/LimitOrder.json");
 const FACTORY_ABI = ["function getPool(address,address,uint24) view returns(address)"];
 
-// ===== ENV CONFIG =====
+// ===== NETWORK CONFIG =====
 const {
-    RPC_URL,
     PRIVATE_KEY,
-    FACTORY_ADDRESS,
-    EXECUTOR_ADDRESS, // ✅ Add executor address to .env
+    REBALANCE_ORDER_USDT = "10",
+    REBALANCE_BAND = "0.01",
+    REBALANCE_TTL = "600",
+    REBALANCE_INTERVAL_MS = "60000"
 } = process.env;
 
-if (!RPC_URL || !PRIVATE_KEY || !FACTORY_ADDRESS || !EXECUTOR_ADDRESS)
-    throw new Error("Missing .env vars (need RPC_URL, PRIVATE_KEY, FACTORY_ADDRESS, EXECUTOR_ADDRESS)");
+if (!PRIVATE_KEY)
+    throw new Error("Missing .env vars (need PRIVATE_KEY)");
 
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+const { profile: network, provider } = await connectNetwork();
+const FACTORY_ADDRESS = requireAddress(network, "factory");
+const EXECUTOR_ADDRESS = requireAddress(network, "executor");
 const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
 const executor = new ethers.Contract(EXECUTOR_ADDRESS, EXECUTOR_ABI, wallet);
 
-const TOKENS = {
-    USDT: "0xC26efb6DB570DEE4BD0541A1ed52B590F05E3E3B",
-    ETH: "0xc671a7a0Bcef13018B384F5af9f4696Aba5Ff0F1",
-};
-const FEE = 500;
+const tokens = createTokenRegistry({ provider, network });
+const txManager = createTxManager({ wallet, name: "tx-rebalancer" });
+// The uniswap source's TWAP reads the very pools this bot moves, so it would chase its own rebalancing
+const ORACLE_SOURCES = (process.env.ORACLE_SOURCES || "coingecko,uniswap").split(",").map(s => s.trim()).filter(s => s && s !== "uniswap");
+if (!ORACLE_SOURCES.length) throw new Error("ORACLE_SOURCES needs a source other than uniswap for the rebalancer");
+const oracle = createOracleFromEnv({
+    provider,
+    network,
+    registry: tokens,
+    executor,
+    coingeckoIds: COINGECKO_IDS,
+    env: { ...process.env, ORACLE_SOURCES: ORACLE_SOURCES.join(",") }
+});
+const FEE_TIERS = [100, 500, 3000, 10000];
+// Pools appear over time; look again for missing tiers after this long
+const DISCOVERY_TTL_MS = 60 * 60_000;
+
+const discovered = new Map();
+let isRunning = false;
+// Last rebalancing order per pair, so a pair never has more than one working
+const working = new Map();
 
 // =============== HELPERS ===============
 
 async function getTokenInfo(token) {
-    const c = new ethers.Contract(token, ERC20_ABI, provider);
-    const [decimals, symbol] = await Promise.all([c.decimals(), c.symbol()]);
-    return { decimals: Number(decimals), symbol };
+    const { decimals, symbol } = await tokens.resolve(token);
+    return { decimals, symbol };
 }
 
-async function getPoolData(tA, tB) {
-    const addr = await factory.getPool(tA, tB, FEE);
-    if (addr === ethers.ZeroAddress) return null;
-    const pool = new ethers.Contract(addr, POOL_ABI, provider);
-    const [t0, t1, slot0, liquidityBN] = await Promise.all([
-        pool.token0(),
-        pool.token1(),
-        pool.slot0(),
-        pool.liquidity(),
-    ]);
-    const sqrtPriceX96 = BigInt(slot0[0].toString());
-    const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96;
-    const price = sqrtPrice ** 2;
-    return { poolAddr: addr, token0: t0, token1: t1, price, sqrtPrice, liquidity: Number(liquidityBN) };
+async function discoverPools(base, quote) {
+    const key = `${base}-${quote}`;
+    const cached = discovered.get(key);
+    if (cached && Date.now() - cached.at < DISCOVERY_TTL_MS) return cached.pools;
+
+    const found = await Promise.all(FEE_TIERS.map(async fee => {
+        const addr = await factory.getPool(base, quote, fee);
+        return addr === ethers.ZeroAddress ? null : { fee, contract: new ethers.Contract(addr, POOL_ABI, provider) };
+    }));
+    const pools = found.filter(Boolean);
+    discovered.set(key, { at: Date.now(), pools });
+    return pools;
 }
 
-function encodePriceSqrt(price) {
-    const sqrt = Math.sqrt(price);
-    const Q96 = 2 ** 96;
-    return BigInt(Math.floor(sqrt * Q96)); // uint160
+async function getDeepestPool(base, quote) {
+    const pools = await discoverPools(base, quote);
+    const [b, q] = await Promise.all([getTokenInfo(base), getTokenInfo(quote)]);
+    const states = await Promise.all(pools.map(async ({ fee, contract }) => {
+        const [slot0, liquidity, token0] = await Promise.all([contract.slot0(), contract.liquidity(), contract.token0()]);
+        return {
+            address: await contract.getAddress(),
+            state: poolState({ sqrtPriceX96: slot0[0], liquidity, token0, fee, base, baseDecimals: b.decimals, quoteDecimals: q.decimals })
+        };
+    }));
+    return deepestPool(states);
 }
 
 async function approve(token, spender, amount = ethers.MaxUint256) {
@@ -68,126 +97,131 @@ async function approve(token, spender, amount = ethers.MaxUint256) {
     const allowed = await c.allowance(wallet.address, spender);
     if (allowed < amount) {
         console.log(`  ✓ Approving ${token.slice(0, 8)}...`);
-        const tx = await c.approve(spender, amount);
-        await tx.wait();
+        const handle = await txManager.send(c, "approve", [spender, ethers.MaxUint256], { desc: `Approve ${token.slice(0, 8)}` });
+        await handle.wait();
     }
 }
 
-// =============== MARKET PRICE ===============
-async function getMarketPrices() {
-    try {
-        const res = await axios.get(
-            "https://api.coingecko.com/api/v3/simple/price?ids=ethereum,tether&vs_currencies=usd"
-        );
-        return {
-            ETH: res.data.ethereum.usd,
-            USDT: res.data.tether.usd,
-        };
-    } catch (err) {
-        console.error("⚠ Market price fetch failed:", err.message);
-        return null;
-    }
+async function isWorking(id) {
+    const o = await executor.getOrder(id);
+    return !o.filled && !o.cancelled && !o.claimed && o.amountIn > 0n && Number(o.expiry) > Date.now() / 1000;
 }
 
 // =============== ORDER CREATION ===============
 
-async function createLimitOrder({
-    tokenIn,
-    tokenOut,
-    amountInHuman,
-    priceTarget,
-    orderType, // 0 BUY, 1 SELL
-    triggerAbove,
-}) {
-    const infoIn = await getTokenInfo(tokenIn);
-    const pool = await factory.getPool(tokenIn, tokenOut, FEE);
-    if (pool === ethers.ZeroAddress) throw new Error("Pool not found");
-
-    const decimalsIn = infoIn.decimals;
-    const amountIn = ethers.parseUnits(amountInHuman.toString(), decimalsIn);
-
-    const targetSqrtPriceX96 = encodePriceSqrt(priceTarget);
-    const ttlSeconds = 600; // 10 min expiry
-    const amountOutMin = amountIn / 100n; // allow 1% slippage
-
-    await approve(tokenIn, EXECUTOR_ADDRESS, amountIn);
-
-    console.log(
-        `📝 Creating ${orderType === 0 ? "BUY" : "SELL"} order for ${infoIn.symbol}, targetPrice=${priceTarget}`
+async function createLimitOrder({ base, quote, side, price, sizeUsdt, pair }) {
+    const [b, q] = await Promise.all([getTokenInfo(base), getTokenInfo(quote)]);
+    const args = quoteOrderArgs(
+        { side, price, size: sizeUsdt / price, ttlSeconds: Number(REBALANCE_TTL) },
+        { base, quote, baseDecimals: b.decimals, quoteDecimals: q.decimals }
     );
+    if (!args) {
+        console.log(`  ⚠ Order rounds to zero at ${b.symbol}/${q.symbol} decimals, skipped`);
+        return;
+    }
 
-    const tx = await executor.depositAndCreateOrder(
-        tokenIn,
-        tokenOut,
-        pool,
-        amountIn,
-        amountOutMin,
-        targetSqrtPriceX96,
-        triggerAbove,
-        ttlSeconds,
-        orderType,
-        { gasLimit: 1_000_000 }
-    );
-    const receipt = await tx.wait();
+    const [tokenIn, , amountIn] = args;
+    const balance = await new ethers.Contract(tokenIn, ERC20_ABI, provider).balanceOf(wallet.address);
+    if (balance < amountIn) {
+        console.log(`  ⚠ Not enough ${side === "BUY" ? q.symbol : b.symbol} for a ${sizeUsdt} USDT order`);
+        return;
+    }
+
+    await approve(tokenIn, EXECUTOR_ADDRESS, amountIn);
+    console.log(`📝 Creating ${side} order for ${pair}, ${sizeUsdt} USDT @ ${price}`);
+
+    const handle = await txManager.send(executor, "depositAndCreateOrder", args, { desc: `Rebalance ${side} ${pair}` });
+    const receipt = await handle.wait();
+    for (const log of receipt.logs) {
+        try {
+            const ev = executor.interface.parseLog(log);
+            if (ev?.name === "OrderCreated") working.set(pair, Number(ev.args.orderId));
+        } catch { }
+    }
     console.log(`✅ Order created, tx: ${receipt.hash}`);
 }
 
 // =============== REBALANCING LOGIC ===============
 
-async function rebalance(tA, tB, marketPrice) {
-    const [infoA, infoB] = await Promise.all([getTokenInfo(tA), getTokenInfo(tB)]);
-    console.log(`\n📊 Checking ${infoA.symbol}/${infoB.symbol}`);
+async function rebalance(symbol, marketPrice) {
+    const base = TOKENS[symbol];
+    const quote = TOKENS.USDT;
+    const pair = `${symbol}/USDT`;
+    console.log(`\n📊 Checking ${pair}`);
 
-    const pd = await getPoolData(tA, tB);
-    if (!pd) {
-        console.log(`⚠ No pool found`);
+    if (working.has(pair) && (await isWorking(working.get(pair)))) {
+        console.log(`  ⏳ Order #${working.get(pair)} still working`);
         return;
     }
+    working.delete(pair);
 
-    const poolPrice = pd.token0.toLowerCase() === tA.toLowerCase() ? pd.price : 1 / pd.price;
-    const targetPrice = marketPrice[infoA.symbol] / marketPrice[infoB.symbol];
-    const lower = targetPrice * 0.99;
-    const upper = targetPrice * 1.01;
+    const pool = await getDeepestPool(base, quote);
+    if (!pool) {
+        console.log(`⚠ No pool with liquidity in fee tiers ${FEE_TIERS.join("/")}`);
+        return;
+    }
+
+    const price = poolPrice(pool.state);
+    const band = Number(REBALANCE_BAND);
+    const lower = marketPrice * (1 - band);
+    const upper = marketPrice * (1 + band);
 
     console.log(
-        `  Pool: ${poolPrice.toFixed(6)} | Market: ${targetPrice.toFixed(6)} | Range: [${lower.toFixed(
+        `  Pool (${pool.state.fee}): ${price.toFixed(6)} | Market: ${marketPrice.toFixed(6)} | Range: [${lower.toFixed(
             6
         )}, ${upper.toFixed(6)}]`
     );
 
-    if (poolPrice >= lower && poolPrice <= upper) {
+    const side = rebalanceSide(price, marketPrice, band);
+    if (!side) {
         console.log(`  ✓ In range, no order created.`);
         return;
     }
 
-    // Decide order type
-    const orderType = poolPrice < targetPrice ? 0 : 1; // 0 = BUY (expect price to go up), 1 = SELL
-    const triggerAbove = orderType === 0 ? false : true;
-
-    // Small test order (0.01)
-    const amountIn = "0.01";
-
     await createLimitOrder({
-        tokenIn: orderType === 0 ? TOKENS.USDT : TOKENS.ETH,
-        tokenOut: orderType === 0 ? TOKENS.ETH : TOKENS.USDT,
-        amountInHuman: amountIn,
-        priceTarget: targetPrice,
-        orderType,
-        triggerAbove,
+        base,
+        quote,
+        side,
+        price: marketPrice,
+        sizeUsdt: Number(REBALANCE_ORDER_USDT),
+        pair
     });
 }
 
 // =============== MAIN LOOP ===============
 async function main() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await cycle();
+    } finally {
+        isRunning = false;
+    }
+}
+
+async function cycle() {
     console.log(`\n${"=".repeat(60)}`);
     console.log(`⏰ ${new Date().toLocaleTimeString()}`);
     console.log(`${"=".repeat(60)}`);
 
-    const market = await getMarketPrices();
-    if (!market) return;
-
-    await rebalance(TOKENS.ETH, TOKENS.USDT, market);
+    const symbols = Object.keys(TOKENS).filter(s => s !== "USDT");
+    const { prices, failures } = await oracle.getPrices(symbols);
+    for (const [source, error] of Object.entries(failures)) console.error(`⚠ Market price source ${source} failed: ${error}`);
+
+    // One pair at a time: each may approve and create, all from the same wallet
+    for (const symbol of symbols) {
+        if (prices[symbol].price === null) {
+            console.log(`\n⏭ ${symbol}: no market price`);
+            continue;
+        }
+        try {
+            await rebalance(symbol, prices[symbol].price);
+        } catch (err) {
+            console.error(`❌ ${symbol}/USDT failed:`, err.shortMessage || err.message);
+        }
+    }
 }
 
+txManager.resume();
 main();
-setInterval(main, 60_000);
+setInterval(main, Number(REBALANCE_INTERVAL_MS));
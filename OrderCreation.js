@@ -7,17 +7,21 @@ const require = createRequire(import.meta.url);
 
 // Your external import (do NOT recreate it here)
 import { TOKENS } from "./constants.js";
+import { createTxManager } from "./txManager.js";
+import { connectNetwork, requireAddress } from "./network.js";
 
 const EXECUTOR_ABI = require("./ABI/LimitOrder.json");
 
-const { RPC_URL, PRIVATE_KEY, EXECUTOR_ADDRESS } = process.env;
+const { PRIVATE_KEY } = process.env;
 
-if (!RPC_URL || !PRIVATE_KEY || !EXECUTOR_ADDRESS)
+if (!PRIVATE_KEY)
     throw new Error("Missing .env values");
 
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+const { profile: network, provider } = await connectNetwork();
+const EXECUTOR_ADDRESS = requireAddress(network, "executor");
 const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 const executor = new ethers.Contract(EXECUTOR_ADDRESS, EXECUTOR_ABI, wallet);
+const txManager = createTxManager({ wallet, name: "tx-cancel" });
 
 console.log("💼 Wallet:", wallet.address);
 
@@ -91,14 +95,23 @@ async function cancelUSDTOpenOrders() {
 
     console.log(`🔥 Open USDT-pair orders to cancel: ${openIds.length}\n`);
 
+    // Submit every cancel first, then wait for them together
+    const pending = [];
     for (const id of openIds) {
         try {
             console.log(`❌ Cancelling #${id}...`);
-            const tx = await executor.cancelOrder(id, { gasLimit: 200000n });
-            await tx.wait();
-            console.log(`   ✅ Cancelled #${id}\n`);
+            pending.push({ id, handle: await txManager.send(executor, "cancelOrder", [id], { desc: `Cancel #${id}` }) });
         } catch (err) {
-            console.log(`   ⚠️ Failed to cancel #${id}: ${err.message}\n`);
+            console.log(`   ⚠️ Failed to cancel #${id}: ${err.shortMessage || err.message}\n`);
+        }
+    }
+
+    for (const { id, handle } of pending) {
+        try {
+            await handle.wait();
+            console.log(`   ✅ Cancelled #${id}`);
+        } catch (err) {
+            console.log(`   ⚠️ Failed to cancel #${id}: ${err.message}`);
         }
     }
 
@@ -0,0 +1,60 @@
+import { ethers } from "ethers";
+import { isOpen } from "./orderIndexer.js";
+import { derivedStatus } from "./orderResource.js";
+
+// Funds stay in the executor until an order fills, is cancelled or its expiry refund is claimed
+function lockedByToken(orders, now) {
+  const locked = {};
+  for (const o of orders) {
+    const status = derivedStatus(o, now);
+    if ((status !== "open" && status !== "expired") || o.amountIn === 0n) continue;
+    const l = locked[o.tokenIn] || (locked[o.tokenIn] = { amount: 0n, orders: 0 });
+    l.amount += o.amountIn;
+    l.orders++;
+  }
+  return locked;
+}
+
+// One fill per side the account was on, so a self-match shows up twice
+function accountFills(address, trades) {
+  const fills = [];
+  for (const t of trades) {
+    if (t.buyMaker === address) fills.push({ ...t, side: "BUY", orderId: t.buyOrderId, counterOrderId: t.sellOrderId });
+    if (t.sellMaker === address) fills.push({ ...t, side: "SELL", orderId: t.sellOrderId, counterOrderId: t.buyOrderId });
+  }
+  return fills.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
+
+function closedOrders(orders, status) {
+  return orders
+    .filter(o => o.status === status && (status !== "expired" || o.claimed))
+    .sort((a, b) => (b.closedBlock ?? b.updatedBlock) - (a.closedBlock ?? a.updatedBlock));
+}
+
+// Raw account view built from the indexer's orders and the trade history
+function buildAccount(address, { orders, trades, now = Math.floor(Date.now() / 1000) }) {
+  const addr = address.toLowerCase();
+  const own = orders.filter(o => o.maker === addr);
+
+  return {
+    address: addr,
+    openOrders: own.filter(o => isOpen(o, now)).sort((a, b) => b.id - a.id),
+    locked: lockedByToken(own, now),
+    fills: accountFills(addr, trades),
+    cancellations: closedOrders(own, "cancelled"),
+    expiredRefunds: closedOrders(own, "expired")
+  };
+}
+
+function formatRefund(o, tokens) {
+  const t = tokens[o.tokenIn];
+  return {
+    orderId: o.id,
+    token: { address: o.tokenIn, ...t },
+    refundedAmount: { raw: o.refundedAmount.toString(), human: t.decimals === null ? null : ethers.formatUnits(o.refundedAmount, t.decimals) },
+    blockNumber: o.closedBlock ?? o.updatedBlock,
+    txHash: o.closedTx ?? null
+  };
+}
+
+export { buildAccount, formatRefund };
@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import express from "express";
+import { ethers } from "ethers";
+import { appendJSONL, readJSONL, jsonSafe } from "./storage.js";
+import { decodeRevert } from "./txErrors.js";
+import { LISTS } from "./runtimeConfig.js";
+
+const AUDIT_FILE = "admin-audit.jsonl";
+const MAX_SKEW_MS = 5 * 60_000;
+const MIN_INTERVAL_MS = 1000;
+// Failed authentications are kept in memory only, the last this many: anyone can produce them
+const KEEP_REJECTED = 200;
+
+// ADMIN_API_KEYS="ops:secret1,alice:secret2"
+function parseKeys(raw = "") {
+  const keys = new Map();
+  for (const pair of raw.split(",").map(s => s.trim()).filter(Boolean)) {
+    const i = pair.indexOf(":");
+    if (i > 0) keys.set(pair.slice(0, i), pair.slice(i + 1));
+  }
+  return keys;
+}
+
+function sign(secret, { timestamp, method, path, body }) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${method}.${path}.${body}`).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a, "utf8");
+  const y = Buffer.from(b, "utf8");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Requests carry X-Api-Key, X-Timestamp (ms) and X-Signature: hex HMAC-SHA256 of
+// "timestamp.METHOD.path.body" with the key's secret, where path is the full URL path
+// including /admin and any query string. A signature is accepted once.
+function authenticate(keys, rejected) {
+  const seen = new Map();
+
+  return (req, res, next) => {
+    const keyId = req.get("x-api-key");
+    const timestamp = req.get("x-timestamp");
+    const signature = req.get("x-signature") || "";
+    const secret = keys.get(keyId);
+    const now = Date.now();
+
+    for (const [sig, at] of seen) if (now - at > MAX_SKEW_MS) seen.delete(sig);
+
+    const reject = reason => {
+      rejected.push({ ts: new Date().toISOString(), keyId: keyId || null, ip: req.ip, action: `${req.method} ${req.originalUrl}`, error: reason });
+      if (rejected.length > KEEP_REJECTED) rejected.shift();
+      res.status(401).json({ error: reason });
+    };
+
+    if (!secret) return reject("Unknown API key");
+    if (!timestamp || Math.abs(now - Number(timestamp)) > MAX_SKEW_MS) return reject("Stale or missing timestamp");
+
+    const expected = sign(secret, { timestamp, method: req.method, path: req.originalUrl, body: req.rawBody || "" });
+    if (!safeEqual(signature, expected)) return reject("Bad signature");
+    if (seen.has(signature)) return reject("Replayed request");
+
+    seen.set(signature, now);
+    req.adminKey = keyId;
+    next();
+  };
+}
+
+function audit(entry) {
+  appendJSONL(AUDIT_FILE, { ts: new Date().toISOString(), ...entry });
+}
+
+// Admin route group for the matcher. Every authenticated call lands in the audit log,
+// with its parameters and result or error; rejected ones are served from memory at /audit/rejected.
+function createAdminRouter({ keys, config, executor, txManager, indexer, tokens, dryRun = false }) {
+  const router = express.Router();
+  const rejected = [];
+
+  router.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString("utf8"); } }));
+  router.use(authenticate(keys, rejected));
+
+  // Reads are logged without their result, otherwise every audit read would copy the log into itself
+  function action(name, handler, { read = false } = {}) {
+    return async (req, res) => {
+      const params = { ...req.params, ...req.query, ...(req.body || {}) };
+      try {
+        const result = jsonSafe(await handler(req));
+        audit({ keyId: req.adminKey, ip: req.ip, action: name, params, ok: true, ...(read ? {} : { result }) });
+        res.json(result);
+      } catch (err) {
+        const error = decodeRevert(err, executor.interface);
+        audit({ keyId: req.adminKey, ip: req.ip, action: name, params, ok: false, error });
+        res.status(err.status || 500).json({ error });
+      }
+    };
+  }
+
+  function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+  }
+
+  function address(value, field = "address") {
+    if (!ethers.isAddress(value)) throw badRequest(`Invalid ${field}`);
+    return value.toLowerCase();
+  }
+
+  async function transact(method, args, desc) {
+    if (dryRun) {
+      await executor[method].staticCall(...args);
+      return { dryRun: true, method, args };
+    }
+    const handle = await txManager.send(executor, method, args, { desc });
+    const receipt = await handle.wait();
+    return { txHash: receipt.hash, gasUsed: receipt.gasUsed };
+  }
+
+  router.get("/config", action("config.read", () => config.get(), { read: true }));
+
+  router.post("/pause", action("matcher.pause", () => {
+    config.set("paused", true);
+    return config.get();
+  }));
+
+  router.post("/resume", action("matcher.resume", () => {
+    config.set("paused", false);
+    return config.get();
+  }));
+
+  router.put("/interval", action("matcher.interval", req => {
+    const ms = Number(req.body?.intervalMs);
+    if (!Number.isInteger(ms) || ms < MIN_INTERVAL_MS) throw badRequest(`intervalMs must be an integer >= ${MIN_INTERVAL_MS}`);
+    config.set("intervalMs", ms);
+    return config.get();
+  }));
+
+  // /lists/selfMatch, /lists/makerAllow, /lists/makerDeny
+  router.post("/lists/:list", action("list.add", req => {
+    if (!LISTS.includes(req.params.list)) throw badRequest(`list must be one of ${LISTS.join(", ")}`);
+    return { [req.params.list]: config.addTo(req.params.list, address(req.body?.address)) };
+  }));
+
+  router.delete("/lists/:list/:address", action("list.remove", req => {
+    if (!LISTS.includes(req.params.list)) throw badRequest(`list must be one of ${LISTS.join(", ")}`);
+    return { [req.params.list]: config.removeFrom(req.params.list, address(req.params.address)) };
+  }));
+
+  router.post("/orders/cancel", action("orders.cancel", async req => {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || !ids.length || !ids.every(Number.isInteger)) throw badRequest("ids must be a non-empty array of order ids");
+
+    const results = await Promise.allSettled(ids.map(id => transact("cancelOrder", [id], `Admin cancel #${id}`)));
+    return results.map((r, i) => r.status === "fulfilled"
+      ? { id: ids[i], ok: true, ...r.value }
+      : { id: ids[i], ok: false, error: decodeRevert(r.reason, executor.interface) });
+  }));
+
+  // Every configured token plus anything that has traded through the executor
+  router.get("/leftovers", action("leftovers.read", async () => {
+    const known = new Set(Object.values(tokens).map(t => t.toLowerCase()));
+    for (const o of indexer.getOrders()) {
+      known.add(o.tokenIn);
+      known.add(o.tokenOut);
+    }
+    const out = {};
+    await Promise.all([...known].map(async t => {
+      const amount = await executor.systemLeftover(t);
+      if (amount > 0n) out[t] = amount;
+    }));
+    return out;
+  }, { read: true }));
+
+  router.post("/leftovers/withdraw", action("leftovers.withdraw", req => {
+    return transact("ownerWithdrawLeftover", [address(req.body?.token, "token")], `Withdraw leftover ${req.body.token}`);
+  }));
+
+  // The new owner has to be typed twice, ownership can't be taken back by this key afterwards
+  router.post("/owner", action("executor.setOwner", async req => {
+    const newOwner = address(req.body?.newOwner, "newOwner");
+    if (String(req.body?.confirm || "").toLowerCase() !== newOwner) throw badRequest("confirm must repeat newOwner");
+    return { previousOwner: await executor.owner(), ...(await transact("setOwner", [newOwner], `Set owner ${newOwner}`)) };
+  }));
+
+  router.get("/audit", action("audit.read", req => {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    return readJSONL(AUDIT_FILE).slice(-limit).reverse();
+  }, { read: true }));
+
+  router.get("/audit/rejected", action("audit.rejected", () => [...rejected].reverse(), { read: true }));
+
+  return router;
+}
+
+export { createAdminRouter, parseKeys, sign };
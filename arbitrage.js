@@ -0,0 +1,111 @@
+import { BUY, SELL, baseToQuote, quoteToBase } from "./matchingEngine.js";
+import { toHuman, priceToNumber } from "./tokenRegistry.js";
+
+const Q96 = 2 ** 96;
+const FEE_UNITS = 1_000_000;
+const BPS = 10_000;
+// Trade sizes tried per opportunity, as fractions of what the book order can absorb
+const SIZE_STEPS = [1, 0.5, 0.25, 0.125, 0.0625, 0.03125];
+
+// Pool state in raw units: sqrtP is sqrt(token1 per token0), L the active liquidity, fee in millionths
+function poolState({ sqrtPriceX96, liquidity, token0, fee, base, baseDecimals, quoteDecimals }) {
+  return {
+    sqrtP: Number(sqrtPriceX96) / Q96,
+    L: Number(liquidity),
+    fee,
+    baseIsToken0: token0.toLowerCase() === base.toLowerCase(),
+    baseDecimals,
+    quoteDecimals
+  };
+}
+
+// Human quote per base at the pool's current tick
+function poolPrice(pool) {
+  const raw = pool.sqrtP * pool.sqrtP;
+  const token1PerToken0 = pool.baseIsToken0 ? raw : 1 / raw;
+  return token1PerToken0 * 10 ** (pool.baseDecimals - pool.quoteDecimals);
+}
+
+// Of several fee tiers of one pair, the one with the most in-range liquidity; L compares directly
+// because the tokens are the same. Entries are { state, ... } with state from poolState(); null if none is live.
+function deepestPool(pools) {
+  const live = pools.filter(p => p.state.L > 0);
+  if (!live.length) return null;
+  return live.reduce((best, p) => (p.state.L > best.state.L ? p : best));
+}
+
+// Output of an exact-input swap, in raw units, assuming the trade stays inside the active tick range.
+// Bigger trades cross ticks with less liquidity, so the estimate is optimistic for them and the
+// slippage tolerance on amountOutMinimum is what protects the trade.
+function swapExactIn(pool, baseIn, amountIn) {
+  if (pool.L === 0 || amountIn <= 0) return 0;
+  const net = amountIn * (1 - pool.fee / FEE_UNITS);
+  const zeroForOne = baseIn === pool.baseIsToken0;
+  if (zeroForOne) {
+    const next = (pool.L * pool.sqrtP) / (pool.L + net * pool.sqrtP);
+    return pool.L * (pool.sqrtP - next);
+  }
+  const next = pool.sqrtP + net / pool.L;
+  return pool.L * (1 / pool.sqrtP - 1 / next);
+}
+
+const human = (raw, decimals) => Number(toHuman(BigInt(Math.floor(raw)), decimals));
+
+// A resting ask below the pool: buy it on the book, sell the base into the pool
+function bookToPool(ask, pool, { gasCostQuote, slippageBps }) {
+  let best = null;
+  for (const step of SIZE_STEPS) {
+    const size = (ask.amountIn * BigInt(Math.round(step * 1e6))) / 1_000_000n;
+    if (size === 0n) continue;
+    const cost = baseToQuote(size, ask.targetPrice1e18, pool.baseDecimals, pool.quoteDecimals);
+    if (cost === 0n) continue;
+    const out = swapExactIn(pool, true, Number(size));
+    const minOut = Math.floor(out * (1 - slippageBps / BPS));
+    const profit = human(minOut, pool.quoteDecimals) - Number(toHuman(cost, pool.quoteDecimals)) - gasCostQuote;
+    if (!best || profit > best.profit) {
+      best = { direction: "BOOK_TO_POOL", order: ask, baseAmount: size, quoteAmount: cost, poolMinOut: BigInt(minOut), profit };
+    }
+  }
+  return best;
+}
+
+// A resting bid above the pool: buy base from the pool, sell it into the bid
+function poolToBook(bid, pool, { gasCostQuote, slippageBps }) {
+  let best = null;
+  const capacity = quoteToBase(bid.amountIn, bid.targetPrice1e18, pool.baseDecimals, pool.quoteDecimals);
+  for (const step of SIZE_STEPS) {
+    const quoteIn = (bid.amountIn * BigInt(Math.round(step * 1e6))) / 1_000_000n;
+    if (quoteIn === 0n) continue;
+    const out = swapExactIn(pool, false, Number(quoteIn));
+    const minOut = BigInt(Math.floor(out * (1 - slippageBps / BPS)));
+    const sold = minOut < capacity ? minOut : capacity;
+    if (sold === 0n) continue;
+    const proceeds = baseToQuote(sold, bid.targetPrice1e18, pool.baseDecimals, pool.quoteDecimals);
+    const profit = Number(toHuman(proceeds, pool.quoteDecimals)) - Number(toHuman(quoteIn, pool.quoteDecimals)) - gasCostQuote;
+    if (!best || profit > best.profit) {
+      best = { direction: "POOL_TO_BOOK", order: bid, baseAmount: sold, quoteAmount: quoteIn, poolMinOut: minOut, profit };
+    }
+  }
+  return best;
+}
+
+// Best opportunity between one book (open orders of one base/quote pair, ours excluded) and one pool,
+// or null. Only orders priced past the pool by more than its fee are evaluated; profit is net of fee,
+// slippage tolerance and gas, in quote units, and may still be below what's worth sending.
+function findOpportunity(orders, pool, { gasCostQuote = 0, slippageBps = 50 } = {}) {
+  const price = poolPrice(pool);
+  const feeRatio = pool.fee / FEE_UNITS;
+  let best = null;
+
+  for (const o of orders) {
+    const p = priceToNumber(o.targetPrice1e18);
+    let opp = null;
+    if (o.orderType === SELL && p < price * (1 - feeRatio)) opp = bookToPool(o, pool, { gasCostQuote, slippageBps });
+    if (o.orderType === BUY && p > price / (1 - feeRatio)) opp = poolToBook(o, pool, { gasCostQuote, slippageBps });
+    if (opp && (!best || opp.profit > best.profit)) best = { ...opp, bookPrice: p, poolPrice: price, fee: pool.fee };
+  }
+
+  return best;
+}
+
+export { poolState, poolPrice, deepestPool, swapExactIn, findOpportunity };
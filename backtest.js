@@ -0,0 +1,256 @@
+// Replays a price series and recorded order flow against the in-memory executor with the AMM bot's
+// quoting strategy and price alignment, fully offline. Usage: node backtest.js <config.json>
+//
+// Config:
+//   symbol            base symbol, quoted against USDT
+//   prices            CSV "timestamp,price" or JSON [{ timestamp, price }]; timestamps in s, ms or ISO
+//   flow              optional JSONL of other makers' orders: { timestamp, side, price, amount, ttlSeconds, maker }
+//   decimals          { base, quote }, default { base: 18, quote: 6 }
+//   balances          the bot's starting { base, quote } in human units
+//   cycleSeconds      how often the bot runs (AMMBot: 300)
+//   strategy          name in STRATEGIES, default "ladder"; strategyConfig overrides its defaults
+//   align             { enabled, amount, ttlSeconds } for updateLimitPrice's re-anchoring orders
+//   selfMatch         whether the matcher may cross the bot with itself (default true)
+//   dust              { base, quote } in human units below which the matcher ignores a remainder,
+//                     default DUST_THRESHOLD_DEFAULT like the token registry
+//   gas, gasPriceGwei, nativePrice   gas table overrides, gas price, native token price in USDT
+//   out               report file name under DATA_DIR, default backtest-<symbol>.json
+import fs from "fs";
+import { createExecutorModel } from "./executorModel.js";
+import { STRATEGIES, LADDER_DEFAULTS, createMarketMaker, priceAlignment, quoteOrderArgs } from "./marketMaker.js";
+import { toRaw, toHuman, parsePrice, priceToNumber } from "./tokenRegistry.js";
+import { isOpen } from "./orderIndexer.js";
+import { writeJSON } from "./storage.js";
+
+const BOT = "bot";
+const MATCHER = "matcher";
+const QUOTE = "usdt";
+
+function parseTimestamp(value) {
+  const n = Number(value);
+  if (Number.isFinite(n)) return Math.floor(n > 1e12 ? n / 1000 : n);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Bad timestamp ${value}`);
+  return Math.floor(ms / 1000);
+}
+
+function loadPrices(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const rows = file.endsWith(".json")
+    ? JSON.parse(text).map(r => (Array.isArray(r) ? r : [r.timestamp, r.price]))
+    : text.split(/\r?\n/).map(l => l.split(",")).filter(r => r.length >= 2 && Number.isFinite(Number(r[1])) && r[1].trim() !== "");
+  return rows.map(([t, p]) => ({ timestamp: parseTimestamp(t), price: Number(p) })).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function loadFlow(file) {
+  if (!file) return [];
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(l => l.trim()).map(l => {
+    const o = JSON.parse(l);
+    return { ...o, timestamp: parseTimestamp(o.timestamp), side: o.side.toUpperCase() };
+  }).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function runBacktest(cfg) {
+  const symbol = cfg.symbol.toUpperCase();
+  const base = symbol.toLowerCase();
+  const dec = { base: 18, quote: 6, ...(cfg.decimals || {}) };
+  const decimals = { [base]: dec.base, [QUOTE]: dec.quote };
+  const tokens = { base, quote: QUOTE, baseDecimals: dec.base, quoteDecimals: dec.quote };
+  const align = { enabled: true, amount: 0.0001, ttlSeconds: 86400, ...(cfg.align || {}) };
+  const cycleSeconds = cfg.cycleSeconds ?? 300;
+  const selfMatch = cfg.selfMatch ?? true;
+
+  const prices = loadPrices(cfg.prices);
+  const flow = loadFlow(cfg.flow);
+  if (!prices.length) throw new Error(`No prices in ${cfg.prices}`);
+
+  const model = createExecutorModel({ decimals, gas: cfg.gas });
+  model.credit(BOT, base, toRaw(cfg.balances?.base ?? 0, dec.base));
+  model.credit(BOT, QUOTE, toRaw(cfg.balances?.quote ?? 0, dec.quote));
+
+  let now = prices[0].timestamp;
+  let price = prices[0].price;
+  const approved = new Set();
+  const rejected = [];
+
+  function place(from, args) {
+    try {
+      return model.depositAndCreateOrder(from, args, now);
+    } catch (e) {
+      rejected.push({ timestamp: now, maker: from, reason: e.message });
+      return null;
+    }
+  }
+
+  function botOrders() {
+    return model.getOpenOrders(now).filter(o => o.maker === BOT);
+  }
+
+  function inventory() {
+    let b = model.balanceOf(BOT, base);
+    let q = model.balanceOf(BOT, QUOTE);
+    for (const o of botOrders()) {
+      if (o.tokenIn === base) b += o.amountIn;
+      else q += o.amountIn;
+    }
+    return { base: Number(toHuman(b, dec.base)), quote: Number(toHuman(q, dec.quote)) };
+  }
+
+  const strategyName = cfg.strategy || "ladder";
+  if (!STRATEGIES[strategyName]) throw new Error(`Unknown strategy "${strategyName}"`);
+  const marketMaker = createMarketMaker({
+    strategy: STRATEGIES[strategyName](),
+    configFor: () => ({ ...LADDER_DEFAULTS, ...(cfg.strategyConfig || {}) }),
+    persist: false,
+    adapter: {
+      isLive: async id => {
+        const o = model.getOrder(id);
+        return o ? isOpen(o, now) : false;
+      },
+      inventory: async () => inventory(),
+      place: async q => {
+        const args = quoteOrderArgs(q, tokens);
+        if (!args) return null;
+        if (!approved.has(args[0])) {
+          approved.add(args[0]);
+          model.chargeGas(BOT, "approve");
+        }
+        return place(BOT, args);
+      },
+      cancel: async id => {
+        try {
+          model.cancelOrder(BOT, id, now);
+          return true;
+        } catch {
+          return false;
+        }
+      }
+    }
+  });
+
+  const defaultDust = process.env.DUST_THRESHOLD_DEFAULT || "0.000001";
+  const dust = {
+    [base]: toRaw(cfg.dust?.base ?? defaultDust, dec.base),
+    [QUOTE]: toRaw(cfg.dust?.quote ?? defaultDust, dec.quote)
+  };
+  const matchOpts = { canSelfMatch: () => selfMatch, isDust: o => o.amountIn < dust[o.tokenIn] };
+  const samples = [];
+
+  // updateLimitPrice: a crossing buy and sell at the market price when the last fill drifted
+  function alignPrice() {
+    const contractPrice = priceToNumber(model.getLastExecutedPrice(base, QUOTE));
+    if (priceAlignment(contractPrice, price).aligned) return;
+    const amtBase = toRaw(align.amount, dec.base);
+    const amtQuote = toRaw(align.amount * price, dec.quote);
+    if (model.balanceOf(BOT, QUOTE) >= amtQuote) place(BOT, [QUOTE, base, amtQuote, amtBase, parsePrice(price), align.ttlSeconds, 0]);
+    if (model.balanceOf(BOT, base) >= amtBase) place(BOT, [base, QUOTE, amtBase, amtQuote, parsePrice(price), align.ttlSeconds, 1]);
+  }
+
+  async function botCycle() {
+    model.sweepExpired(MATCHER, now);
+    await marketMaker.run(symbol, price);
+    model.runMatcher(MATCHER, now, matchOpts);
+    if (align.enabled) alignPrice();
+    model.runMatcher(MATCHER, now, matchOpts);
+
+    const inv = inventory();
+    samples.push({ timestamp: now, price, ...inv, equity: inv.base * price + inv.quote, openOrders: botOrders().length });
+  }
+
+  function flowOrder(f) {
+    const maker = (f.maker || "flow").toLowerCase();
+    const args = quoteOrderArgs({ side: f.side, price: f.price, size: f.amount, ttlSeconds: f.ttlSeconds ?? 86400 }, tokens);
+    if (!args) return;
+    // Recorded flow was funded when it happened; mint what each order needs
+    model.credit(maker, args[0], args[2]);
+    place(maker, args);
+    model.runMatcher(MATCHER, now, matchOpts);
+  }
+
+  async function run() {
+    const end = Math.max(prices[prices.length - 1].timestamp, flow.length ? flow[flow.length - 1].timestamp : 0);
+    let pi = 0;
+    let fi = 0;
+    for (let t = prices[0].timestamp; t <= end; t += cycleSeconds) {
+      // Everything up to this cycle happens first, in time order
+      while (fi < flow.length && flow[fi].timestamp <= t) {
+        while (pi < prices.length && prices[pi].timestamp <= flow[fi].timestamp) price = prices[pi++].price;
+        now = flow[fi].timestamp;
+        flowOrder(flow[fi++]);
+      }
+      while (pi < prices.length && prices[pi].timestamp <= t) price = prices[pi++].price;
+      now = t;
+      await botCycle();
+    }
+    return report();
+  }
+
+  function report() {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const holdValue = first.base * last.price + first.quote;
+    const botFills = model.fills().filter(f => f.buyMaker === BOT || f.sellMaker === BOT).map(f => ({
+      timestamp: f.timestamp,
+      side: f.buyMaker === BOT && f.sellMaker === BOT ? "SELF" : f.buyMaker === BOT ? "BUY" : "SELL",
+      buyId: f.buyId,
+      sellId: f.sellId,
+      price: priceToNumber(f.price1e18),
+      base: Number(toHuman(f.baseAmount, dec.base)),
+      quote: Number(toHuman(f.quoteAmount, dec.quote))
+    }));
+
+    const gasPrice = (cfg.gasPriceGwei ?? 0) * 1e-9;
+    const gasReport = who => {
+      const byMethod = model.gasUsed(who);
+      const total = Object.values(byMethod).reduce((s, g) => s + g, 0);
+      return { byMethod, total, costNative: total * gasPrice, costQuote: total * gasPrice * (cfg.nativePrice ?? 0) };
+    };
+    const botGas = gasReport(BOT);
+
+    return {
+      symbol,
+      strategy: strategyName,
+      from: first.timestamp,
+      to: last.timestamp,
+      cycles: samples.length,
+      fills: {
+        count: botFills.length,
+        buys: botFills.filter(f => f.side === "BUY").length,
+        sells: botFills.filter(f => f.side === "SELL").length,
+        self: botFills.filter(f => f.side === "SELF").length,
+        volumeQuote: botFills.filter(f => f.side !== "SELF").reduce((s, f) => s + f.quote, 0)
+      },
+      pnl: {
+        startEquity: first.equity,
+        endEquity: last.equity,
+        pnl: last.equity - first.equity,
+        vsHold: last.equity - holdValue,
+        netOfGas: last.equity - first.equity - botGas.costQuote
+      },
+      gas: { bot: botGas, matcher: gasReport(MATCHER) },
+      rejectedOrders: rejected.length,
+      fillLog: botFills,
+      inventory: samples,
+      rejected
+    };
+  }
+
+  return run();
+}
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Usage: node backtest.js <config.json>");
+  process.exit(1);
+}
+const cfg = JSON.parse(fs.readFileSync(file, "utf8"));
+const result = await runBacktest(cfg);
+const out = cfg.out || `backtest-${result.symbol}.json`;
+writeJSON(out, result);
+
+const { fills, pnl, gas } = result;
+console.log(`📊 ${result.symbol} ${result.strategy}: ${result.cycles} cycles, ${new Date(result.from * 1000).toISOString()} → ${new Date(result.to * 1000).toISOString()}`);
+console.log(`   Fills: ${fills.count} (${fills.buys} buys, ${fills.sells} sells, ${fills.self} self), volume ${fills.volumeQuote.toFixed(2)} USDT`);
+console.log(`   Equity: ${pnl.startEquity.toFixed(4)} → ${pnl.endEquity.toFixed(4)} USDT | PnL ${pnl.pnl.toFixed(4)} | vs hold ${pnl.vsHold.toFixed(4)} | net of gas ${pnl.netOfGas.toFixed(4)}`);
+console.log(`   Gas: bot ${gas.bot.total} (${gas.bot.costNative} native), matcher ${gas.matcher.total}`);
+console.log(`   Rejected orders: ${result.rejectedOrders} | report: ${process.env.DATA_DIR || "./data"}/${out}`);
@@ -0,0 +1,353 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { BUY, SELL, baseOf, quoteOf, compareAsks, compareBids, baseToQuote, quoteToBase } from "./matchingEngine.js";
+import { toHuman, formatPrice } from "./tokenRegistry.js";
+import { FEE_TIERS } from "./poolAnalytics.js";
+import { sdkToken } from "./liquidity.js";
+
+const require = createRequire(import.meta.url);
+const { Pool } = require("@uniswap/v3-sdk");
+const { CurrencyAmount } = require("@uniswap/sdk-core");
+const POOL_ABI = require("./ABI/PoolABI.json").abi;
+const ROUTER_ABI = require("./ABI/RouterABI.json").abi;
+const EXECUTOR_ABI = require("./ABI/LimitOrder.json");
+const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
+
+const BPS = 10_000n;
+// Book share of a split route, tried in tenths
+const SPLIT_STEPS = 10;
+
+// Fills amountIn of tokenIn against resting executor orders that sell tokenOut for it, best price first.
+// The executor fills at the resting order's price, so each level is taken at its own targetPrice1e18.
+function simulateBook(orders, { tokenIn, tokenOut, amountIn, decimals }) {
+  const book = orders.filter(o => o.tokenIn === tokenOut && o.tokenOut === tokenIn);
+  if (!book.length) return null;
+  // Resting asks when we pay in their quote, resting bids when we pay in their base
+  const takerBuys = book[0].orderType === SELL;
+  book.sort(takerBuys ? compareAsks : compareBids);
+  const base = baseOf(book[0]);
+  const quote = quoteOf(book[0]);
+  const [bd, qd] = [decimals[base], decimals[quote]];
+
+  let remaining = amountIn;
+  let amountOut = 0n;
+  const fills = [];
+  for (const o of book) {
+    if (remaining === 0n) break;
+    const price = o.targetPrice1e18;
+    let spent;
+    let got;
+    if (takerBuys) {
+      const cost = baseToQuote(o.amountIn, price, bd, qd);
+      spent = remaining < cost ? remaining : cost;
+      got = spent === cost ? o.amountIn : quoteToBase(spent, price, bd, qd);
+    } else {
+      const capacity = quoteToBase(o.amountIn, price, bd, qd);
+      spent = remaining < capacity ? remaining : capacity;
+      got = spent === capacity ? o.amountIn : baseToQuote(spent, price, bd, qd);
+    }
+    if (got === 0n) continue;
+    remaining -= spent;
+    amountOut += got;
+    fills.push({ id: o.id, price1e18: price, amountIn: spent, amountOut: got });
+  }
+  if (!fills.length) return null;
+
+  return {
+    orderType: takerBuys ? BUY : SELL,
+    amountIn: amountIn - remaining,
+    amountOut,
+    fills,
+    bestPrice1e18: fills[0].price1e18,
+    // The taker order is priced at the last level it takes, so it crosses every level before it
+    limitPrice1e18: fills[fills.length - 1].price1e18,
+    base,
+    quote
+  };
+}
+
+// Tick data for swaps that stay within `words` bitmap words of the current tick. Anything further was
+// never loaded, so a swap reaching it throws rather than pretend the liquidity runs on unchanged.
+function loadedTicks(ticks, minWord, maxWord) {
+  const sorted = [...ticks].sort((a, b) => a.index - b.index);
+  return {
+    async getTick(tick) {
+      const t = sorted.find(x => x.index === tick);
+      if (!t) throw new Error(`Tick ${tick} not loaded`);
+      return t;
+    },
+    async nextInitializedTickWithinOneWord(tick, lte, tickSpacing) {
+      const compressed = Math.floor(tick / tickSpacing);
+      if (lte) {
+        const wordPos = compressed >> 8;
+        if (wordPos < minWord) throw new Error("Swap runs past the loaded ticks");
+        const minimum = (wordPos << 8) * tickSpacing;
+        const next = sorted.filter(t => t.index <= tick).pop();
+        return next && next.index >= minimum ? [next.index, true] : [minimum, false];
+      }
+      const wordPos = (compressed + 1) >> 8;
+      if (wordPos > maxWord) throw new Error("Swap runs past the loaded ticks");
+      const maximum = (((wordPos + 1) << 8) - 1) * tickSpacing;
+      const next = sorted.find(t => t.index > tick);
+      return next && next.index <= maximum ? [next.index, true] : [maximum, false];
+    }
+  };
+}
+
+function encodePath(hops) {
+  const types = [];
+  const values = [];
+  hops.forEach((h, i) => {
+    if (i === 0) {
+      types.push("address");
+      values.push(h.tokenIn.address);
+    }
+    types.push("uint24", "address");
+    values.push(h.fee, h.tokenOut.address);
+  });
+  return ethers.solidityPacked(types, values);
+}
+
+const applySlippage = (amount, slippageBps) => (amount * (BPS - BigInt(slippageBps))) / BPS;
+
+// Quotes amountIn of tokenIn -> tokenOut across the executor's book and Uniswap V3 pools: direct in every
+// fee tier or through one connector token, and the best split between the book and the best pool route.
+// Pool state is cached for poolCacheMs so a burst of quotes doesn't reload every pool's ticks.
+function createQuoter({
+  provider,
+  network,
+  registry,
+  getOrders,
+  connectors = ["USDT", "USDC"],
+  tickWords = 2,
+  poolCacheMs = 15_000
+}) {
+  // Without a factory in the profile only the book is quoted
+  const factory = network.factory ? new ethers.Contract(network.factory, FACTORY_ABI, provider) : null;
+  const router = new ethers.Interface(ROUTER_ABI);
+  const executor = new ethers.Interface(EXECUTOR_ABI);
+  const pools = new Map();
+  let chainId = null;
+
+  async function token(address) {
+    if (chainId === null) chainId = (await provider.getNetwork()).chainId;
+    const info = await registry.resolve(address);
+    return sdkToken(chainId, { ...info, address: ethers.getAddress(address) });
+  }
+
+  async function fetchTicks(contract, tickSpacing, tickCurrent) {
+    const word = Math.floor(tickCurrent / tickSpacing) >> 8;
+    const words = [];
+    for (let w = word - tickWords; w <= word + tickWords; w++) words.push(w);
+    const bitmaps = await Promise.all(words.map(w => contract.tickBitmap(w)));
+
+    const indexes = [];
+    bitmaps.forEach((bitmap, i) => {
+      for (let bit = 0; bit < 256; bit++) {
+        if ((bitmap >> BigInt(bit)) & 1n) indexes.push(((words[i] << 8) + bit) * tickSpacing);
+      }
+    });
+    const ticks = await Promise.all(indexes.map(async index => {
+      const t = await contract.ticks(index);
+      return { index, liquidityNet: t.liquidityNet.toString(), liquidityGross: t.liquidityGross.toString() };
+    }));
+    return { ticks, minWord: word - tickWords, maxWord: word + tickWords };
+  }
+
+  async function loadPool(a, b, fee) {
+    const key = `${[a, b].sort().join("-")}-${fee}`;
+    const cached = pools.get(key);
+    if (cached && Date.now() - cached.at < poolCacheMs) return cached.value;
+
+    const promise = (async () => {
+      const address = await factory.getPool(a, b, fee);
+      if (address === ethers.ZeroAddress) return null;
+      const contract = new ethers.Contract(address, POOL_ABI, provider);
+      const [slot0, liquidity, tickSpacing, tokenA, tokenB] = await Promise.all([
+        contract.slot0(), contract.liquidity(), contract.tickSpacing(), token(a), token(b)
+      ]);
+      const tick = Number(slot0[1]);
+      const { ticks, minWord, maxWord } = await fetchTicks(contract, Number(tickSpacing), tick);
+      if (liquidity === 0n && !ticks.length) return null;
+      const pool = new Pool(tokenA, tokenB, fee, slot0[0].toString(), liquidity.toString(), tick, loadedTicks(ticks, minWord, maxWord));
+      return { address: address.toLowerCase(), fee, pool };
+    })();
+    pools.set(key, { at: Date.now(), value: promise });
+    // A failed load isn't cached
+    promise.catch(() => pools.delete(key));
+    return promise;
+  }
+
+  // Every direct and one-connector path with a live pool at each hop
+  async function candidatePaths(tokenIn, tokenOut) {
+    const mids = connectors.map(s => network.tokens[s]?.toLowerCase()).filter(m => m && m !== tokenIn && m !== tokenOut);
+    const hop = async (a, b) => {
+      const loaded = await Promise.all(FEE_TIERS.map(fee => loadPool(a, b, fee).catch(() => null)));
+      return loaded.filter(Boolean);
+    };
+    const [tIn, tOut] = await Promise.all([token(tokenIn), token(tokenOut)]);
+    const paths = (await hop(tokenIn, tokenOut)).map(p => [{ ...p, tokenIn: tIn, tokenOut: tOut }]);
+
+    for (const mid of mids) {
+      const [first, second, tMid] = await Promise.all([hop(tokenIn, mid), hop(mid, tokenOut), token(mid)]);
+      for (const p1 of first) {
+        for (const p2 of second) {
+          paths.push([{ ...p1, tokenIn: tIn, tokenOut: tMid }, { ...p2, tokenIn: tMid, tokenOut: tOut }]);
+        }
+      }
+    }
+    return paths;
+  }
+
+  async function simulatePath(hops, amountIn) {
+    if (amountIn === 0n) return 0n;
+    let amount = CurrencyAmount.fromRawAmount(hops[0].tokenIn, amountIn.toString());
+    for (const h of hops) [amount] = await h.pool.getOutputAmount(amount);
+    return BigInt(amount.quotient.toString());
+  }
+
+  // Mid-price of a path, in human tokenOut per tokenIn
+  function spotRate(hops) {
+    return hops.reduce((rate, h) => rate * Number(h.pool.priceOf(h.tokenIn).toSignificant(12)), 1);
+  }
+
+  // Human tokenOut per tokenIn at the book's best level
+  function bookRate(sim, tokenIn) {
+    const price = Number(formatPrice(sim.bestPrice1e18));
+    if (price === 0) return 0;
+    return tokenIn === sim.quote ? 1 / price : price;
+  }
+
+  function poolLeg(hops, amountIn, amountOut, { recipient, slippageBps, deadline }) {
+    const amountOutMinimum = applySlippage(amountOut, slippageBps);
+    let tx = null;
+    if (recipient && network.router) {
+      const data = hops.length === 1
+        ? router.encodeFunctionData("exactInputSingle", [{
+          tokenIn: hops[0].tokenIn.address,
+          tokenOut: hops[0].tokenOut.address,
+          fee: hops[0].fee,
+          recipient,
+          deadline,
+          amountIn,
+          amountOutMinimum,
+          sqrtPriceLimitX96: 0
+        }])
+        : router.encodeFunctionData("exactInput", [{ path: encodePath(hops), recipient, deadline, amountIn, amountOutMinimum }]);
+      tx = { to: network.router, data, value: "0" };
+    }
+    return {
+      source: "pool",
+      path: hops.map(h => ({ pool: h.address, fee: h.fee, tokenIn: h.tokenIn.address.toLowerCase(), tokenOut: h.tokenOut.address.toLowerCase() })),
+      amountIn,
+      amountOut,
+      amountOutMinimum,
+      approval: network.router ? { token: hops[0].tokenIn.address.toLowerCase(), spender: network.router.toLowerCase(), amount: amountIn } : null,
+      tx
+    };
+  }
+
+  // A crossing order at the worst level taken; the matcher (or the taker, through matchOrders) fills it
+  function bookLeg(sim, { tokenIn, tokenOut, ttlSeconds, decimals }) {
+    const [bd, qd] = [decimals[sim.base], decimals[sim.quote]];
+    const amountOutMin = sim.orderType === BUY
+      ? quoteToBase(sim.amountIn, sim.limitPrice1e18, bd, qd)
+      : baseToQuote(sim.amountIn, sim.limitPrice1e18, bd, qd);
+    const args = [tokenIn, tokenOut, sim.amountIn, amountOutMin, sim.limitPrice1e18, ttlSeconds, sim.orderType];
+    return {
+      source: "book",
+      orders: sim.fills.map(f => ({ id: f.id, price: formatPrice(f.price1e18), amountIn: f.amountIn, amountOut: f.amountOut })),
+      limitPrice: formatPrice(sim.limitPrice1e18),
+      amountIn: sim.amountIn,
+      amountOut: sim.amountOut,
+      amountOutMinimum: amountOutMin,
+      approval: network.executor ? { token: tokenIn, spender: network.executor.toLowerCase(), amount: sim.amountIn } : null,
+      tx: network.executor ? { to: network.executor, data: executor.encodeFunctionData("depositAndCreateOrder", args), value: "0" } : null
+    };
+  }
+
+  async function quote({ tokenIn, tokenOut, amountIn, recipient = null, slippageBps = 50, ttlSeconds = 300, deadlineSeconds = 600 }) {
+    tokenIn = tokenIn.toLowerCase();
+    tokenOut = tokenOut.toLowerCase();
+    const [infoIn, infoOut] = await Promise.all([registry.resolve(tokenIn), registry.resolve(tokenOut)]);
+    const decimals = { [tokenIn]: infoIn.decimals, [tokenOut]: infoOut.decimals };
+    const opts = { recipient, slippageBps, deadline: Math.floor(Date.now() / 1000) + deadlineSeconds, tokenIn, tokenOut, ttlSeconds, decimals };
+    const orders = getOrders();
+    const book = share => (share === 0n ? null : simulateBook(orders, { tokenIn, tokenOut, amountIn: share, decimals }));
+
+    // Pool routes are ranked on the full amount; the split then uses the best of them
+    const paths = factory ? await candidatePaths(tokenIn, tokenOut) : [];
+    const poolRoutes = [];
+    const skipped = [];
+    for (const hops of paths) {
+      try {
+        poolRoutes.push({ hops, amountOut: await simulatePath(hops, amountIn) });
+      } catch (e) {
+        skipped.push({ path: hops.map(h => h.address), reason: e.message });
+      }
+    }
+    poolRoutes.sort((a, b) => (a.amountOut === b.amountOut ? 0 : a.amountOut > b.amountOut ? -1 : 1));
+    const bestPool = poolRoutes[0] || null;
+
+    // Whatever the book can't absorb of its share goes to the pool; a route that fills more of the
+    // input wins over one that pays better on less of it
+    let best = null;
+    for (let step = 0; step <= SPLIT_STEPS; step++) {
+      const bookSim = book((amountIn * BigInt(step)) / BigInt(SPLIT_STEPS));
+      if (step > 0 && !bookSim) break;
+      const bookIn = bookSim?.amountIn ?? 0n;
+      const poolShare = bestPool ? amountIn - bookIn : 0n;
+      let poolOut = 0n;
+      try {
+        poolOut = poolShare > 0n ? await simulatePath(bestPool.hops, poolShare) : 0n;
+      } catch (e) {
+        skipped.push({ path: bestPool.hops.map(h => h.address), bookShare: `${step}/${SPLIT_STEPS}`, reason: e.message });
+        continue;
+      }
+      const candidate = { bookSim, poolShare, poolOut, filledIn: bookIn + poolShare, amountOut: (bookSim?.amountOut ?? 0n) + poolOut };
+      if (!best || candidate.filledIn > best.filledIn || (candidate.filledIn === best.filledIn && candidate.amountOut > best.amountOut)) {
+        best = candidate;
+      }
+    }
+    if (!best || best.amountOut === 0n) return { route: null, skipped };
+
+    const legs = [];
+    if (best.bookSim) legs.push(bookLeg(best.bookSim, opts));
+    if (best.poolShare > 0n) legs.push(poolLeg(bestPool.hops, best.poolShare, best.poolOut, opts));
+    const { filledIn } = best;
+
+    // Impact against the best marginal rate any source offered before the trade
+    const reference = Math.max(bestPool ? spotRate(bestPool.hops) : 0, best.bookSim ? bookRate(best.bookSim, tokenIn) : 0);
+    const rate = Number(toHuman(best.amountOut, infoOut.decimals)) / Number(toHuman(filledIn, infoIn.decimals));
+    const fullBook = book(amountIn);
+
+    return {
+      tokenIn: { address: tokenIn, symbol: infoIn.symbol, decimals: infoIn.decimals },
+      tokenOut: { address: tokenOut, symbol: infoOut.symbol, decimals: infoOut.decimals },
+      amountIn: toHuman(amountIn, infoIn.decimals),
+      amountOut: toHuman(best.amountOut, infoOut.decimals),
+      amountOutRaw: best.amountOut,
+      // Only the book can leave part of the input unfilled
+      unfilledIn: toHuman(amountIn - filledIn, infoIn.decimals),
+      rate,
+      priceImpact: reference > 0 ? 1 - rate / reference : null,
+      route: legs.length > 1 ? "split" : legs[0].source,
+      legs: legs.map(l => ({
+        ...l,
+        amountIn: toHuman(l.amountIn, infoIn.decimals),
+        amountOut: toHuman(l.amountOut, infoOut.decimals),
+        amountOutMinimum: toHuman(l.amountOutMinimum, infoOut.decimals),
+        orders: l.orders?.map(o => ({ ...o, amountIn: toHuman(o.amountIn, infoIn.decimals), amountOut: toHuman(o.amountOut, infoOut.decimals) }))
+      })),
+      alternatives: [
+        ...(fullBook ? [{ route: "book", amountOut: toHuman(fullBook.amountOut, infoOut.decimals), unfilledIn: toHuman(amountIn - fullBook.amountIn, infoIn.decimals) }] : []),
+        ...poolRoutes.map(r => ({ route: "pool", path: r.hops.map(h => ({ pool: h.address, fee: h.fee })), amountOut: toHuman(r.amountOut, infoOut.decimals) }))
+      ],
+      skipped
+    };
+  }
+
+  return { quote };
+}
+
+export { simulateBook, encodePath, createQuoter };
@@ -1,4 +1,8 @@
-const FACTORY_ADDRESS = "0x339A0Da8ffC7a6fc98Bf2FC53a17dEEf36F0D9c3"; // UniswapV3Factory
+import { loadNetwork } from "./network.js";
+
+// Addresses come from the active profile in networks.json (NETWORK env, default "skyhigh")
+const NETWORK = loadNetwork();
+const FACTORY_ADDRESS = NETWORK.factory; // UniswapV3Factory
 const FACTORY_ABI = [
   "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
 ];
@@ -27,36 +31,7 @@ const COINGECKO_IDS = {
   ENA: "ethena",
   LDO: "lido-dao"
 };
-const TOKENS = {
-  USDT: "0x0F7782ef1Bd024E75a47d344496022563F0C1A38",
-  USDC: "0x72A042A8a454BF928Cf940f720875A73cBc84a84",
-  USDE: "0xB25202f5748116bC5A5e9eB3fCaBC7d5b5777996",
-
-  ETH: "0x50Bb32FCB594978967265135E4d41849d7F646e0",
-  BTC: "0x472712a5eBF2e8341A3091Cd9C05A6fd42814d14",
-  BNB: "0x6987b2ac4CCf7f48e5B0eF4C2F499F49f81f37b3",
-
-  MATIC: "0xF8705A80676725ADBA0d111792fbdfc92255F595",
-  SOL: "0xc927a357Ae3dEC46BF7eBB047942B488f8c01238",
-  TRX: "0xF777A2A02cC7b55A6bC1b9bB6D832cFF8884BbA3",
-  ADA: "0x55B69991f8456B16746f9edf6B3dEB0Cdd62D0EF",
-  AVAX: "0xf75E9a9AD4022bADee7878f4E65c8db398fbC5f4",
-  
-  DOGE: "0x61d5144E54960855Ec0aAD5934666606A9A00126",
-  HYPE: "0xdCa42fd635B682c90494B5A21BAC4983F9488242",
-  LINK: "0x5C219A513A4198a84dAcf088c229E41257838A8d",
-  XLM: "0x915B598672af18CB88B074B8689419752Fba2199",
-  SUI: "0xd918a6EC7Ae556D38fE6F76C27f17f99a1CD3d2F",
-  HBAR: "0xEc0629035F1AA6A71f3B2eBc6145EF26d74f8E3B",
-  LEO: "0xd75fA7c2380f539320F9ABD29D09f48DbEB0E13E",
-  TON: "0x4B8B79BB520728ffba0201F7B65a7E2A1505007E",
-  DOT: "0x36fFcfd7B91c261f56A98Bf9F6F6B596cbdC837E",
-  GALA: "0x48cA5b08052E98b9204Efd299bF4950D8d6FbBc7",
-  ENA: "0x121Af72ceF324aA2a713bbB333A2A770daC24a00",
-  LDO: "0xa4F09a22Ffc533b23A1C8e73290dAd69F065978f"
-};
-const POOL_MAP = {
-  "USDC_USDT": "0xcA9b35D3F61c816246E6828440feC94bb43c8f12"
-};
+const TOKENS = NETWORK.tokens;
+const POOL_MAP = NETWORK.pools;
 
-export { FACTORY_ADDRESS, FACTORY_ABI, COINGECKO_IDS,TOKENS, POOL_MAP };
\ No newline at end of file
+export { NETWORK, FACTORY_ADDRESS, FACTORY_ABI, COINGECKO_IDS, TOKENS, POOL_MAP };
\ No newline at end of file
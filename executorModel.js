@@ -0,0 +1,169 @@
+import { BUY, SELL, pairKey, baseOf, pricesMatch, buildMatchPlan, baseToQuote, quoteToBase } from "./matchingEngine.js";
+import { isOpen } from "./orderIndexer.js";
+
+// Gas per call as measured on the executor; used for estimates only
+const GAS_DEFAULTS = {
+  depositAndCreateOrder: 260_000,
+  cancelOrder: 70_000,
+  matchOrders: 190_000,
+  claimExpired: 80_000,
+  approve: 46_000
+};
+
+function revert(reason) {
+  const err = new Error(`execution reverted: ${reason}`);
+  err.code = "CALL_EXCEPTION";
+  return err;
+}
+
+// In-memory stand-in for the executor: escrow on create, price-checked fills, refunds on cancel and
+// expiry. Orders have the indexer's shape so the matcher and order helpers work on them unchanged.
+// Time is whatever the caller passes in (seconds); nothing here reads the clock.
+function createExecutorModel({ decimals, gas = {} }) {
+  const gasTable = { ...GAS_DEFAULTS, ...gas };
+  const orders = new Map();
+  const balances = new Map();
+  const lastPrice = new Map();
+  const fills = [];
+  const gasUsed = new Map();
+  let nextId = 1;
+
+  const key = (owner, token) => `${owner.toLowerCase()}:${token.toLowerCase()}`;
+  const balanceOf = (owner, token) => balances.get(key(owner, token)) ?? 0n;
+
+  function credit(owner, token, amount) {
+    balances.set(key(owner, token), balanceOf(owner, token) + amount);
+  }
+
+  function debit(owner, token, amount) {
+    if (balanceOf(owner, token) < amount) throw revert(`insufficient ${token} balance`);
+    balances.set(key(owner, token), balanceOf(owner, token) - amount);
+  }
+
+  function chargeGas(from, method) {
+    const who = from.toLowerCase();
+    const used = gasUsed.get(who) || {};
+    used[method] = (used[method] || 0) + gasTable[method];
+    gasUsed.set(who, used);
+  }
+
+  function getOrder(id) {
+    const o = orders.get(Number(id));
+    if (!o) throw revert(`order ${id} does not exist`);
+    return o;
+  }
+
+  function depositAndCreateOrder(from, [tokenIn, tokenOut, amountIn, amountOutMin, targetPrice1e18, ttlSeconds, orderType], now) {
+    if (amountIn <= 0n) throw revert("zero amount");
+    if (orderType !== BUY && orderType !== SELL) throw revert("bad order type");
+    debit(from, tokenIn, amountIn);
+    chargeGas(from, "depositAndCreateOrder");
+
+    const id = nextId++;
+    orders.set(id, {
+      id,
+      maker: from.toLowerCase(),
+      tokenIn: tokenIn.toLowerCase(),
+      tokenOut: tokenOut.toLowerCase(),
+      amountIn,
+      amountOutMin,
+      originalAmountIn: amountIn,
+      targetPrice1e18,
+      expiry: now + Number(ttlSeconds),
+      orderType,
+      status: "open",
+      createdAt: now
+    });
+    return id;
+  }
+
+  function cancelOrder(from, id, now) {
+    const o = getOrder(id);
+    if (o.maker !== from.toLowerCase()) throw revert("not the maker");
+    if (o.status !== "open") throw revert(`order ${id} is ${o.status}`);
+    chargeGas(from, "cancelOrder");
+    credit(o.maker, o.tokenIn, o.amountIn);
+    Object.assign(o, { status: "cancelled", refunded: o.amountIn, amountIn: 0n, closedAt: now });
+  }
+
+  // Same rules as the off-chain planner: the tolerance of pricesMatch() and the older order's price
+  function matchOrders(from, buyId, sellId, now) {
+    const buy = getOrder(buyId);
+    const sell = getOrder(sellId);
+    if (buy.orderType !== BUY || sell.orderType !== SELL) throw revert("wrong sides");
+    if (!isOpen(buy, now) || !isOpen(sell, now)) throw revert("order not open");
+    if (pairKey(buy.tokenIn, buy.tokenOut) !== pairKey(sell.tokenIn, sell.tokenOut)) throw revert("pair mismatch");
+    if (!pricesMatch(buy.targetPrice1e18, sell.targetPrice1e18)) throw revert("prices do not cross");
+
+    const base = baseOf(buy);
+    const quote = buy.tokenIn;
+    const price1e18 = buy.id < sell.id ? buy.targetPrice1e18 : sell.targetPrice1e18;
+    const capacity = quoteToBase(buy.amountIn, price1e18, decimals[base], decimals[quote]);
+    const baseAmount = sell.amountIn < capacity ? sell.amountIn : capacity;
+    if (baseAmount === 0n) throw revert("nothing to fill");
+    let quoteAmount = baseToQuote(baseAmount, price1e18, decimals[base], decimals[quote]);
+    if (quoteAmount > buy.amountIn) quoteAmount = buy.amountIn;
+    if (quoteAmount === 0n) throw revert("fill rounds to zero quote");
+
+    chargeGas(from, "matchOrders");
+    buy.amountIn -= quoteAmount;
+    sell.amountIn -= baseAmount;
+    credit(buy.maker, base, baseAmount);
+    credit(sell.maker, quote, quoteAmount);
+    if (buy.amountIn === 0n) Object.assign(buy, { status: "filled", closedAt: now });
+    if (sell.amountIn === 0n) Object.assign(sell, { status: "filled", closedAt: now });
+    lastPrice.set(pairKey(base, quote), price1e18);
+
+    const fill = { timestamp: now, buyId: buy.id, sellId: sell.id, buyMaker: buy.maker, sellMaker: sell.maker, base, quote, price1e18, baseAmount, quoteAmount };
+    fills.push(fill);
+    return fill;
+  }
+
+  function claimExpired(from, id, now) {
+    const o = getOrder(id);
+    if (o.status !== "open" || o.expiry > now) throw revert(`order ${id} has not expired`);
+    chargeGas(from, "claimExpired");
+    credit(o.maker, o.tokenIn, o.amountIn);
+    Object.assign(o, { status: "claimed", refunded: o.amountIn, amountIn: 0n, closedAt: now });
+  }
+
+  // One matcher cycle as index.js runs it: plan over the open book, then send the matches in order.
+  // A match that no longer fits (an earlier one consumed the order) reverts and is skipped.
+  function runMatcher(from, now, { isDust, canSelfMatch } = {}) {
+    const { matches } = buildMatchPlan([...orders.values()].filter(o => isOpen(o, now)), { decimals, isDust, canSelfMatch });
+    const done = [];
+    for (const m of matches) {
+      try {
+        done.push(matchOrders(from, m.buyId, m.sellId, now));
+      } catch { }
+    }
+    return done;
+  }
+
+  // What the expiry sweeper does: refund every order past its expiry
+  function sweepExpired(from, now) {
+    const expired = [...orders.values()].filter(o => o.status === "open" && o.expiry <= now && o.amountIn > 0n);
+    for (const o of expired) claimExpired(from, o.id, now);
+    return expired.map(o => o.id);
+  }
+
+  return {
+    depositAndCreateOrder,
+    cancelOrder,
+    matchOrders,
+    claimExpired,
+    runMatcher,
+    sweepExpired,
+    credit,
+    balanceOf,
+    getOrder: id => orders.get(Number(id)) || null,
+    getOrders: () => [...orders.values()],
+    getOpenOrders: now => [...orders.values()].filter(o => isOpen(o, now)),
+    getLastExecutedPrice: (tokenA, tokenB) => lastPrice.get(pairKey(tokenA, tokenB)) ?? 0n,
+    chargeGas,
+    gasUsed: from => ({ ...(gasUsed.get(from.toLowerCase()) || {}) }),
+    fills: () => [...fills]
+  };
+}
+
+export { GAS_DEFAULTS, createExecutorModel };
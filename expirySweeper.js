@@ -0,0 +1,175 @@
+import { readJSON, writeJSON } from "./storage.js";
+import { decodeRevert } from "./txErrors.js";
+
+const KEEP_HISTORY = 200;
+// Orders whose sweep keeps reverting are left alone for a while instead of every cycle
+const RETRY_FAILED_MS = 60 * 60_000;
+
+// Groups sorted ids into [fromId, toId] ranges, tolerating small gaps of live orders in between
+function buildRanges(ids, maxBatch, maxGap) {
+  const ranges = [];
+  for (const id of ids) {
+    const last = ranges[ranges.length - 1];
+    if (last && id - last[1] <= maxGap + 1 && id - last[0] < maxBatch) last[1] = id;
+    else ranges.push([id, id]);
+  }
+  return ranges;
+}
+
+function createExpirySweeper({
+  indexer,
+  executor,
+  txManager,
+  name = "sweeper",
+  maxBatch = Number(process.env.SWEEP_MAX_BATCH || 50),
+  maxGap = 5,
+  maxGas = BigInt(process.env.SWEEP_MAX_GAS || 3_000_000),
+  graceSeconds = 60,
+  dryRun = false
+}) {
+  const file = `${name}.json`;
+  const saved = readJSON(file, { sweeps: [], refunds: [] });
+
+  const sweeps = saved.sweeps;
+  const refunds = saved.refunds;
+  const seen = new Set(refunds.map(r => `${r.txHash}:${r.logIndex}`));
+  let dirty = false;
+  const failedAt = new Map();
+  let running = false;
+  let lastRunAt = null;
+  let lastError = null;
+
+  function save() {
+    writeJSON(file, {
+      sweeps: sweeps.slice(-KEEP_HISTORY),
+      refunds: refunds.slice(-KEEP_HISTORY)
+    });
+  }
+
+  // Every ExpiredOrderClaimed counts, whoever triggered the distribution; written once per synced batch
+  indexer.on("event", e => {
+    if (e.type !== "claimed") return;
+    const key = `${e.txHash}:${e.logIndex}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const o = e.order;
+    refunds.push({
+      orderId: o.id,
+      maker: o.maker,
+      token: o.tokenIn,
+      amount: o.refundedAmount,
+      txHash: e.txHash,
+      logIndex: e.logIndex,
+      blockNumber: e.blockNumber
+    });
+    if (refunds.length > KEEP_HISTORY) {
+      const old = refunds.shift();
+      seen.delete(`${old.txHash}:${old.logIndex}`);
+    }
+    dirty = true;
+  });
+
+  indexer.on("synced", () => {
+    if (!dirty) return;
+    dirty = false;
+    save();
+  });
+
+  function expiredUnclaimed(now = Math.floor(Date.now() / 1000)) {
+    return indexer.getOrders()
+      .filter(o => o.status === "open" && !o.claimed && o.amountIn > 0n && o.expiry + graceSeconds <= now)
+      .filter(o => !failedAt.has(o.id) || Date.now() - failedAt.get(o.id) > RETRY_FAILED_MS)
+      .map(o => o.id)
+      .sort((a, b) => a - b);
+  }
+
+  // Halves a range until its estimate fits under maxGas; a single id that still fails is parked
+  async function fitRange([fromId, toId]) {
+    try {
+      const gas = await executor.distributeExpiredOrders.estimateGas(fromId, toId);
+      if (gas <= maxGas) return [[fromId, toId]];
+      if (fromId === toId) throw new Error(`needs ${gas} gas, limit is ${maxGas}`);
+    } catch (err) {
+      if (fromId === toId) {
+        failedAt.set(fromId, Date.now());
+        console.log(`⚠️ Sweep #${fromId} skipped: ${decodeRevert(err, executor.interface)}`);
+        return [];
+      }
+    }
+    const mid = Math.floor((fromId + toId) / 2);
+    return [...await fitRange([fromId, mid]), ...await fitRange([mid + 1, toId])];
+  }
+
+  async function run() {
+    if (running) return;
+    running = true;
+    lastRunAt = Date.now();
+    lastError = null;
+
+    try {
+      const ids = expiredUnclaimed();
+      if (!ids.length) return;
+
+      const ranges = [];
+      for (const r of buildRanges(ids, maxBatch, maxGap)) ranges.push(...await fitRange(r));
+      console.log(`🧺 Sweeping ${ids.length} expired orders in ${ranges.length} batch(es)`);
+
+      if (dryRun) {
+        for (const [fromId, toId] of ranges) console.log(`🧪 [dry-run] Would distributeExpiredOrders(${fromId}, ${toId})`);
+        return;
+      }
+
+      const handles = [];
+      for (const [fromId, toId] of ranges) {
+        try {
+          const handle = await txManager.send(executor, "distributeExpiredOrders", [fromId, toId], { desc: `Sweep ${fromId}-${toId}` });
+          handles.push({ fromId, toId, handle });
+        } catch (err) {
+          sweeps.push({ fromId, toId, status: "failed", error: decodeRevert(err, executor.interface), at: Date.now() });
+        }
+      }
+
+      for (const { fromId, toId, handle } of handles) {
+        try {
+          const receipt = await handle.wait();
+          sweeps.push({ fromId, toId, status: "confirmed", txHash: receipt.hash, gasUsed: receipt.gasUsed, at: Date.now() });
+        } catch (err) {
+          sweeps.push({ fromId, toId, status: "failed", txHash: handle.hash, error: decodeRevert(err, executor.interface), at: Date.now() });
+        }
+      }
+      save();
+    } catch (err) {
+      lastError = err.message;
+      console.error("⚠️ Sweeper:", err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function status() {
+    const ids = new Set(expiredUnclaimed());
+    const locked = {};
+    // From the indexer rather than a running sum, so a re-index or rewind can't count a refund twice
+    const refunded = {};
+    for (const o of indexer.getOrders()) {
+      if (ids.has(o.id)) locked[o.tokenIn] = (locked[o.tokenIn] || 0n) + o.amountIn;
+      if (o.claimed) refunded[o.tokenIn] = (refunded[o.tokenIn] || 0n) + o.refundedAmount;
+    }
+
+    return {
+      running,
+      lastRunAt: lastRunAt ? new Date(lastRunAt).toISOString() : null,
+      lastError,
+      expiredUnclaimed: ids.size,
+      parked: [...failedAt.keys()],
+      lockedByToken: locked,
+      refundedByToken: refunded,
+      recentSweeps: sweeps.slice(-20),
+      recentRefunds: refunds.slice(-50)
+    };
+  }
+
+  return { run, status };
+}
+
+export { createExpirySweeper, buildRanges };
@@ -4,50 +4,99 @@ import dotenv from "dotenv";
 import express from "express";
 import cors from "cors";
 import EXECUTOR_ABI from "./ABI/ABI.json" with { type: "json" };
+import { createOrderIndexer } from "./orderIndexer.js";
+import { pairKey, baseOf, quoteOf, compareBids, compareAsks, baseToQuote, buildMatchPlan } from "./matchingEngine.js";
+import { aggregateDepth } from "./orderBook.js";
+import { TOKENS, COINGECKO_IDS } from "./constants.js";
+import { connectNetwork, requireAddress } from "./network.js";
+import { createTokenRegistry, toHuman, parsePrice, formatPrice, priceToNumber } from "./tokenRegistry.js";
+import { jsonSafe } from "./storage.js";
+import { createMarketStream } from "./marketStream.js";
+import { INTERVALS, matchAmounts, createTradeHistory, formatTrade, formatCandle } from "./tradeHistory.js";
+import { createMatchStats, classifyError, successRate } from "./matchStats.js";
+import { decodeRevert } from "./txErrors.js";
+import { createTxManager } from "./txManager.js";
+import { createExpirySweeper } from "./expirySweeper.js";
+import { ORDER_STATUSES, formatOrder, queryOrders } from "./orderResource.js";
+import { buildAccount, formatRefund } from "./account.js";
+import { createRuntimeConfig } from "./runtimeConfig.js";
+import { createAdminRouter, parseKeys } from "./admin.js";
+import { createBotMetrics, instrumentProvider, instrumentTxManager, updateBalances } from "./metrics.js";
+import { createOracleFromEnv } from "./oracle.js";
+import { createPoolAnalytics } from "./poolAnalytics.js";
+import { createQuoter } from "./bestExecution.js";
+import { createTxRouter } from "./txBuilder.js";
 
 dotenv.config();
 
-const RPC_URL = process.env.RPC_URL || "https://api.skyhighblockchain.com";
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const EXECUTOR_ADDRESS = "0x59AEeACD225bD2b2B178B2cDa53D6c6759bB2966";
 const ALLOWED_SELF_MATCH = "0x3bdbb84b90abaf52814aab54b9622408f2dca483";
-const DUST_THRESHOLD = 1_000_000_000_000n;
+// DRY_RUN runs full cycles but only prints what it would send
+const DRY_RUN = process.env.DRY_RUN === "true" || process.argv.includes("--dry-run");
+const SIMULATE_MATCHES = process.env.SIMULATE_MATCHES !== "false";
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS || 600_000);
+const BALANCE_INTERVAL_MS = Number(process.env.METRICS_BALANCE_INTERVAL_MS || 60_000);
 
 if (!PRIVATE_KEY) {
   console.error("❌ Missing PRIVATE_KEY in .env");
   process.exit(1);
 }
 
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+const { profile: network, provider } = await connectNetwork();
+const EXECUTOR_ADDRESS = requireAddress(network, "executor");
+const tokens = createTokenRegistry({ provider, network });
+const metrics = createBotMetrics("matcher");
+instrumentProvider(provider, metrics);
 const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 const executor = new ethers.Contract(EXECUTOR_ADDRESS, EXECUTOR_ABI, wallet);
+const txManager = createTxManager({ wallet, name: "tx-matcher" });
+instrumentTxManager(txManager, metrics);
+const indexer = createOrderIndexer({ executor, provider, name: "orders-matcher" });
+const stream = createMarketStream({ indexer, getDecimals });
+const tradeHistory = createTradeHistory({ indexer, executor, provider });
+const matchStats = createMatchStats();
+const sweeper = createExpirySweeper({ indexer, executor, txManager, dryRun: DRY_RUN });
+const oracle = createOracleFromEnv({ provider, network, registry: tokens, executor, coingeckoIds: COINGECKO_IDS });
+// Pools against POOLS_QUOTES, refreshed on request at most every POOLS_MAX_AGE_MS
+const poolAnalytics = network.factory
+  ? createPoolAnalytics({
+    provider,
+    network,
+    registry: tokens,
+    oracle,
+    quotes: (process.env.POOLS_QUOTES || "USDT").split(",").map(s => s.trim().toUpperCase()).filter(Boolean),
+    maxAgeMs: Number(process.env.POOLS_MAX_AGE_MS || 60_000)
+  })
+  : null;
+const quoter = createQuoter({
+  provider,
+  network,
+  registry: tokens,
+  getOrders: () => indexer.getOpenOrders(),
+  connectors: (process.env.QUOTE_CONNECTORS || "USDT,USDC").split(",").map(s => s.trim().toUpperCase()).filter(Boolean)
+});
+// Changeable through the admin API; ALLOWED_SELF_MATCH only seeds the self-match list
+// until the first change is saved
+const config = createRuntimeConfig({
+  defaults: { paused: false, intervalMs: 10000, selfMatch: [ALLOWED_SELF_MATCH.toLowerCase()], makerAllow: [], makerDeny: [] }
+});
 
-const ERC20_ABI = ["function symbol() view returns (string)", "function decimals() view returns (uint8)"];
-
+// Snapshot of the book from the last cycle; trade stats live in matchStats
 const botStats = {
-  totalVolume24h: {},
-  totalTrades: 0,
   activePairs: 0,
-  liquidity: {},
-  lastTradeTime: null,
-  avgTradeSize: {},
-  successRate: 0
+  liquidity: {}
 };
 async function convertLiquidityToSymbols(liquidityObj) {
   const out = {};
 
-  for (const [key, v] of Object.entries(liquidityObj)) {
-    const [addrA, addrB] = key.split("-");
-
-    const symA = await getSymbol(addrA);
-    const symB = await getSymbol(addrB);
-
-    const pairLabel = `${symA}/${symB}`;
+  for (const v of Object.values(liquidityObj)) {
+    const [base, quote] = await Promise.all([tokens.resolve(v.base), tokens.resolve(v.quote)]);
 
-    out[pairLabel] = {
-      buyLiquidity: ethers.formatEther(v.buyLiquidity),
-      sellLiquidity: ethers.formatEther(v.sellLiquidity),
-      totalLiquidity: ethers.formatEther(v.buyLiquidity + v.sellLiquidity),
+    out[`${base.symbol}/${quote.symbol}`] = {
+      buyLiquidity: toHuman(v.buyLiquidity, quote.decimals),
+      sellLiquidity: toHuman(v.sellLiquidity, base.decimals),
+      // Both sides in quote units, asks valued at their own limit prices
+      totalLiquidity: toHuman(v.buyLiquidity + v.sellValue, quote.decimals),
       buyOrders: v.buyOrders,
       sellOrders: v.sellOrders,
       totalOrders: v.buyOrders + v.sellOrders,
@@ -58,122 +107,122 @@ async function convertLiquidityToSymbols(liquidityObj) {
   return out;
 }
 
-const tokenCache = new Map();
 const matchAttemptCount = new Map();
 
 async function getSymbol(addr) {
-  const key = addr.toLowerCase();
-  if (tokenCache.has(key)) return tokenCache.get(key);
-
   try {
-    const c = new ethers.Contract(addr, ERC20_ABI, provider);
-    const s = await c.symbol();
-    tokenCache.set(key, s);
-    return s;
+    return (await tokens.resolve(addr)).symbol;
   } catch {
-    const fallback = addr.substring(0, 6);
-    tokenCache.set(key, fallback);
-    return fallback;
+    return addr.substring(0, 6);
   }
 }
 
-async function fetchOpenOrders() {
-  const nextIdBN = await executor.nextOrderId();
-  const nextId = Number(nextIdBN ?? 0);
-  const now = Math.floor(Date.now() / 1000);
+async function getDecimals(addr) {
+  return (await tokens.resolve(addr)).decimals;
+}
 
-  const tasks = [];
-  for (let id = 1; id < nextId; id++) {
-    tasks.push(
-      executor.getOrder(id)
-        .then(o => ({ id, o }))
-        .catch(() => null)
-    );
-  }
+// Tokens whose decimals can't be read are left out, the engine then skips their books
+async function resolveDecimals(orders) {
+  const infos = await tokens.resolveMany(orders.flatMap(o => [o.tokenIn, o.tokenOut]));
+  return Object.fromEntries(Object.values(infos).map(t => [t.address, t.decimals]));
+}
 
-  const results = (await Promise.all(tasks)).filter(Boolean);
-  const open = [];
+// Accepts a symbol from the network profile or a raw address
+function resolveToken(symbolOrAddress) {
+  return tokens.addressOf(symbolOrAddress);
+}
 
-  for (const { id, o } of results) {
-    if (!o) continue;
+// Symbol and decimals for the given token addresses, as formatOrder expects them
+async function tokenMeta(tokens) {
+  const addrs = [...new Set(tokens)];
+  const entries = await Promise.all(addrs.map(async a => [a, {
+    symbol: await getSymbol(a),
+    decimals: await getDecimals(a).catch(() => null)
+  }]));
+  return Object.fromEntries(entries);
+}
 
-    const maker = o.maker || ethers.ZeroAddress;
-    if (!maker || maker === ethers.ZeroAddress) continue;
+// "BASE/QUOTE" or "BASE-QUOTE", each side a symbol or an address
+function resolvePair(pair) {
+  const parts = String(pair).split(/[/-]/);
+  if (parts.length !== 2) return null;
+  const [base, quote] = parts.map(resolveToken);
+  return base && quote ? { base, quote } : null;
+}
 
-    const tokenIn = (o.tokenIn || ethers.ZeroAddress).toLowerCase();
-    const tokenOut = (o.tokenOut || ethers.ZeroAddress).toLowerCase();
+async function pairLabel(base, quote) {
+  return `${await getSymbol(base)}/${await getSymbol(quote)}`;
+}
 
-    try {
-      const amountIn = BigInt(o.amountIn?.toString() ?? "0");
-      const expiry = Number(o.expiry?.toString() ?? 0);
-      const orderType = Number(o.orderType ?? 0);
-      const filled = Boolean(o.filled);
-      const cancelled = Boolean(o.cancelled);
-      const targetPrice1e18 = BigInt(o.targetPrice1e18?.toString() ?? "0");
-
-      if (!filled && !cancelled && expiry > now && amountIn > 0n) {
-        open.push({
-          id, maker, tokenIn, tokenOut,
-          pool: (o.pool || ethers.ZeroAddress).toLowerCase(),
-          amountIn, expiry, filled, cancelled, orderType, targetPrice1e18
-        });
-      }
-    } catch (e) {
-      continue;
-    }
+async function updateOrderGauges(open) {
+  const counts = new Map();
+  for (const o of open) {
+    const key = `${await pairLabel(baseOf(o), quoteOf(o))}|${o.orderType === 0 ? "buy" : "sell"}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  // Reset so pairs whose book emptied don't keep reporting their last count
+  metrics.openOrders.reset();
+  for (const [key, n] of counts) {
+    const [pair, side] = key.split("|");
+    metrics.openOrders.set({ pair, side }, n);
   }
-
-  return open;
 }
 
-function pairKey(a, b) {
-  const [x, y] = [a.toLowerCase(), b.toLowerCase()].sort();
-  return `${x}-${y}`;
+async function fetchOpenOrders() {
+  await indexer.sync();
+  const open = indexer.getOpenOrders();
+  await updateOrderGauges(open);
+  return open;
 }
 
-function pricesMatch(buyPrice, sellPrice) {
-  const tolerance = BigInt(Math.floor(Number(buyPrice) * 0.0001));
-  return buyPrice >= (sellPrice - tolerance);
+async function recordAttempt(r) {
+  matchStats.record(r);
+  metrics.matches.inc({ pair: await pairLabel(r.base, r.quote), outcome: r.outcome });
 }
 
-async function calculateLiquidity(open) {
+function calculateLiquidity(open, decimals) {
   const liquidityByPair = {};
 
   for (const order of open) {
     const key = pairKey(order.tokenIn, order.tokenOut);
+    const base = baseOf(order);
+    const quote = quoteOf(order);
 
     if (!liquidityByPair[key]) {
       liquidityByPair[key] = {
+        base,
+        quote,
         buyLiquidity: 0n,
         sellLiquidity: 0n,
+        sellValue: 0n,
         buyOrders: 0,
         sellOrders: 0,
         spread: 0
       };
     }
 
+    // Bids lock quote, asks lock base
     if (order.orderType === 0) {
       liquidityByPair[key].buyLiquidity += order.amountIn;
       liquidityByPair[key].buyOrders++;
     } else {
       liquidityByPair[key].sellLiquidity += order.amountIn;
       liquidityByPair[key].sellOrders++;
+      if (decimals[base] !== undefined && decimals[quote] !== undefined) {
+        liquidityByPair[key].sellValue += baseToQuote(order.amountIn, order.targetPrice1e18, decimals[base], decimals[quote]);
+      }
     }
   }
 
   // Calculate spreads
-  for (const [key, orders] of Object.entries(liquidityByPair)) {
+  for (const key of Object.keys(liquidityByPair)) {
     const pairOrders = open.filter(o => pairKey(o.tokenIn, o.tokenOut) === key);
-    const buys = pairOrders.filter(o => o.orderType === 0).sort((a, b) =>
-      Number(b.targetPrice1e18 - a.targetPrice1e18)
-    );
-    const sells = pairOrders.filter(o => o.orderType === 1).sort((a, b) =>
-      Number(a.targetPrice1e18 - b.targetPrice1e18)
-    );
+    const buys = pairOrders.filter(o => o.orderType === 0).sort(compareBids);
+    const sells = pairOrders.filter(o => o.orderType === 1).sort(compareAsks);
 
     if (buys.length > 0 && sells.length > 0) {
-      const bestBuy = Number(ethers.formatUnits(buys[0].targetPrice1e18, 18));
-      const bestSell = Number(ethers.formatUnits(sells[0].targetPrice1e18, 18));
+      const bestBuy = priceToNumber(buys[0].targetPrice1e18);
+      const bestSell = priceToNumber(sells[0].targetPrice1e18);
       const spread = ((bestSell - bestBuy) / bestBuy) * 100;
       liquidityByPair[key].spread = spread;
     }
@@ -182,16 +231,99 @@ async function calculateLiquidity(open) {
   return liquidityByPair;
 }
 
-async function updateAMMStats(pairK, amount, price) {
-  botStats.totalVolume24h[pairK] = (botStats.totalVolume24h[pairK] || 0n) + amount;
-  botStats.totalTrades++;
-  botStats.lastTradeTime = Date.now();
+// Returns null when matchOrders would succeed, otherwise the decoded revert reason
+async function simulateMatch(m) {
+  try {
+    await executor.matchOrders.staticCall(m.buyId, m.sellId);
+    return null;
+  } catch (err) {
+    return decodeRevert(err, executor.interface);
+  }
+}
 
-  if (!botStats.avgTradeSize[pairK]) {
-    botStats.avgTradeSize[pairK] = { total: 0n, count: 0 };
+// Prefer what the executor actually reported over what the plan expected
+function executedAmounts(receipt, m) {
+  for (const log of receipt.logs) {
+    const ev = executor.interface.parseLog(log);
+    if (ev?.name === "OrderMatched") return matchAmounts(ev.args);
+  }
+  return { baseAmount: m.baseAmount, quoteAmount: m.quoteAmount };
+}
+
+async function cancelOrders(ids, reason) {
+  const handles = [];
+  for (const id of ids) {
+    try {
+      handles.push(await txManager.send(executor, "cancelOrder", [id], { desc: `Cancel #${id} (${reason})` }));
+    } catch (err) {
+      console.log(`⚠️ Cancel #${id} failed: ${decodeRevert(err, executor.interface)}`);
+    }
+  }
+  const results = await Promise.allSettled(handles.map(h => h.wait()));
+  results.forEach((r, i) => {
+    if (r.status === "rejected") console.log(`⚠️ ${handles[i].desc}: ${decodeRevert(r.reason, executor.interface)}`);
+  });
+}
+
+async function executeMatch(m, failed) {
+  const attempt = { pair: m.pair, base: m.base, quote: m.quote, buyId: m.buyId, sellId: m.sellId };
+  const label = `BUY#${m.buyId} ↔ SELL#${m.sellId} @ ${formatPrice(m.price1e18)}`;
+  const fail = () => {
+    failed.add(m.buyId);
+    failed.add(m.sellId);
+  };
+
+  // A match that fails simulation costs nothing and doesn't count towards the cancel limit
+  if (SIMULATE_MATCHES || DRY_RUN) {
+    const reason = await simulateMatch(m);
+    if (reason) {
+      console.log(`\n🙅 Simulation rejected ${label}: ${reason}`);
+      if (!DRY_RUN) await recordAttempt({ ...attempt, outcome: "rejected", error: reason });
+      return fail();
+    }
+  }
+
+  if (DRY_RUN) {
+    console.log(`\n🧪 [dry-run] Would match ${label} (${m.baseAmount} base / ${m.quoteAmount} quote)`);
+    return;
+  }
+
+  const pairIdKey = `${m.buyId}-${m.sellId}`;
+  const attempts = (matchAttemptCount.get(pairIdKey) || 0) + 1;
+  matchAttemptCount.set(pairIdKey, attempts);
+
+  console.log(`\n🔥 MATCH: ${label} (try ${attempts})`);
+
+  // Cancel after 3 failed attempts
+  if (attempts >= 3) {
+    console.log("🚫 Too many attempts, cancelling...");
+    const own = [[m.buyId, m.buyMaker], [m.sellId, m.sellMaker]]
+      .filter(([, maker]) => config.isSelfMatch(maker))
+      .map(([id]) => id);
+    await cancelOrders(own, "too many attempts");
+    matchAttemptCount.delete(pairIdKey);
+    return fail();
+  }
+
+  try {
+    const handle = await txManager.send(executor, "matchOrders", [m.buyId, m.sellId], { desc: `Match ${m.buyId}/${m.sellId}` });
+    const receipt = await handle.wait();
+    console.log(`✅ Matched: ${receipt.hash}`);
+    matchAttemptCount.delete(pairIdKey);
+
+    await recordAttempt({
+      ...attempt,
+      ...executedAmounts(receipt, m),
+      outcome: "success",
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed
+    });
+  } catch (err) {
+    const reason = decodeRevert(err, executor.interface);
+    console.log(`❌ ${reason}`);
+    await recordAttempt({ ...attempt, outcome: classifyError(err), error: reason });
+    fail();
   }
-  botStats.avgTradeSize[pairK].total += amount;
-  botStats.avgTradeSize[pairK].count++;
 }
 
 async function tryInternalMatches() {
@@ -212,92 +344,88 @@ async function tryInternalMatches() {
     groups.get(key).push(o);
   }
 
+  const decimals = await resolveDecimals(open);
   botStats.activePairs = groups.size;
-  botStats.liquidity = await calculateLiquidity(open);
+  botStats.liquidity = calculateLiquidity(open, decimals);
   console.log(`🔗 ${groups.size} active pairs`);
 
-  for (const [key, orders] of groups.entries()) {
-    const buys = orders.filter(o => o.orderType === 0).sort((a, b) =>
-      Number(b.targetPrice1e18 - a.targetPrice1e18)
-    );
-    const sells = orders.filter(o => o.orderType === 1).sort((a, b) =>
-      Number(a.targetPrice1e18 - b.targetPrice1e18)
-    );
-
-    if (!buys.length || !sells.length) continue;
-
-    console.log(`\n💱 ${key}: ${buys.length}/${sells.length}`);
-
-    for (const buy of buys) {
-      for (const sell of sells) {
-        const buyMaker = buy.maker.toLowerCase();
-        const sellMaker = sell.maker.toLowerCase();
-
-        // Handle dust orders
-        if (buy.amountIn < DUST_THRESHOLD || sell.amountIn < DUST_THRESHOLD) {
-          if (buyMaker === ALLOWED_SELF_MATCH.toLowerCase() || sellMaker === ALLOWED_SELF_MATCH.toLowerCase()) {
-            try {
-              if (buy.amountIn < DUST_THRESHOLD) await executor.cancelOrder(buy.id);
-              if (sell.amountIn < DUST_THRESHOLD) await executor.cancelOrder(sell.id);
-            } catch { }
-          }
-          continue;
-        }
-
-        // Self-match check
-        if (buyMaker === sellMaker && buyMaker !== ALLOWED_SELF_MATCH.toLowerCase()) continue;
-
-        // Price match
-        if (!pricesMatch(buy.targetPrice1e18, sell.targetPrice1e18)) continue;
-
-        const pairIdKey = `${buy.id}-${sell.id}`;
-        const attempts = (matchAttemptCount.get(pairIdKey) || 0) + 1;
-        matchAttemptCount.set(pairIdKey, attempts);
-
-        console.log(`\n🔥 MATCH: BUY#${buy.id} ↔ SELL#${sell.id} (try ${attempts})`);
-
-        // Cancel after 3 failed attempts
-        if (attempts >= 3) {
-          console.log("🚫 Too many attempts, cancelling...");
-          if (buyMaker === ALLOWED_SELF_MATCH.toLowerCase()) {
-            try { await executor.cancelOrder(buy.id); } catch { }
-          }
-          if (sellMaker === ALLOWED_SELF_MATCH.toLowerCase()) {
-            try { await executor.cancelOrder(sell.id); } catch { }
-          }
-          matchAttemptCount.delete(pairIdKey);
-          continue;
-        }
-
-        try {
-          const tx = await executor.matchOrders(buy.id, sell.id, { gasLimit: 1_500_000 });
-          await tx.wait();
-          console.log(`✅ Matched: ${tx.hash}`);
-
-          const amount = buy.amountIn < sell.amountIn ? buy.amountIn : sell.amountIn;
-          await updateAMMStats(key, amount, buy.targetPrice1e18);
-
-          botStats.successRate = (botStats.totalTrades / (botStats.totalTrades + 1)) * 100;
-        } catch (err) {
-          console.log(`❌ ${err.message}`);
-          continue;
-        }
-        break;
-      }
+  // Denied makers stay in the stats and book, they just never get matched
+  const matchable = open.filter(o => config.makerAllowed(o.maker));
+  if (matchable.length < open.length) console.log(`🚧 ${open.length - matchable.length} orders excluded by maker lists`);
+
+  const plan = buildMatchPlan(matchable, {
+    decimals,
+    // Per-token thresholds in human units, see DUST_THRESHOLD_DEFAULT and the network profile
+    isDust: o => tokens.isDust(o.tokenIn, o.amountIn),
+    canSelfMatch: maker => config.isSelfMatch(maker)
+  });
+
+  for (const { base, quote, reason } of plan.skipped) {
+    console.log(`⚠️ Skipping ${base}/${quote}: ${reason}`);
+  }
+
+  // Only our own dust gets cleaned up
+  const dust = plan.dust.filter(o => config.isSelfMatch(o.maker)).map(o => o.id);
+  if (DRY_RUN) {
+    for (const id of dust) console.log(`🧪 [dry-run] Would cancel dust #${id}`);
+  } else {
+    await cancelOrders(dust, "dust");
+  }
+
+  console.log(`🧮 Plan: ${plan.matches.length} matches`);
+
+  // Once an order fails in this cycle the rest of the plan can't rely on its remaining amount
+  const failed = new Set();
+  let queue = plan.matches;
+
+  // Matches that share no order go out together. A deferred match still reserves its orders,
+  // so nothing behind it in the plan can jump ahead in price-time priority.
+  while (queue.length) {
+    const busy = new Set();
+    const wave = [];
+    const later = [];
+
+    for (const m of queue) {
+      if (failed.has(m.buyId) || failed.has(m.sellId)) continue;
+      if (busy.has(m.buyId) || busy.has(m.sellId)) later.push(m);
+      else wave.push(m);
+      busy.add(m.buyId);
+      busy.add(m.sellId);
     }
+
+    await Promise.all(wave.map(m => executeMatch(m, failed)));
+    queue = later;
   }
 
   console.log("🏁 Cycle complete\n");
 }
 
-async function start(intervalMs = 10000) {
-  console.log("🟢 Matcher bot online");
+async function start() {
+  console.log(DRY_RUN ? "🧪 Matcher bot online (dry-run, nothing will be sent)" : "🟢 Matcher bot online");
+  txManager.resume();
+  let lastSweep = 0;
+  let lastBalances = 0;
   while (true) {
+    const { paused, intervalMs } = config.get();
+    const endTimer = metrics.cycleDuration.startTimer();
     try {
-      await tryInternalMatches();
+      // Paused: keep the indexer (and so the API) current, but send nothing
+      if (paused) await fetchOpenOrders();
+      else await tryInternalMatches();
     } catch (err) {
+      metrics.cycleErrors.inc();
       console.error("⚠️", err.message);
     }
+    endTimer();
+    // The sweeper runs off the state the matcher cycle just synced
+    if (!paused && Date.now() - lastSweep >= SWEEP_INTERVAL_MS) {
+      lastSweep = Date.now();
+      await sweeper.run();
+    }
+    if (Date.now() - lastBalances >= BALANCE_INTERVAL_MS) {
+      lastBalances = Date.now();
+      await updateBalances(metrics, { provider, owner: wallet.address, registry: tokens, symbols: TOKENS }).catch(e => console.log(`⚠️ Balances: ${e.message}`));
+    }
     await new Promise(r => setTimeout(r, intervalMs));
   }
 }
@@ -306,42 +434,298 @@ start();
 
 const app = express();
 app.use(cors({ origin: "*" }));
+
+const ADMIN_KEYS = parseKeys(process.env.ADMIN_API_KEYS);
+if (ADMIN_KEYS.size) {
+  app.use("/admin", createAdminRouter({ keys: ADMIN_KEYS, config, executor, txManager, indexer, tokens: TOKENS, dryRun: DRY_RUN }));
+} else {
+  console.log("ℹ️ ADMIN_API_KEYS not set, admin API disabled");
+}
+// Unsigned create/cancel transactions for wallets, checked against PAIR_CONFIG_FILE
+app.use("/tx", createTxRouter({ provider, network, registry: tokens, indexer, oracle, executor }));
 const PORT = process.env.PORT || 4000;
 
-app.get("/", (req, res) => res.json({ status: "online", executor: EXECUTOR_ADDRESS }));
+app.get("/", (req, res) => res.json({
+  status: config.get().paused ? "paused" : "online",
+  network: network.name,
+  executor: EXECUTOR_ADDRESS,
+  indexer: indexer.status(),
+  trades: tradeHistory.status(),
+  pendingTxs: txManager.pending(),
+  streams: stream.status(),
+  pools: poolAnalytics?.status() ?? null
+}));
+
+async function formatPairStats(pairs) {
+  const out = {};
+  for (const p of Object.values(pairs)) {
+    const [baseSym, quoteSym, baseDec, quoteDec] = await Promise.all([
+      getSymbol(p.base), getSymbol(p.quote), getDecimals(p.base), getDecimals(p.quote)
+    ]);
+    out[`${baseSym}/${quoteSym}`] = {
+      baseVolume: toHuman(p.baseVolume, baseDec),
+      quoteVolume: toHuman(p.quoteVolume, quoteDec),
+      avgTradeSize: p.successes > 0 ? toHuman(p.baseVolume / BigInt(p.successes), baseDec) : "0",
+      attempts: p.attempts,
+      successes: p.successes,
+      reverts: p.reverts,
+      errors: p.errors,
+      rejected: p.rejected
+    };
+  }
+  return out;
+}
 
-app.get("/stats", async (req, res) => {
-  const liquiditySymbols = await convertLiquidityToSymbols(botStats.liquidity);
-
-  const formattedStats = {
-    totalTrades: botStats.totalTrades,
-    activePairs: botStats.activePairs,
-    volume24h: Object.fromEntries(
-      Object.entries(botStats.totalVolume24h).map(([k, v]) => [k, ethers.formatEther(v)])
-    ),
-    liquidity: liquiditySymbols,
-
-    avgTradeSize: Object.fromEntries(
-      Object.entries(botStats.avgTradeSize).map(([k, v]) => [
-        k,
-        v.count > 0 ? ethers.formatEther(v.total / BigInt(v.count)) : "0"
-      ])
-    ),
-    successRate: `${botStats.successRate.toFixed(2)}%`,
-    lastTrade: botStats.lastTradeTime ? new Date(botStats.lastTradeTime).toISOString() : null
+function formatCounts(c) {
+  return {
+    attempts: c.attempts,
+    successes: c.successes,
+    reverts: c.reverts,
+    errors: c.errors,
+    rejected: c.rejected || 0,
+    successRate: `${successRate(c).toFixed(2)}%`
   };
-  res.json(formattedStats);
+}
+
+app.get("/stats", async (req, res) => {
+  try {
+    const { windows, lifetime, lastTradeTime } = matchStats.summary();
+
+    res.json({
+      totalTrades: lifetime.successes,
+      activePairs: botStats.activePairs,
+      volume24h: await formatPairStats(windows["24h"].pairs),
+      volume7d: await formatPairStats(windows["7d"].pairs),
+      liquidity: await convertLiquidityToSymbols(botStats.liquidity),
+      matches24h: formatCounts(windows["24h"]),
+      matches7d: formatCounts(windows["7d"]),
+      lifetime: formatCounts(lifetime),
+      successRate: `${successRate(windows["24h"]).toFixed(2)}%`,
+      lastTrade: lastTradeTime ? new Date(lastTradeTime).toISOString() : null
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.registry.render());
 });
 
+app.get("/sweeper", (req, res) => res.json(jsonSafe(sweeper.status())));
+
 app.get("/order/:id", async (req, res) => {
+  const o = indexer.getOrder(req.params.id);
+  if (!o) return res.status(404).json({ error: "Order not found" });
+
+  try {
+    res.json(formatOrder(o, await tokenMeta([o.tokenIn, o.tokenOut])));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/orders", async (req, res) => {
+  const { maker, pair, status } = req.query;
+  if (maker && !ethers.isAddress(maker)) return res.status(400).json({ error: "Invalid maker address" });
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(", ")}` });
+  }
+  const pairFilter = pair ? resolvePair(pair) : {};
+  if (!pairFilter) return res.status(400).json({ error: "pair must look like BASE/QUOTE" });
+
+  try {
+    const page = queryOrders(indexer.getOrders(), {
+      maker: maker || null,
+      ...pairFilter,
+      status: status || null,
+      limit: Math.min(Number(req.query.limit) || 50, 500),
+      cursor: req.query.cursor ? Number(req.query.cursor) : null
+    });
+    const meta = await tokenMeta(page.orders.flatMap(o => [o.tokenIn, o.tokenOut]));
+    res.json({ orders: page.orders.map(o => formatOrder(o, meta)), nextCursor: page.nextCursor });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/account/:address", async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+  try {
+    const account = buildAccount(req.params.address, { orders: indexer.getOrders(), trades: tradeHistory.all() });
+    const fills = account.fills.slice(0, limit);
+    const meta = await tokenMeta([
+      ...account.openOrders.flatMap(o => [o.tokenIn, o.tokenOut]),
+      ...Object.keys(account.locked),
+      ...fills.flatMap(f => [f.base, f.quote]),
+      ...account.cancellations.map(o => o.tokenIn),
+      ...account.expiredRefunds.map(o => o.tokenIn)
+    ]);
+
+    res.json({
+      address: account.address,
+      block: indexer.status().lastBlock,
+      openOrders: account.openOrders.map(o => formatOrder(o, meta)),
+      locked: Object.entries(account.locked).map(([token, l]) => ({
+        token: { address: token, ...meta[token] },
+        amount: { raw: l.amount.toString(), human: meta[token].decimals === null ? null : toHuman(l.amount, meta[token].decimals) },
+        orders: l.orders
+      })),
+      // Amounts are null when a token's decimals are unknown, as formatUnits would assume 18
+      fills: fills.map(f => ({
+        ...jsonSafe(meta[f.base].decimals === null || meta[f.quote].decimals === null
+          ? { ...f, price: formatPrice(f.price1e18), baseAmount: null, quoteAmount: null, price1e18: f.price1e18.toString() }
+          : formatTrade(f, meta[f.base].decimals, meta[f.quote].decimals)),
+        pair: `${meta[f.base].symbol}/${meta[f.quote].symbol}`
+      })),
+      cancellations: account.cancellations.slice(0, limit).map(o => formatRefund(o, meta)),
+      expiredRefunds: account.expiredRefunds.slice(0, limit).map(o => formatRefund(o, meta))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/orderbook/:base/:quote", async (req, res) => {
+  const base = resolveToken(req.params.base);
+  const quote = resolveToken(req.params.quote);
+  if (!base || !quote) return res.status(400).json({ error: "Unknown token" });
+
+  let tick;
+  try {
+    tick = parsePrice(req.query.tick || process.env.ORDERBOOK_TICK || "0");
+  } catch {
+    return res.status(400).json({ error: "Invalid tick" });
+  }
+  const depth = Math.min(Number(req.query.depth) || 50, 500);
+
+  try {
+    const [baseDecimals, quoteDecimals, baseSymbol, quoteSymbol] = await Promise.all([
+      getDecimals(base), getDecimals(quote), getSymbol(base), getSymbol(quote)
+    ]);
+    const book = aggregateDepth(indexer.getOpenOrders(), { base, quote, baseDecimals, quoteDecimals, tick, depth });
+    res.json({ pair: `${baseSymbol}/${quoteSymbol}`, base, quote, block: indexer.status().lastBlock, ...book });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/trades/:base/:quote", async (req, res) => {
+  const base = resolveToken(req.params.base);
+  const quote = resolveToken(req.params.quote);
+  if (!base || !quote) return res.status(400).json({ error: "Unknown token" });
+
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const [baseDecimals, quoteDecimals] = await Promise.all([getDecimals(base), getDecimals(quote)]);
+    const page = tradeHistory.getTrades(base, quote, { limit, before: req.query.before || null });
+    res.json({
+      trades: page.trades.map(t => jsonSafe(formatTrade(t, baseDecimals, quoteDecimals))),
+      nextCursor: page.nextCursor
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/candles/:base/:quote", async (req, res) => {
+  const base = resolveToken(req.params.base);
+  const quote = resolveToken(req.params.quote);
+  if (!base || !quote) return res.status(400).json({ error: "Unknown token" });
+
+  const interval = req.query.interval || "1h";
+  if (!INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of ${Object.keys(INTERVALS).join(", ")}` });
+  }
+
+  try {
+    const [baseDecimals, quoteDecimals] = await Promise.all([getDecimals(base), getDecimals(quote)]);
+    const candles = tradeHistory.getCandles(base, quote, {
+      interval,
+      from: Number(req.query.from) || 0,
+      to: Number(req.query.to) || Infinity,
+      limit: Math.min(Number(req.query.limit) || 500, 2000)
+    });
+    res.json({ interval, candles: candles.map(c => formatCandle(c, baseDecimals, quoteDecimals)) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/pools", async (req, res) => {
+  if (!poolAnalytics) return res.status(404).json({ error: "No factory in this network profile" });
+  try {
+    const { updatedAt, block, pools, syncing = false } = await poolAnalytics.list();
+    res.json(jsonSafe({ updatedAt: updatedAt === null ? null : new Date(updatedAt).toISOString(), block, syncing, pools }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/pools/:address", async (req, res) => {
+  if (!poolAnalytics) return res.status(404).json({ error: "No factory in this network profile" });
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
   try {
-    const o = await executor.getOrder(req.params.id);
-    res.json(o);
+    const pool = await poolAnalytics.get(req.params.address);
+    if (!pool && poolAnalytics.status().updatedAt === null) return res.status(503).json({ error: "Pool analytics is still syncing" });
+    if (!pool) return res.status(404).json({ error: "Pool not found" });
+    res.json(jsonSafe(pool));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// Best execution for amountIn of tokenIn across the book and the pools. Router calldata needs a recipient;
+// the book leg is an executor order from whoever signs it
+app.get("/quote", async (req, res) => {
+  const tokenIn = resolveToken(req.query.tokenIn);
+  const tokenOut = resolveToken(req.query.tokenOut);
+  if (!tokenIn || !tokenOut) return res.status(400).json({ error: "Unknown token" });
+  if (tokenIn === tokenOut) return res.status(400).json({ error: "tokenIn and tokenOut are the same" });
+  const { recipient } = req.query;
+  if (recipient && !ethers.isAddress(recipient)) return res.status(400).json({ error: "Invalid recipient" });
+  const slippageBps = Number(req.query.slippageBps ?? 50);
+  if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > 5000) {
+    return res.status(400).json({ error: "slippageBps must be an integer from 0 to 5000" });
+  }
+
+  let amountIn;
+  try {
+    amountIn = await tokens.toRaw(tokenIn, req.query.amountIn);
+  } catch {
+    return res.status(400).json({ error: "Invalid amountIn" });
+  }
+  if (amountIn <= 0n) return res.status(400).json({ error: "amountIn must be positive" });
+
+  try {
+    const q = await quoter.quote({ tokenIn, tokenOut, amountIn, recipient: recipient || null, slippageBps });
+    if (!q.route) return res.status(404).json({ error: "No route", skipped: q.skipped });
+    res.json(jsonSafe({ block: indexer.status().lastBlock, ...q }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Server-Sent Events: snapshot first, then sequenced order/trade/book updates for one pair
+app.get("/stream/:base/:quote", async (req, res) => {
+  const base = resolveToken(req.params.base);
+  const quote = resolveToken(req.params.quote);
+  if (!base || !quote) return res.status(400).json({ error: "Unknown token" });
+
+  try {
+    await stream.subscribe(req, res, base, quote);
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: e.message });
+    else res.end();
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Server: http://localhost:${PORT}`);
+  // Starts the initial swap backfill now rather than on the first /pools request
+  poolAnalytics?.list();
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { createRequire } from "module";
+import { toRaw } from "./tokenRegistry.js";
+
+// The SDK's ESM build uses directory imports Node can't resolve; its CommonJS build is fine
+const require = createRequire(import.meta.url);
+const { Pool, Position, TickMath, nearestUsableTick, priceToClosestTick, tickToPrice } = require("@uniswap/v3-sdk");
+const { Token, Price, Percent } = require("@uniswap/sdk-core");
+
+const BPS = 10_000;
+const PRICE_DECIMALS = 18;
+
+function sdkToken(chainId, { address, decimals, symbol }) {
+  return new Token(Number(chainId), address, decimals, symbol);
+}
+
+// Pool from on-chain state; tokens in any order, the SDK sorts them the way the pool does
+function sdkPool({ tokenA, tokenB, fee, sqrtPriceX96, liquidity, tick }) {
+  const [token0, token1] = tokenA.sortsBefore(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+  return new Pool(token0, token1, Number(fee), sqrtPriceX96.toString(), liquidity.toString(), Number(tick));
+}
+
+function otherToken(pool, base) {
+  return pool.token0.equals(base) ? pool.token1 : pool.token0;
+}
+
+// Human quote-per-base price -> nearest tick, whichever side of the pool base is on
+function priceToTick(pool, base, price) {
+  const quote = otherToken(pool, base);
+  const numerator = toRaw(price, PRICE_DECIMALS) * 10n ** BigInt(quote.decimals);
+  const denominator = 10n ** BigInt(PRICE_DECIMALS + base.decimals);
+  return priceToClosestTick(new Price(base, quote, denominator.toString(), numerator.toString()));
+}
+
+function tickToHuman(pool, base, tick) {
+  return Number(tickToPrice(base, otherToken(pool, base), tick).toSignificant(12));
+}
+
+function poolPriceHuman(pool, base) {
+  return Number(pool.priceOf(base).toSignificant(12));
+}
+
+// Usable ticks for price * (1 ± widthBps), at least one tick spacing wide
+function rangeAround(pool, base, price, widthBps) {
+  const spacing = pool.tickSpacing;
+  const a = priceToTick(pool, base, price * (1 - widthBps / BPS));
+  const b = priceToTick(pool, base, price * (1 + widthBps / BPS));
+  let tickLower = nearestUsableTick(Math.min(a, b), spacing);
+  let tickUpper = nearestUsableTick(Math.max(a, b), spacing);
+  if (tickUpper <= tickLower) tickUpper = tickLower + spacing;
+  tickLower = Math.max(tickLower, nearestUsableTick(TickMath.MIN_TICK, spacing));
+  tickUpper = Math.min(tickUpper, nearestUsableTick(TickMath.MAX_TICK, spacing));
+  return { tickLower, tickUpper };
+}
+
+// The most liquidity both raw amounts can fund in the range
+function positionFromAmounts(pool, { tickLower, tickUpper }, amount0, amount1) {
+  return Position.fromAmounts({
+    pool,
+    tickLower,
+    tickUpper,
+    amount0: amount0.toString(),
+    amount1: amount1.toString(),
+    useFullPrecision: true
+  });
+}
+
+// mint/increaseLiquidity amounts, with minimums that tolerate slippageBps of price movement
+function mintAmounts(position, slippageBps) {
+  const desired = position.mintAmounts;
+  const min = position.mintAmountsWithSlippage(new Percent(slippageBps, BPS));
+  return {
+    amount0Desired: BigInt(desired.amount0.toString()),
+    amount1Desired: BigInt(desired.amount1.toString()),
+    amount0Min: BigInt(min.amount0.toString()),
+    amount1Min: BigInt(min.amount1.toString())
+  };
+}
+
+// What a position holds at the pool's current price, in raw token0/token1 units
+function positionAmounts(pool, { tickLower, tickUpper, liquidity }) {
+  const p = new Position({ pool, tickLower: Number(tickLower), tickUpper: Number(tickUpper), liquidity: liquidity.toString() });
+  return { amount0: BigInt(p.amount0.quotient.toString()), amount1: BigInt(p.amount1.quotient.toString()) };
+}
+
+// A position is rebalanced once the pool price is further than bandBps from the middle of its
+// range (in tick space), or outside the range altogether
+function rangeStatus(pool, base, { tickLower, tickUpper }, bandBps) {
+  const inRange = pool.tickCurrent >= tickLower && pool.tickCurrent < tickUpper;
+  const center = tickToHuman(pool, base, Math.round((Number(tickLower) + Number(tickUpper)) / 2));
+  const price = poolPriceHuman(pool, base);
+  const deviation = Math.abs(price - center) / center;
+  return { inRange, price, center, deviation, rebalance: !inRange || deviation > bandBps / BPS };
+}
+
+export {
+  sdkToken,
+  sdkPool,
+  priceToTick,
+  tickToHuman,
+  poolPriceHuman,
+  rangeAround,
+  positionFromAmounts,
+  mintAmounts,
+  positionAmounts,
+  rangeStatus
+};
@@ -0,0 +1,162 @@
+import fs from "fs";
+import { readJSON, writeJSON } from "./storage.js";
+import { toRaw, parsePrice } from "./tokenRegistry.js";
+
+const BPS = 10_000;
+
+// Defaults span the old fixed stairs' ±2% to ±12% in 5 evenly spaced levels (2/4.5/7/9.5/12%, where the
+// stairs had 2/5/8/10/12%), 0.0001 base each, 3 day TTL
+const LADDER_DEFAULTS = {
+  spreadBps: 400,
+  levels: 5,
+  levelSpacingBps: 250,
+  size: 0.0001,
+  sizeGrowth: 1,
+  targetRatio: 0.5,
+  maxSkewBps: 100,
+  repriceThresholdBps: 200,
+  ttlSeconds: 86400 * 3
+};
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+// How far the inventory is from the target base share of its value: -1 (all quote) .. 1 (all base)
+function inventoryImbalance({ base, quote }, price, targetRatio) {
+  const baseValue = base * price;
+  const total = baseValue + quote;
+  if (total <= 0) return 0;
+  return clamp((baseValue / total - targetRatio) / Math.max(targetRatio, 1 - targetRatio), -1, 1);
+}
+
+// Strategies implement quotes(ctx) -> [{ side, level, price, size }] and needsReprice(ctx).
+// ctx: { refPrice, anchor, inventory: { base, quote } in human units, config }
+function createLadderStrategy() {
+  return {
+    name: "ladder",
+
+    // Long base shifts the ladder down and makes asks bigger than bids; short base the opposite
+    quotes({ refPrice, inventory, config }) {
+      const imbalance = inventoryImbalance(inventory, refPrice, config.targetRatio);
+      const center = refPrice * (1 - (imbalance * config.maxSkewBps) / BPS);
+      const out = [];
+
+      for (let level = 0; level < config.levels; level++) {
+        const offset = (config.spreadBps / 2 + level * config.levelSpacingBps) / BPS;
+        const size = config.size * Math.pow(config.sizeGrowth, level);
+        const bidSize = size * (1 - imbalance);
+        const askSize = size * (1 + imbalance);
+        if (bidSize > 0 && offset < 1) out.push({ side: "BUY", level, price: center * (1 - offset), size: bidSize });
+        if (askSize > 0) out.push({ side: "SELL", level, price: center * (1 + offset), size: askSize });
+      }
+      return out;
+    },
+
+    needsReprice({ refPrice, anchor, config }) {
+      if (anchor === null) return true;
+      return (Math.abs(refPrice - anchor) / anchor) * BPS > config.repriceThresholdBps;
+    }
+  };
+}
+
+// depositAndCreateOrder arguments for a quote; null when it rounds to nothing at these decimals
+function quoteOrderArgs({ side, price, size, ttlSeconds }, { base, quote, baseDecimals, quoteDecimals }) {
+  const amtBase = toRaw(size, baseDecimals);
+  const amtQuote = toRaw(size * price, quoteDecimals);
+  if (amtBase === 0n || amtQuote === 0n) return null;
+  return side === "BUY"
+    ? [quote, base, amtQuote, amtBase, parsePrice(price), ttlSeconds, 0]
+    : [base, quote, amtBase, amtQuote, parsePrice(price), ttlSeconds, 1];
+}
+
+// The AMM bot re-anchors the executor's last traded price once it drifts too far from the market:
+// 3% for tokens under $0.70, 0.5% otherwise. A pair that never traded is always misaligned.
+function priceAlignment(contractPrice, marketPrice) {
+  const diff = contractPrice === 0 ? 1 : Math.abs(contractPrice - marketPrice) / marketPrice;
+  const threshold = marketPrice < 0.7 ? 0.03 : 0.005;
+  return { diff, threshold, aligned: diff < threshold };
+}
+
+// The rebalancer leaves a pool alone within band of the market price. Below it, it buys at the market
+// price (expecting the pool to come up), above it, it sells; null when in range.
+function rebalanceSide(poolPrice, marketPrice, band) {
+  if (poolPrice >= marketPrice * (1 - band) && poolPrice <= marketPrice * (1 + band)) return null;
+  return poolPrice < marketPrice ? "BUY" : "SELL";
+}
+
+const STRATEGIES = {
+  ladder: createLadderStrategy
+};
+
+// { "default": { ... }, "tokens": { "ETH": { "size": 0.01 } } } on top of the strategy defaults
+function loadStrategyConfig(file = process.env.MM_CONFIG_FILE) {
+  const raw = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  return symbol => ({ ...LADDER_DEFAULTS, ...(raw.default || {}), ...(raw.tokens?.[symbol] || {}) });
+}
+
+// Keeps each token's quotes in line with the strategy. Everything chain-specific goes through the adapter:
+//   isLive(id) -> true | false | null (unknown yet), inventory(symbol) -> { base, quote },
+//   place({ symbol, side, level, price, size, ttlSeconds }) -> id | null, cancel(id) -> boolean
+// Only orders this maker placed are touched; their ids and the price they were placed around persist.
+function createMarketMaker({ strategy, adapter, configFor, name = "market-maker", persist = true }) {
+  const file = `${name}.json`;
+  const state = persist ? readJSON(file, {}) : {};
+
+  function save() {
+    if (persist) writeJSON(file, state);
+  }
+
+  async function run(symbol, refPrice) {
+    const st = state[symbol] || (state[symbol] = { anchor: null, orders: [] });
+    const config = configFor(symbol);
+
+    const live = await Promise.all(st.orders.map(o => adapter.isLive(o.id)));
+    st.orders = st.orders.filter((o, i) => live[i] !== false);
+
+    const inventory = await adapter.inventory(symbol);
+    let cancel;
+    let place;
+    let anchor = st.anchor;
+
+    if (strategy.needsReprice({ refPrice, anchor: st.anchor, config })) {
+      // Cancel-and-replace the whole ladder around the new reference price
+      anchor = refPrice;
+      cancel = st.orders;
+      place = strategy.quotes({ refPrice, anchor, inventory, config });
+    } else {
+      // Within the threshold the ladder stays where it was; refill missing levels, drop ones no longer wanted
+      const desired = strategy.quotes({ refPrice: st.anchor, anchor: st.anchor, inventory, config });
+      const key = q => `${q.side}:${q.level}`;
+      const have = new Set(st.orders.map(key));
+      const want = new Set(desired.map(key));
+      cancel = st.orders.filter(o => !want.has(key(o)));
+      place = desired.filter(q => !have.has(key(q)));
+    }
+
+    const cancelled = await Promise.all(cancel.map(o => adapter.cancel(o.id)));
+    const gone = new Set(cancel.filter((o, i) => cancelled[i]).map(o => o.id));
+    st.orders = st.orders.filter(o => !gone.has(o.id));
+    // A level whose cancel failed still has its old order working; placing another would double it.
+    // The anchor stays put until every cancel went through, so the next run retries the reprice.
+    const stale = new Set(st.orders.map(o => `${o.side}:${o.level}`));
+    place = place.filter(q => !stale.has(`${q.side}:${q.level}`));
+    if (gone.size === cancel.length) st.anchor = anchor;
+    save();
+
+    const ids = await Promise.all(place.map(q => adapter.place({ symbol, ...q, ttlSeconds: config.ttlSeconds })));
+    place.forEach((q, i) => {
+      if (ids[i] !== null && ids[i] !== undefined) st.orders.push({ id: ids[i], side: q.side, level: q.level, price: q.price, size: q.size });
+    });
+    save();
+
+    return { anchor: st.anchor, cancelled: gone.size, placed: ids.filter(id => id !== null && id !== undefined).length, orders: st.orders.length };
+  }
+
+  return {
+    run,
+    state: symbol => state[symbol] || null
+  };
+}
+
+export { LADDER_DEFAULTS, STRATEGIES, createLadderStrategy, createMarketMaker, inventoryImbalance, loadStrategyConfig, priceAlignment, quoteOrderArgs, rebalanceSide };
@@ -0,0 +1,173 @@
+import { ethers } from "ethers";
+import { aggregateDepth } from "./orderBook.js";
+import { baseOf, quoteOf } from "./matchingEngine.js";
+import { jsonSafe } from "./storage.js";
+
+const HEARTBEAT_MS = 15_000;
+const MAX_BUFFERED = 1024 * 1024;
+
+function levelMap(book) {
+  const out = new Map();
+  for (const side of ["bids", "asks"]) {
+    for (const l of book[side]) out.set(`${side}:${l.price}`, { side, ...l });
+  }
+  return out;
+}
+
+function diffLevels(prev, next) {
+  const deltas = [];
+  for (const [key, level] of next) {
+    const old = prev.get(key);
+    if (!old || old.size !== level.size || old.orders !== level.orders) {
+      deltas.push({ side: level.side, price: level.price, size: level.size, total: level.total, orders: level.orders });
+    }
+  }
+  for (const [key, level] of prev) {
+    if (!next.has(key)) deltas.push({ side: level.side, price: level.price, size: "0", total: "0", orders: 0 });
+  }
+  return deltas;
+}
+
+// Server-Sent Events hub. Every pair channel has its own sequence number: a subscriber gets a
+// snapshot carrying the current seq, then updates at seq+1, seq+2, ... A gap means resubscribe.
+function createMarketStream({ indexer, getDecimals }) {
+  const channels = new Map();
+
+  function channelFor(base, quote) {
+    const key = `${base}-${quote}`;
+    if (!channels.has(key)) {
+      channels.set(key, { key, base, quote, seq: 0, clients: new Set(), levels: new Map(), dirty: false });
+    }
+    return channels.get(key);
+  }
+
+  // seq is read together with the book so the snapshot says exactly which updates it already contains
+  async function buildBook(ch) {
+    const [baseDecimals, quoteDecimals] = await Promise.all([getDecimals(ch.base), getDecimals(ch.quote)]);
+    const book = aggregateDepth(indexer.getOpenOrders(), {
+      base: ch.base, quote: ch.quote, baseDecimals, quoteDecimals, depth: Infinity
+    });
+    return { book, seq: ch.seq };
+  }
+
+  function write(ch, res, event, data) {
+    if (res.writableLength > MAX_BUFFERED) {
+      // Too slow to keep up; it will reconnect and start from a fresh snapshot
+      ch.clients.delete(res);
+      res.end();
+      return;
+    }
+    res.write(`id: ${data.seq}\nevent: ${event}\ndata: ${JSON.stringify(jsonSafe(data))}\n\n`);
+  }
+
+  function publish(ch, event, payload) {
+    if (!ch.clients.size) return;
+    const data = { seq: ++ch.seq, ...payload };
+    for (const res of ch.clients) write(ch, res, event, data);
+  }
+
+  // Deltas are absolute level values, so a client whose snapshot is newer than ch.levels can apply them safely
+  async function sendSnapshot(ch, targets, resetLevels) {
+    const { book, seq } = await buildBook(ch);
+    if (resetLevels) {
+      ch.levels = levelMap(book);
+      ch.dirty = false;
+    }
+    const data = { seq, block: indexer.status().lastBlock, book };
+    for (const res of targets) write(ch, res, "snapshot", data);
+  }
+
+  function channelOf(order) {
+    return order && channels.get(`${baseOf(order)}-${quoteOf(order)}`);
+  }
+
+  function orderPayload(o) {
+    return {
+      id: o.id,
+      maker: o.maker,
+      side: o.orderType === 0 ? "BUY" : "SELL",
+      price: ethers.formatUnits(o.targetPrice1e18, 18),
+      amountIn: o.amountIn,
+      expiry: o.expiry
+    };
+  }
+
+  indexer.on("event", e => {
+    const ch = channelOf(e.order || e.buyOrder || e.sellOrder);
+    if (!ch || !ch.clients.size) return;
+    const meta = { blockNumber: e.blockNumber, txHash: e.txHash };
+
+    if (e.type === "created") publish(ch, "order_created", { order: orderPayload(e.order), ...meta });
+    if (e.type === "cancelled") publish(ch, "order_cancelled", { order: orderPayload(e.order), refundedAmount: e.order.refundedAmount, ...meta });
+    if (e.type === "claimed") publish(ch, "order_expired", { order: orderPayload(e.order), refundedAmount: e.order.refundedAmount, ...meta });
+    if (e.type === "matched") {
+      publish(ch, "trade", {
+        buyOrderId: e.buyOrder?.id ?? null,
+        sellOrderId: e.sellOrder?.id ?? null,
+        executionPrice1e18: e.executionPrice1e18,
+        price: ethers.formatUnits(e.executionPrice1e18, 18),
+        tokenInTransferred: e.tokenInTransferred,
+        tokenOutTransferred: e.tokenOutTransferred,
+        ...meta
+      });
+    }
+    ch.dirty = true;
+  });
+
+  indexer.on("synced", async ({ lastBlock }) => {
+    for (const ch of channels.values()) {
+      if (!ch.dirty || !ch.clients.size) continue;
+      try {
+        const { book } = await buildBook(ch);
+        const next = levelMap(book);
+        const deltas = diffLevels(ch.levels, next);
+        ch.levels = next;
+        ch.dirty = false;
+        if (deltas.length) publish(ch, "book", { block: lastBlock, deltas });
+      } catch (e) {
+        console.log(`⚠️ Stream ${ch.key}: ${e.message}`);
+      }
+    }
+  });
+
+  // After a reorg earlier updates may be wrong, so everyone starts over from a snapshot
+  indexer.on("rewind", async () => {
+    for (const ch of channels.values()) {
+      if (!ch.clients.size) continue;
+      ch.seq++;
+      try {
+        await sendSnapshot(ch, ch.clients, true);
+      } catch (e) {
+        console.log(`⚠️ Stream ${ch.key}: ${e.message}`);
+      }
+    }
+  });
+
+  async function subscribe(req, res, base, quote) {
+    const ch = channelFor(base, quote);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.write("retry: 3000\n\n");
+
+    await sendSnapshot(ch, [res], ch.clients.size === 0);
+    ch.clients.add(res);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      ch.clients.delete(res);
+    });
+  }
+
+  return {
+    subscribe,
+    status: () => [...channels.values()].map(ch => ({ pair: ch.key, seq: ch.seq, clients: ch.clients.size }))
+  };
+}
+
+export { createMarketStream };
@@ -0,0 +1,85 @@
+import { readJSON, writeJSON } from "./storage.js";
+
+const HOUR = 3600_000;
+const WINDOWS = { "24h": 24 * HOUR, "7d": 7 * 24 * HOUR };
+const RETENTION_MS = WINDOWS["7d"];
+
+// "revert" means the chain rejected the call; anything else (RPC, timeouts, nonce) is "error".
+// "rejected" is a match that failed simulation and was never sent, so it isn't an attempt.
+function classifyError(err) {
+  return err?.code === "CALL_EXCEPTION" || err?.receipt?.status === 0 ? "revert" : "error";
+}
+
+function emptyCounts() {
+  return { attempts: 0, successes: 0, reverts: 0, errors: 0, rejected: 0 };
+}
+
+function count(counts, outcome) {
+  if (outcome === "rejected") {
+    counts.rejected = (counts.rejected || 0) + 1;
+    return;
+  }
+  counts.attempts++;
+  if (outcome === "success") counts.successes++;
+  else if (outcome === "revert") counts.reverts++;
+  else counts.errors++;
+}
+
+function createMatchStats({ name = "match-stats" } = {}) {
+  const file = `${name}.json`;
+  const saved = readJSON(file, { records: [], lifetime: emptyCounts(), lastTradeTime: null });
+
+  let records = saved.records;
+  const lifetime = saved.lifetime;
+  let lastTradeTime = saved.lastTradeTime;
+
+  function save() {
+    writeJSON(file, { records, lifetime, lastTradeTime });
+  }
+
+  function prune(now) {
+    records = records.filter(r => r.ts >= now - RETENTION_MS);
+  }
+
+  function record({ pair, base, quote, buyId, sellId, outcome, baseAmount = 0n, quoteAmount = 0n, txHash = null, gasUsed = null, error = null }) {
+    const ts = Date.now();
+    records.push({ ts, pair, base, quote, buyId, sellId, outcome, baseAmount, quoteAmount, txHash, gasUsed, error });
+    count(lifetime, outcome);
+    if (outcome === "success") lastTradeTime = ts;
+    prune(ts);
+    save();
+  }
+
+  function summary(now = Date.now()) {
+    const windows = {};
+    for (const [label, ms] of Object.entries(WINDOWS)) {
+      const inWindow = records.filter(r => r.ts >= now - ms);
+      const pairs = {};
+      const totals = emptyCounts();
+
+      for (const r of inWindow) {
+        const p = pairs[r.pair] || (pairs[r.pair] = {
+          base: r.base, quote: r.quote, baseVolume: 0n, quoteVolume: 0n, ...emptyCounts()
+        });
+        count(p, r.outcome);
+        count(totals, r.outcome);
+        if (r.outcome === "success") {
+          p.baseVolume += r.baseAmount;
+          p.quoteVolume += r.quoteAmount;
+        }
+      }
+
+      windows[label] = { ...totals, pairs };
+    }
+
+    return { windows, lifetime: { ...lifetime }, lastTradeTime };
+  }
+
+  return { record, summary };
+}
+
+function successRate(counts) {
+  return counts.attempts > 0 ? (counts.successes / counts.attempts) * 100 : 0;
+}
+
+export { createMatchStats, classifyError, successRate, WINDOWS };
@@ -0,0 +1,147 @@
+const PRICE_SCALE = 10n ** 18n;
+const BPS = 10_000n;
+const MATCH_TOLERANCE_BPS = 1n;
+const BUY = 0;
+const SELL = 1;
+
+function pairKey(a, b) {
+  const [x, y] = [a.toLowerCase(), b.toLowerCase()].sort();
+  return `${x}-${y}`;
+}
+
+// A buy spends quote for base, a sell spends base for quote
+function baseOf(o) {
+  return o.orderType === BUY ? o.tokenOut : o.tokenIn;
+}
+
+function quoteOf(o) {
+  return o.orderType === BUY ? o.tokenIn : o.tokenOut;
+}
+
+function pricesMatch(buyPrice, sellPrice) {
+  const tolerance = (buyPrice * MATCH_TOLERANCE_BPS) / BPS;
+  return buyPrice >= sellPrice - tolerance;
+}
+
+function compareBids(a, b) {
+  if (a.targetPrice1e18 !== b.targetPrice1e18) return a.targetPrice1e18 > b.targetPrice1e18 ? -1 : 1;
+  return a.id - b.id;
+}
+
+function compareAsks(a, b) {
+  if (a.targetPrice1e18 !== b.targetPrice1e18) return a.targetPrice1e18 < b.targetPrice1e18 ? -1 : 1;
+  return a.id - b.id;
+}
+
+// Prices are human quote-per-base scaled by 1e18, amounts are raw token units
+function baseToQuote(baseAmount, price1e18, baseDecimals, quoteDecimals) {
+  return (baseAmount * price1e18 * 10n ** BigInt(quoteDecimals)) / (PRICE_SCALE * 10n ** BigInt(baseDecimals));
+}
+
+function quoteToBase(quoteAmount, price1e18, baseDecimals, quoteDecimals) {
+  if (price1e18 === 0n) return 0n;
+  return (quoteAmount * PRICE_SCALE * 10n ** BigInt(baseDecimals)) / (price1e18 * 10n ** BigInt(quoteDecimals));
+}
+
+function groupBooks(orders) {
+  const books = new Map();
+  for (const o of orders) {
+    const base = baseOf(o);
+    const quote = quoteOf(o);
+    const key = `${base}-${quote}`;
+    if (!books.has(key)) books.set(key, { base, quote, bids: [], asks: [] });
+    const book = books.get(key);
+    if (o.orderType === BUY) book.bids.push(o);
+    else book.asks.push(o);
+  }
+  for (const book of books.values()) {
+    book.bids.sort(compareBids);
+    book.asks.sort(compareAsks);
+  }
+  return [...books.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([, book]) => book);
+}
+
+// Builds the full list of matches for one cycle before anything is sent.
+// Walks every book in strict price-time priority, carrying remaining amounts across levels.
+function buildMatchPlan(orders, {
+  decimals,
+  isDust = () => false,
+  canSelfMatch = () => false
+}) {
+  const matches = [];
+  const dust = [];
+  const skipped = [];
+
+  for (const book of groupBooks(orders)) {
+    const baseDec = decimals[book.base];
+    const quoteDec = decimals[book.quote];
+    if (baseDec === undefined || quoteDec === undefined) {
+      skipped.push({ base: book.base, quote: book.quote, reason: "unknown decimals" });
+      continue;
+    }
+
+    const remaining = new Map();
+    for (const o of [...book.bids, ...book.asks]) {
+      if (isDust(o)) dust.push(o);
+      else remaining.set(o.id, o.amountIn);
+    }
+
+    const left = o => remaining.get(o.id) ?? 0n;
+    const settle = (o, amount) => {
+      const rest = left(o) - amount;
+      remaining.set(o.id, isDust({ ...o, amountIn: rest }) ? 0n : rest);
+    };
+
+    for (const bid of book.bids) {
+      for (const ask of book.asks) {
+        if (left(bid) === 0n) break;
+        if (!pricesMatch(bid.targetPrice1e18, ask.targetPrice1e18)) break;
+        if (left(ask) === 0n) continue;
+        if (bid.maker.toLowerCase() === ask.maker.toLowerCase() && !canSelfMatch(bid.maker)) continue;
+
+        // The resting (older) order sets the price
+        const price1e18 = bid.id < ask.id ? bid.targetPrice1e18 : ask.targetPrice1e18;
+        const bidCapacity = quoteToBase(left(bid), price1e18, baseDec, quoteDec);
+        const baseAmount = left(ask) < bidCapacity ? left(ask) : bidCapacity;
+        if (baseAmount === 0n) break;
+
+        let quoteAmount = baseToQuote(baseAmount, price1e18, baseDec, quoteDec);
+        if (quoteAmount > left(bid)) quoteAmount = left(bid);
+
+        matches.push({
+          pair: pairKey(book.base, book.quote),
+          base: book.base,
+          quote: book.quote,
+          buyId: bid.id,
+          sellId: ask.id,
+          buyMaker: bid.maker,
+          sellMaker: ask.maker,
+          price1e18,
+          baseAmount,
+          quoteAmount
+        });
+
+        settle(bid, quoteAmount);
+        settle(ask, baseAmount);
+      }
+    }
+  }
+
+  return { matches, dust, skipped };
+}
+
+export {
+  PRICE_SCALE,
+  BUY,
+  SELL,
+  pairKey,
+  baseOf,
+  quoteOf,
+  pricesMatch,
+  compareBids,
+  compareAsks,
+  baseToQuote,
+  quoteToBase,
+  groupBooks,
+  buildMatchPlan
+};
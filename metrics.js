@@ -0,0 +1,169 @@
+import { ethers } from "ethers";
+import { toHuman } from "./tokenRegistry.js";
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function seriesKey(names, labels) {
+  return names.map(n => labels[n] ?? "").join("\u0000");
+}
+
+// Minimal Prometheus registry: counters, gauges and histograms rendered in text format 0.0.4
+function createRegistry({ prefix = "", defaultLabels = {} } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    const m = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(m);
+    return m;
+  }
+
+  function series(m, labels, init) {
+    const key = seriesKey(m.labelNames, labels);
+    if (!m.series.has(key)) {
+      const picked = Object.fromEntries(m.labelNames.map(n => [n, labels[n] ?? ""]));
+      m.series.set(key, { labels: picked, ...init() });
+    }
+    return m.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = define("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, value = 1) {
+        series(m, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const m = define("gauge", name, help, labelNames);
+    return {
+      set(labels = {}, value) {
+        series(m, labels, () => ({ value: 0 })).value = value;
+      },
+      reset() {
+        m.series.clear();
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const m = define("histogram", name, help, labelNames);
+    m.buckets = buckets;
+    const observe = (labels = {}, value) => {
+      const s = series(m, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    return {
+      observe,
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        const labels = { ...defaultLabels, ...s.labels };
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${labelString(labels)} ${s.value}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => lines.push(`${m.name}_bucket${labelString({ ...labels, le: b })} ${s.counts[i]}`));
+        lines.push(`${m.name}_bucket${labelString({ ...labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${m.name}_sum${labelString(labels)} ${s.sum}`);
+        lines.push(`${m.name}_count${labelString(labels)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// One set of metric names for every bot, told apart by the "bot" label
+function createBotMetrics(bot) {
+  const registry = createRegistry({ prefix: "dex_", defaultLabels: { bot } });
+  return {
+    registry,
+    cycleDuration: registry.histogram("cycle_duration_seconds", "Duration of one bot cycle"),
+    cycleErrors: registry.counter("cycle_errors_total", "Cycles that ended with an error"),
+    openOrders: registry.gauge("open_orders", "Open orders in the executor book", ["pair", "side"]),
+    matches: registry.counter("match_attempts_total", "Match attempts by outcome (success, revert, error, rejected)", ["pair", "outcome"]),
+    ordersPlaced: registry.counter("orders_placed_total", "Orders placed by the bot", ["token", "side"]),
+    txs: registry.counter("transactions_total", "Transactions by final status", ["status"]),
+    gasUsed: registry.counter("gas_used_total", "Gas used by mined transactions"),
+    feesPaid: registry.counter("fees_paid_wei_total", "Fees paid by mined transactions, in wei"),
+    rpcLatency: registry.histogram("rpc_request_duration_seconds", "JSON-RPC request latency", ["method"]),
+    rpcErrors: registry.counter("rpc_errors_total", "JSON-RPC failures (transport or error response)", ["method", "kind"]),
+    walletBalance: registry.gauge("wallet_balance", "Wallet balance in human units", ["token"]),
+    priceDeviation: registry.gauge("oracle_contract_price_deviation_ratio", "Relative gap between oracle price and last executed contract price", ["token"]),
+    riskRejections: registry.counter("risk_rejections_total", "Orders refused by the risk limits", ["token"]),
+    breakerTripped: registry.gauge("risk_breaker_tripped", "1 while the circuit breaker has quoting halted")
+  };
+}
+
+// Wraps the provider's transport so every request (including batched ones) is timed per method
+function instrumentProvider(provider, m) {
+  const send = provider._send.bind(provider);
+  provider._send = async payload => {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const start = process.hrtime.bigint();
+    try {
+      const results = await send(payload);
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      for (const p of payloads) {
+        m.rpcLatency.observe({ method: p.method }, seconds);
+        const r = results.find(res => res.id === p.id);
+        if (r && "error" in r) m.rpcErrors.inc({ method: p.method, kind: "response" });
+      }
+      return results;
+    } catch (e) {
+      for (const p of payloads) m.rpcErrors.inc({ method: p.method, kind: "transport" });
+      throw e;
+    }
+  };
+}
+
+function instrumentTxManager(txManager, m) {
+  txManager.on("finished", ({ status, receipt }) => {
+    m.txs.inc({ status });
+    if (!receipt) return;
+    m.gasUsed.inc({}, Number(receipt.gasUsed));
+    m.feesPaid.inc({}, Number(receipt.gasUsed * (receipt.gasPrice ?? 0n)));
+  });
+}
+
+const BALANCE_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+// symbols maps SYMBOL -> address; decimals come from the token registry
+async function updateBalances(m, { provider, owner, registry, symbols }) {
+  m.walletBalance.set({ token: "native" }, Number(ethers.formatEther(await provider.getBalance(owner))));
+  await Promise.all(Object.entries(symbols).map(async ([symbol, addr]) => {
+    try {
+      const [bal, token] = await Promise.all([
+        new ethers.Contract(addr, BALANCE_ABI, provider).balanceOf(owner),
+        registry.resolve(addr)
+      ]);
+      m.walletBalance.set({ token: symbol }, Number(toHuman(bal, token.decimals)));
+    } catch { }
+  }));
+}
+
+export { createRegistry, createBotMetrics, instrumentProvider, instrumentTxManager, updateBalances };
@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+// constants.js loads the profile at import time, before the importing script's own dotenv.config()
+dotenv.config({ quiet: true });
+
+const NETWORKS_FILE = process.env.NETWORKS_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), "networks.json");
+const CONTRACTS = ["executor", "factory", "router", "positionManager"];
+const RPC_TIMEOUT_MS = 10_000;
+
+// Environment variables the scripts used to read directly still win over the profile
+const ENV_OVERRIDES = {
+  executor: "EXECUTOR_ADDRESS",
+  factory: "FACTORY_ADDRESS",
+  router: "ROUTER_ADDRESS",
+  positionManager: "POSITION_MANAGER_ADDRESS"
+};
+
+function checksum(value, where) {
+  try {
+    return ethers.getAddress(value);
+  } catch {
+    throw new Error(`${where}: invalid address ${value}`);
+  }
+}
+
+// Tokens are SYMBOL -> address, or SYMBOL -> { address, symbol, decimals, name, dust } where symbol is
+// the on-chain symbol when it differs from the key and the rest are token registry overrides
+function loadNetwork(name = process.env.NETWORK, { file = NETWORKS_FILE, env = process.env } = {}) {
+  const all = JSON.parse(fs.readFileSync(file, "utf8"));
+  const key = name || all.defaultNetwork;
+  const raw = all.networks[key];
+  if (!raw) throw new Error(`Unknown network "${key}" (profiles: ${Object.keys(all.networks).join(", ")})`);
+
+  const profile = {
+    name: key,
+    description: raw.description || "",
+    rpcUrls: [...new Set([env.RPC_URL, ...(raw.rpcUrls || [])].filter(Boolean))],
+    chainId: env.CHAIN_ID ? Number(env.CHAIN_ID) : raw.chainId ?? null,
+    tokens: {},
+    tokenSymbols: {},
+    tokenMeta: {},
+    pools: {},
+    overrides: []
+  };
+
+  for (const c of CONTRACTS) {
+    const value = env[ENV_OVERRIDES[c]] || raw[c];
+    if (env[ENV_OVERRIDES[c]]) profile.overrides.push(ENV_OVERRIDES[c]);
+    profile[c] = value ? checksum(value, `${key}.${c}`) : null;
+  }
+
+  for (const [symbol, entry] of Object.entries(raw.tokens || {})) {
+    const address = typeof entry === "string" ? entry : entry.address;
+    profile.tokens[symbol] = checksum(address, `${key}.tokens.${symbol}`);
+    profile.tokenSymbols[symbol] = typeof entry === "string" ? symbol : entry.symbol || symbol;
+    if (typeof entry !== "string") {
+      const { decimals, name, dust } = entry;
+      profile.tokenMeta[profile.tokens[symbol].toLowerCase()] = JSON.parse(JSON.stringify({ decimals, name, dust }));
+    }
+  }
+
+  for (const [label, address] of Object.entries(raw.pools || {})) {
+    profile.pools[label] = checksum(address, `${key}.pools.${label}`);
+  }
+
+  if (!profile.rpcUrls.length) throw new Error(`Network "${key}" has no rpcUrls and RPC_URL is not set`);
+  return profile;
+}
+
+function requireAddress(profile, contract) {
+  if (!profile[contract]) {
+    throw new Error(`${contract} is not configured for network "${profile.name}" (set it in networks.json or ${ENV_OVERRIDES[contract]})`);
+  }
+  return profile[contract];
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${what} timed out`)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// First RPC URL that answers wins; the rest are fallbacks for the next start
+async function pickProvider(rpcUrls) {
+  const failures = [];
+  for (const url of rpcUrls) {
+    const provider = new ethers.JsonRpcProvider(url);
+    try {
+      const network = await withTimeout(provider.getNetwork(), RPC_TIMEOUT_MS, url);
+      return { provider, url, chainId: network.chainId };
+    } catch (e) {
+      provider.destroy();
+      failures.push(`${url}: ${e.shortMessage || e.message}`);
+    }
+  }
+  throw new Error(`No RPC endpoint reachable:\n  ${failures.join("\n  ")}`);
+}
+
+const SYMBOL_ABI = ["function symbol() view returns (string)"];
+
+async function validateNetwork(profile, provider, chainId) {
+  const errors = [];
+  const warnings = [];
+
+  if (profile.chainId === null) warnings.push(`chainId is not pinned for "${profile.name}", chain reports ${chainId}`);
+  else if (BigInt(profile.chainId) !== chainId) errors.push(`chainId mismatch: profile ${profile.chainId}, chain ${chainId}`);
+
+  const hasCode = async (address, label) => {
+    const code = await provider.getCode(address);
+    if (code === "0x") errors.push(`${label} ${address} has no contract code`);
+    return code !== "0x";
+  };
+
+  await Promise.all([
+    ...CONTRACTS.filter(c => profile[c]).map(c => hasCode(profile[c], c)),
+    ...Object.entries(profile.pools).map(([label, address]) => hasCode(address, `pool ${label}`)),
+    ...Object.entries(profile.tokens).map(async ([key, address]) => {
+      if (!(await hasCode(address, `token ${key}`))) return;
+      try {
+        const actual = await new ethers.Contract(address, SYMBOL_ABI, provider).symbol();
+        const expected = profile.tokenSymbols[key];
+        if (actual.toUpperCase() !== expected.toUpperCase()) errors.push(`token ${key} ${address} reports symbol ${actual}, expected ${expected}`);
+      } catch (e) {
+        errors.push(`token ${key} ${address}: symbol() failed (${e.shortMessage || e.message})`);
+      }
+    })
+  ]);
+
+  return { errors, warnings };
+}
+
+// Loads the profile, connects and checks it against the chain.
+// NETWORK_VALIDATION: "strict" (default) refuses to start on errors, "warn" only logs, "off" skips the checks.
+async function connectNetwork({ name, validation = process.env.NETWORK_VALIDATION || "strict" } = {}) {
+  const profile = loadNetwork(name);
+  const { provider, url, chainId } = await pickProvider(profile.rpcUrls);
+  console.log(`🌐 Network ${profile.name} via ${url} (chainId ${chainId})`);
+  if (profile.overrides.length) console.log(`   Overridden from env: ${profile.overrides.join(", ")}`);
+
+  if (validation !== "off") {
+    const { errors, warnings } = await validateNetwork(profile, provider, chainId);
+    for (const w of warnings) console.log(`⚠️ ${w}`);
+    for (const e of errors) console.error(`❌ ${e}`);
+    if (errors.length && validation === "strict") {
+      provider.destroy();
+      throw new Error(`Network "${profile.name}" failed validation with ${errors.length} problem(s); NETWORK_VALIDATION=warn starts anyway`);
+    }
+  }
+
+  return { profile, provider, chainId };
+}
+
+export { NETWORKS_FILE, loadNetwork, requireAddress, validateNetwork, connectNetwork };
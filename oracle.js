@@ -0,0 +1,246 @@
+import fs from "fs";
+import axios from "axios";
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { priceToNumber } from "./tokenRegistry.js";
+
+const require = createRequire(import.meta.url);
+const POOL_ABI = require("./ABI/PoolABI.json").abi;
+const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
+
+// Every source answers getPrices(symbols) with { SYMBOL: { price, timestamp } }: price is a
+// Number in quote (USD/USDT) per token, timestamp in ms. Symbols a source can't price are left out.
+
+function coingeckoSource({ ids, apiUrl = "https://api.coingecko.com/api/v3", timeoutMs = 10_000 }) {
+  return {
+    name: "coingecko",
+    async getPrices(symbols) {
+      const wanted = symbols.filter(s => ids[s]);
+      if (!wanted.length) return {};
+      const { data } = await axios.get(`${apiUrl}/simple/price`, {
+        params: { ids: wanted.map(s => ids[s]).join(","), vs_currencies: "usd", include_last_updated_at: true },
+        timeout: timeoutMs
+      });
+      const out = {};
+      for (const s of wanted) {
+        const row = data[ids[s]];
+        if (row?.usd) out[s] = { price: row.usd, timestamp: (row.last_updated_at || Date.now() / 1000) * 1000 };
+      }
+      return out;
+    }
+  };
+}
+
+// Time-weighted average over the last windowSeconds from the pool's observe()
+function uniswapTwapSource({ factoryAddress, provider, registry, tokens, quote, fee = 500, windowSeconds = 1800 }) {
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+  const pools = new Map();
+
+  async function poolFor(token) {
+    if (!pools.has(token)) {
+      const addr = await factory.getPool(token, quote, fee);
+      pools.set(token, addr === ethers.ZeroAddress ? null : new ethers.Contract(addr, POOL_ABI, provider));
+    }
+    return pools.get(token);
+  }
+
+  async function twap(token) {
+    const pool = await poolFor(token);
+    if (!pool) return null;
+    const [[cumStart, cumEnd], token0, base, q] = await Promise.all([
+      pool.observe([windowSeconds, 0]),
+      pool.token0(),
+      registry.resolve(token),
+      registry.resolve(quote)
+    ]);
+    const tick = Number(cumEnd - cumStart) / windowSeconds;
+    const tokenIsToken0 = token0.toLowerCase() === base.address;
+    // 1.0001^tick is token1 per token0 in raw units
+    const raw = Math.pow(1.0001, tick);
+    const price = tokenIsToken0
+      ? raw * 10 ** (base.decimals - q.decimals)
+      : (1 / raw) * 10 ** (base.decimals - q.decimals);
+    return { price, timestamp: Date.now() };
+  }
+
+  return {
+    name: "uniswap",
+    async getPrices(symbols) {
+      const out = {};
+      await Promise.all(symbols.map(async s => {
+        if (!tokens[s]) return;
+        try {
+          const p = await twap(tokens[s]);
+          if (p && Number.isFinite(p.price) && p.price > 0) out[s] = p;
+        } catch (e) {
+          // observe() reverts when the pool's history doesn't reach back windowSeconds
+        }
+      }));
+      return out;
+    }
+  };
+}
+
+// The executor's last fill; its age is the age of that block
+function executorSource({ executor, provider, tokens, quote }) {
+  return {
+    name: "executor",
+    async getPrices(symbols) {
+      const out = {};
+      await Promise.all(symbols.map(async s => {
+        if (!tokens[s]) return;
+        try {
+          const [price1e18, blockNum] = await executor.getLastExecutedPrice(tokens[s], quote);
+          if (price1e18 === 0n) return;
+          const block = await provider.getBlock(Number(blockNum));
+          out[s] = { price: priceToNumber(price1e18), timestamp: block.timestamp * 1000 };
+        } catch { }
+      }));
+      return out;
+    }
+  };
+}
+
+// Fixed prices from an object or a JSON file { "ETH": 2500 }, re-read on every call
+function staticSource({ prices = null, file = null }) {
+  return {
+    name: "static",
+    async getPrices(symbols) {
+      const table = file ? JSON.parse(fs.readFileSync(file, "utf8")) : prices;
+      const out = {};
+      for (const s of symbols) if (typeof table[s] === "number") out[s] = { price: table[s], timestamp: Date.now() };
+      return out;
+    }
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median over the sources configured for each token. Stale quotes are dropped, then anything further
+// than maxDeviation from the median of the rest, and the median is taken again over what's left.
+// Two sources that disagree reject each other: there is no way to tell which one is right.
+function createPriceOracle({
+  sources,
+  tokenSources = {},
+  maxAgeMs = {},
+  defaultMaxAgeMs = 10 * 60_000,
+  maxDeviation = 0.05,
+  minSources = 1
+}) {
+  const byName = new Map(sources.map(s => [s.name, s]));
+
+  function sourcesFor(symbol) {
+    return (tokenSources[symbol] || [...byName.keys()]).filter(n => byName.has(n));
+  }
+
+  async function getPrices(symbols, now = Date.now()) {
+    const names = [...new Set(symbols.flatMap(sourcesFor))];
+    const answers = {};
+    const failures = {};
+    await Promise.all(names.map(async n => {
+      const wanted = symbols.filter(s => sourcesFor(s).includes(n));
+      try {
+        answers[n] = await byName.get(n).getPrices(wanted);
+      } catch (e) {
+        failures[n] = e.message;
+        answers[n] = {};
+      }
+    }));
+
+    const out = {};
+    for (const s of symbols) {
+      const quotes = [];
+      const rejected = [];
+      for (const n of sourcesFor(s)) {
+        const q = answers[n]?.[s];
+        if (!q) continue;
+        const age = now - q.timestamp;
+        if (age > (maxAgeMs[n] ?? defaultMaxAgeMs)) rejected.push({ source: n, price: q.price, reason: `stale (${Math.round(age / 1000)}s)` });
+        else quotes.push({ source: n, price: q.price, age });
+      }
+
+      let accepted = quotes;
+      if (quotes.length >= 2) {
+        const mid = median(quotes.map(q => q.price));
+        accepted = quotes.filter(q => Math.abs(q.price - mid) / mid <= maxDeviation);
+        for (const q of quotes) {
+          if (!accepted.includes(q)) rejected.push({ source: q.source, price: q.price, reason: `outlier vs median ${mid}` });
+        }
+      }
+
+      out[s] = accepted.length >= Math.max(1, minSources)
+        ? { price: median(accepted.map(q => q.price)), sources: accepted, rejected }
+        : { price: null, sources: accepted, rejected };
+    }
+
+    return { prices: out, failures };
+  }
+
+  return { getPrices, sourcesFor };
+}
+
+// "ETH:coingecko+uniswap;DOGE:coingecko" -> { ETH: ["coingecko", "uniswap"], DOGE: ["coingecko"] }
+function parseTokenSources(raw = "") {
+  const out = {};
+  for (const part of raw.split(";").map(s => s.trim()).filter(Boolean)) {
+    const [symbol, list] = part.split(":");
+    if (symbol && list) out[symbol.trim().toUpperCase()] = list.split("+").map(s => s.trim()).filter(Boolean);
+  }
+  return out;
+}
+
+// Every source quotes in this token, so it is worth exactly 1 and never looked up
+const PRICE_UNIT = "USDT";
+
+// Builds the oracle the bots share from ORACLE_* settings; prices are quoted in the profile's USDT
+function createOracleFromEnv({ provider, network, registry, executor, coingeckoIds, env = process.env }) {
+  const quote = network.tokens[PRICE_UNIT];
+  const enabled = (env.ORACLE_SOURCES || "coingecko,uniswap").split(",").map(s => s.trim()).filter(Boolean);
+  const builders = {
+    coingecko: () => coingeckoSource({ ids: coingeckoIds }),
+    uniswap: () => uniswapTwapSource({
+      factoryAddress: network.factory,
+      provider,
+      registry,
+      tokens: network.tokens,
+      quote,
+      fee: Number(env.ORACLE_POOL_FEE || 500),
+      windowSeconds: Number(env.ORACLE_TWAP_SECONDS || 1800)
+    }),
+    executor: () => executorSource({ executor, provider, tokens: network.tokens, quote }),
+    static: () => staticSource({ file: env.ORACLE_STATIC_FILE })
+  };
+
+  const sources = enabled.map(name => {
+    if (!builders[name]) throw new Error(`Unknown oracle source "${name}" (have: ${Object.keys(builders).join(", ")})`);
+    if (name === "uniswap" && !network.factory) throw new Error("Oracle source uniswap needs a factory in the network profile");
+    if (name === "executor" && !executor) throw new Error("Oracle source executor needs an executor in the network profile");
+    if (name === "static" && !env.ORACLE_STATIC_FILE) throw new Error("Oracle source static needs ORACLE_STATIC_FILE");
+    return builders[name]();
+  });
+
+  const maxAgeMs = Object.fromEntries(Object.entries(parseTokenSources(env.ORACLE_SOURCE_MAX_AGE_MS))
+    .map(([name, [ms]]) => [name.toLowerCase(), Number(ms)]));
+
+  return createPriceOracle({
+    sources,
+    tokenSources: parseTokenSources(env.ORACLE_TOKEN_SOURCES),
+    maxAgeMs,
+    defaultMaxAgeMs: Number(env.ORACLE_MAX_AGE_MS || 10 * 60_000),
+    maxDeviation: Number(env.ORACLE_MAX_DEVIATION || 0.05),
+    minSources: Number(env.ORACLE_MIN_SOURCES || 1)
+  });
+}
+
+// { SYMBOL: price or null } in PRICE_UNIT for any symbols, other stablecoins included
+async function unitPrices(oracle, symbols) {
+  const wanted = [...new Set(symbols)].filter(s => s !== PRICE_UNIT);
+  const { prices } = wanted.length ? await oracle.getPrices(wanted) : { prices: {} };
+  return Object.fromEntries(symbols.map(s => [s, s === PRICE_UNIT ? 1 : prices[s]?.price ?? null]));
+}
+
+export { coingeckoSource, uniswapTwapSource, executorSource, staticSource, createPriceOracle, createOracleFromEnv, parseTokenSources, median, unitPrices, PRICE_UNIT };
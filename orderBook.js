@@ -0,0 +1,86 @@
+import { ethers } from "ethers";
+import { BUY, SELL, baseToQuote, quoteToBase } from "./matchingEngine.js";
+
+function bookSides(orders, base, quote) {
+  const b = base.toLowerCase();
+  const q = quote.toLowerCase();
+  return {
+    bids: orders.filter(o => o.orderType === BUY && o.tokenIn === q && o.tokenOut === b),
+    asks: orders.filter(o => o.orderType === SELL && o.tokenIn === b && o.tokenOut === q)
+  };
+}
+
+// Bids round down and asks round up, so a level never looks better than the orders in it
+function levelPrice(price, tick, roundUp) {
+  if (tick === 0n) return price;
+  const floor = (price / tick) * tick;
+  return roundUp && floor < price ? floor + tick : floor;
+}
+
+function aggregateSide(orders, { isBid, tick, baseDecimals, quoteDecimals, depth }) {
+  const levels = new Map();
+
+  for (const o of orders) {
+    const price = levelPrice(o.targetPrice1e18, tick, !isBid);
+    const baseAmount = isBid ? quoteToBase(o.amountIn, o.targetPrice1e18, baseDecimals, quoteDecimals) : o.amountIn;
+    const quoteAmount = isBid ? o.amountIn : baseToQuote(o.amountIn, o.targetPrice1e18, baseDecimals, quoteDecimals);
+
+    const level = levels.get(price) || { price, baseAmount: 0n, quoteAmount: 0n, orders: 0 };
+    level.baseAmount += baseAmount;
+    level.quoteAmount += quoteAmount;
+    level.orders++;
+    levels.set(price, level);
+  }
+
+  const sorted = [...levels.values()].sort((a, b) => {
+    if (a.price === b.price) return 0;
+    return (a.price > b.price) === isBid ? -1 : 1;
+  });
+
+  let cumBase = 0n;
+  let cumQuote = 0n;
+  return sorted.slice(0, depth).map(l => {
+    cumBase += l.baseAmount;
+    cumQuote += l.quoteAmount;
+    return {
+      price: ethers.formatUnits(l.price, 18),
+      size: ethers.formatUnits(l.baseAmount, baseDecimals),
+      total: ethers.formatUnits(l.quoteAmount, quoteDecimals),
+      orders: l.orders,
+      cumulativeSize: ethers.formatUnits(cumBase, baseDecimals),
+      cumulativeTotal: ethers.formatUnits(cumQuote, quoteDecimals)
+    };
+  });
+}
+
+function bestPrice(orders, isBid) {
+  let best = null;
+  for (const o of orders) {
+    if (best === null || (isBid ? o.targetPrice1e18 > best : o.targetPrice1e18 < best)) best = o.targetPrice1e18;
+  }
+  return best;
+}
+
+function aggregateDepth(orders, { base, quote, baseDecimals, quoteDecimals, tick = 0n, depth = 50 }) {
+  const { bids, asks } = bookSides(orders, base, quote);
+  const opts = { tick, baseDecimals, quoteDecimals, depth };
+
+  const bestBid = bestPrice(bids, true);
+  const bestAsk = bestPrice(asks, false);
+  const hasBoth = bestBid !== null && bestAsk !== null;
+  const mid = hasBoth ? (bestBid + bestAsk) / 2n : null;
+  const spread = hasBoth ? bestAsk - bestBid : null;
+
+  return {
+    tick: ethers.formatUnits(tick, 18),
+    bestBid: bestBid === null ? null : ethers.formatUnits(bestBid, 18),
+    bestAsk: bestAsk === null ? null : ethers.formatUnits(bestAsk, 18),
+    mid: mid === null ? null : ethers.formatUnits(mid, 18),
+    spread: spread === null ? null : ethers.formatUnits(spread, 18),
+    spreadBps: hasBoth && mid > 0n ? Number((spread * 1_000_000n) / mid) / 100 : null,
+    bids: aggregateSide(bids, { ...opts, isBid: true }),
+    asks: aggregateSide(asks, { ...opts, isBid: false })
+  };
+}
+
+export { bookSides, aggregateDepth };
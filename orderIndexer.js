@@ -0,0 +1,295 @@
+import { EventEmitter } from "events";
+import { readJSON, writeJSON } from "./storage.js";
+
+const INDEXED_EVENTS = ["OrderCreated", "OrderCancelled", "OrderMatched", "ExpiredOrderClaimed"];
+const HYDRATE_BATCH = 25;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// "expired" is time-based, so the stored status only records what an event told us
+function orderStatus(o, now = nowSeconds()) {
+  if (o.status !== "open") return o.status;
+  if (o.expiry <= now) return "expired";
+  return "open";
+}
+
+function isOpen(o, now = nowSeconds()) {
+  return orderStatus(o, now) === "open" && o.amountIn > 0n;
+}
+
+function orderFromChain(id, o) {
+  return {
+    id,
+    maker: o.maker.toLowerCase(),
+    tokenIn: o.tokenIn.toLowerCase(),
+    tokenOut: o.tokenOut.toLowerCase(),
+    amountIn: BigInt(o.amountIn),
+    amountOutMin: BigInt(o.amountOutMin),
+    originalAmountIn: BigInt(o.originalAmountIn),
+    targetPrice1e18: BigInt(o.targetPrice1e18),
+    expiry: Number(o.expiry),
+    orderType: Number(o.orderType)
+  };
+}
+
+function createOrderIndexer({
+  executor,
+  provider,
+  name = "orders",
+  startBlock = Number(process.env.INDEXER_START_BLOCK || 0),
+  confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 2),
+  batchSize = Number(process.env.INDEXER_BATCH_SIZE || 2000),
+  reorgDepth = 64
+}) {
+  const events = new EventEmitter();
+  const file = `${name}.json`;
+  const topics = INDEXED_EVENTS.map(e => executor.interface.getEvent(e).topicHash);
+
+  let address = null;
+  let orders = new Map();
+  let lastBlock = startBlock - 1;
+  // Every block above historyFrom has undo info, so we can rewind to any of them
+  let historyFrom = startBlock - 1;
+  let history = [];
+  let syncing = null;
+
+  function reset() {
+    orders = new Map();
+    lastBlock = startBlock - 1;
+    historyFrom = startBlock - 1;
+    history = [];
+  }
+
+  function load() {
+    const saved = readJSON(file);
+    if (!saved || saved.executor !== address || saved.startBlock !== startBlock) return;
+
+    orders = new Map(saved.orders.map(o => [o.id, o]));
+    lastBlock = saved.lastBlock;
+    historyFrom = saved.historyFrom;
+    history = saved.history;
+    console.log(`📚 Indexer [${name}] resumed at block ${lastBlock} (${orders.size} orders)`);
+  }
+
+  function save() {
+    writeJSON(file, {
+      executor: address,
+      startBlock,
+      lastBlock,
+      historyFrom,
+      history,
+      orders: [...orders.values()]
+    });
+  }
+
+  function historyEntry(number, hash) {
+    let entry = history.find(h => h.number === number);
+    if (!entry) {
+      entry = { number, hash, undo: [] };
+      history.push(entry);
+      history.sort((a, b) => a.number - b.number);
+    }
+    return entry;
+  }
+
+  function mutate(entry, id, next) {
+    if (!entry.undo.some(([uid]) => uid === id)) {
+      const prev = orders.get(id);
+      entry.undo.push([id, prev ? { ...prev } : null]);
+    }
+    orders.set(id, next);
+  }
+
+  function prune() {
+    const keepFrom = lastBlock - reorgDepth;
+    const dropped = history.filter(h => h.number < keepFrom);
+    if (!dropped.length) return;
+    historyFrom = Math.max(historyFrom, ...dropped.map(h => h.number));
+    history = history.filter(h => h.number >= keepFrom);
+  }
+
+  function rewind(toBlock) {
+    if (toBlock >= lastBlock) return;
+
+    if (toBlock < historyFrom) {
+      console.log(`⏪ Indexer [${name}] cannot rewind to ${toBlock}, re-indexing from ${startBlock}`);
+      reset();
+    } else {
+      for (const entry of history.filter(h => h.number > toBlock).reverse()) {
+        for (const [id, prev] of [...entry.undo].reverse()) {
+          if (prev) orders.set(id, prev);
+          else orders.delete(id);
+        }
+      }
+      history = history.filter(h => h.number <= toBlock);
+      lastBlock = toBlock;
+      console.log(`⏪ Indexer [${name}] rewound to block ${toBlock}`);
+    }
+
+    save();
+    events.emit("rewind", { toBlock: lastBlock });
+  }
+
+  // Walk back through remembered block hashes until we find one the chain still agrees with
+  async function checkReorg() {
+    for (const entry of [...history].reverse()) {
+      const block = await provider.getBlock(entry.number);
+      if (block && block.hash === entry.hash) {
+        if (entry.number < lastBlock) rewind(entry.number);
+        return;
+      }
+    }
+    if (history.length) rewind(startBlock - 1);
+  }
+
+  // Read at the event's block, not the head: a replayed or rewound range must see the state it had then
+  async function fetchOrders(reads) {
+    const out = new Map();
+    for (let i = 0; i < reads.length; i += HYDRATE_BATCH) {
+      const batch = reads.slice(i, i + HYDRATE_BATCH);
+      const results = await Promise.all(batch.map(([id, blockTag]) => executor.getOrder(id, { blockTag })));
+      batch.forEach(([id, blockTag], j) => out.set(`${id}@${blockTag}`, results[j]));
+    }
+    return out;
+  }
+
+  async function applyLogs(logs) {
+    const parsed = logs
+      .map(log => ({ log, ev: executor.interface.parseLog(log) }))
+      .filter(p => p.ev)
+      .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+    // Immutable fields (expiry, amountOutMin) and post-match remainders are read once per touched order
+    const touched = new Map();
+    const touch = (id, blockNumber) => touched.set(`${id}@${blockNumber}`, [id, blockNumber]);
+    for (const { log, ev } of parsed) {
+      if (ev.name === "OrderCreated") touch(Number(ev.args.orderId), log.blockNumber);
+      if (ev.name === "OrderMatched") {
+        touch(Number(ev.args.buyOrderId), log.blockNumber);
+        touch(Number(ev.args.sellOrderId), log.blockNumber);
+      }
+    }
+    const chain = await fetchOrders([...touched.values()]);
+
+    for (const { log, ev } of parsed) {
+      const entry = historyEntry(log.blockNumber, log.blockHash);
+      const meta = { blockNumber: log.blockNumber, txHash: log.transactionHash, logIndex: log.index };
+
+      if (ev.name === "OrderCreated") {
+        const id = Number(ev.args.orderId);
+        mutate(entry, id, {
+          ...orderFromChain(id, chain.get(`${id}@${log.blockNumber}`)),
+          amountIn: BigInt(ev.args.amountIn),
+          status: "open",
+          claimed: false,
+          refundedAmount: 0n,
+          createdBlock: log.blockNumber,
+          createdTx: log.transactionHash,
+          updatedBlock: log.blockNumber
+        });
+        events.emit("event", { type: "created", order: orders.get(id), ...meta });
+      }
+
+      if (ev.name === "OrderMatched") {
+        const ids = [Number(ev.args.buyOrderId), Number(ev.args.sellOrderId)];
+        for (const id of ids) {
+          const prev = orders.get(id);
+          if (!prev) continue;
+          const c = chain.get(`${id}@${log.blockNumber}`);
+          const filled = Boolean(c.filled) || (BigInt(c.amountIn) === 0n && !c.cancelled && !c.claimed);
+          mutate(entry, id, {
+            ...prev,
+            amountIn: BigInt(c.amountIn),
+            status: filled && prev.status === "open" ? "filled" : prev.status,
+            updatedBlock: log.blockNumber
+          });
+        }
+        events.emit("event", {
+          type: "matched",
+          buyOrder: orders.get(ids[0]) || null,
+          sellOrder: orders.get(ids[1]) || null,
+          tokenInTransferred: BigInt(ev.args.tokenInTransferred),
+          tokenOutTransferred: BigInt(ev.args.tokenOutTransferred),
+          executionPrice1e18: BigInt(ev.args.executionPrice1e18),
+          ...meta
+        });
+      }
+
+      if (ev.name === "OrderCancelled" || ev.name === "ExpiredOrderClaimed") {
+        const id = Number(ev.args.orderId);
+        const prev = orders.get(id);
+        if (!prev) continue;
+        const cancelled = ev.name === "OrderCancelled";
+        mutate(entry, id, {
+          ...prev,
+          amountIn: 0n,
+          status: cancelled ? "cancelled" : "expired",
+          claimed: !cancelled,
+          refundedAmount: BigInt(cancelled ? ev.args.refundedAmount : ev.args.amountRefunded),
+          updatedBlock: log.blockNumber,
+          closedBlock: log.blockNumber,
+          closedTx: log.transactionHash
+        });
+        events.emit("event", { type: cancelled ? "cancelled" : "claimed", order: orders.get(id), ...meta });
+      }
+    }
+  }
+
+  async function doSync() {
+    if (!address) {
+      address = (await executor.getAddress()).toLowerCase();
+      load();
+    }
+
+    await checkReorg();
+
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+
+    while (lastBlock < target) {
+      const fromBlock = lastBlock + 1;
+      const toBlock = Math.min(fromBlock + batchSize - 1, target);
+
+      const [logs, block] = await Promise.all([
+        provider.getLogs({ address, topics: [topics], fromBlock, toBlock }),
+        provider.getBlock(toBlock)
+      ]);
+
+      await applyLogs(logs);
+      historyEntry(toBlock, block.hash);
+      lastBlock = toBlock;
+      prune();
+      save();
+      events.emit("synced", { fromBlock, lastBlock });
+
+      if (toBlock < target) console.log(`📚 Indexer [${name}] backfilled to ${toBlock}/${target}`);
+    }
+  }
+
+  function sync() {
+    if (!syncing) syncing = doSync().finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  return {
+    on: (type, fn) => events.on(type, fn),
+    off: (type, fn) => events.off(type, fn),
+    sync,
+    rewind,
+    getAddress: () => address,
+    getOrder: id => orders.get(Number(id)) || null,
+    getOrders: () => [...orders.values()],
+    getOpenOrders: (now = nowSeconds()) => [...orders.values()].filter(o => isOpen(o, now)),
+    status: () => ({
+      executor: address,
+      lastBlock,
+      orders: orders.size,
+      open: [...orders.values()].filter(o => isOpen(o)).length,
+      syncing: Boolean(syncing)
+    })
+  };
+}
+
+export { createOrderIndexer, orderStatus, isOpen, INDEXED_EVENTS };
@@ -0,0 +1,60 @@
+import { ethers } from "ethers";
+import { BUY, pairKey, baseOf, quoteOf } from "./matchingEngine.js";
+import { orderStatus } from "./orderIndexer.js";
+
+const ORDER_STATUSES = ["open", "filled", "cancelled", "expired", "claimed"];
+
+// An expired order is "claimed" once its refund went out; until then it's "expired"
+function derivedStatus(o, now) {
+  if (o.claimed) return "claimed";
+  return orderStatus(o, now);
+}
+
+function amount(raw, decimals) {
+  return { raw: raw.toString(), human: decimals === null ? null : ethers.formatUnits(raw, decimals) };
+}
+
+// tokens maps lowercase address -> { symbol, decimals }; decimals may be null when unreadable
+function formatOrder(o, tokens, now = Math.floor(Date.now() / 1000)) {
+  const tokenIn = { address: o.tokenIn, ...tokens[o.tokenIn] };
+  const tokenOut = { address: o.tokenOut, ...tokens[o.tokenOut] };
+  const refunded = o.refundedAmount || 0n;
+
+  return {
+    id: o.id,
+    maker: o.maker,
+    type: o.orderType === BUY ? "BUY" : "SELL",
+    pair: `${tokens[baseOf(o)].symbol}/${tokens[quoteOf(o)].symbol}`,
+    tokenIn,
+    tokenOut,
+    amountIn: amount(o.originalAmountIn, tokenIn.decimals),
+    remainingAmountIn: amount(o.amountIn, tokenIn.decimals),
+    filledAmountIn: amount(o.originalAmountIn - o.amountIn - refunded, tokenIn.decimals),
+    refundedAmount: amount(refunded, tokenIn.decimals),
+    amountOutMin: amount(o.amountOutMin, tokenOut.decimals),
+    targetPrice: { raw: o.targetPrice1e18.toString(), human: ethers.formatUnits(o.targetPrice1e18, 18) },
+    expiry: o.expiry,
+    expiresAt: new Date(o.expiry * 1000).toISOString(),
+    status: derivedStatus(o, now),
+    createdBlock: o.createdBlock ?? null,
+    createdTx: o.createdTx ?? null,
+    updatedBlock: o.updatedBlock ?? null
+  };
+}
+
+// Newest first; the cursor is the id of the last order on the previous page
+function queryOrders(orders, { maker = null, base = null, quote = null, status = null, limit = 50, cursor = null }, now = Math.floor(Date.now() / 1000)) {
+  const pair = base && quote ? pairKey(base, quote) : null;
+
+  const list = orders
+    .filter(o => !maker || o.maker === maker.toLowerCase())
+    .filter(o => !pair || pairKey(o.tokenIn, o.tokenOut) === pair)
+    .filter(o => !status || derivedStatus(o, now) === status)
+    .filter(o => cursor === null || o.id < cursor)
+    .sort((a, b) => b.id - a.id);
+
+  const page = list.slice(0, limit);
+  return { orders: page, nextCursor: list.length > limit ? page[page.length - 1].id : null };
+}
+
+export { ORDER_STATUSES, derivedStatus, formatOrder, queryOrders };
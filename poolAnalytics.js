@@ -0,0 +1,256 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { readJSON, writeJSON } from "./storage.js";
+import { toHuman } from "./tokenRegistry.js";
+import { unitPrices } from "./oracle.js";
+
+const require = createRequire(import.meta.url);
+const POOL_ABI = require("./ABI/PoolABI.json").abi;
+const FACTORY_ABI = ["function getPool(address,address,uint24) view returns (address)"];
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+const FEE_TIERS = [100, 500, 3000, 10000];
+const FEE_UNITS = 1_000_000;
+const LOG_BATCH = 2000;
+const DAY = 86400;
+
+// Signed Swap amounts are the pool's deltas: the positive one is what the trader paid in, and the
+// pool's fee is charged on it
+function swapVolume(swaps, fee) {
+  let in0 = 0n;
+  let in1 = 0n;
+  for (const s of swaps) {
+    if (s.amount0 > 0n) in0 += s.amount0;
+    if (s.amount1 > 0n) in1 += s.amount1;
+  }
+  const feeOf = amount => (amount * BigInt(fee)) / BigInt(FEE_UNITS);
+  return { swaps: swaps.length, volume0: in0, volume1: in1, fees0: feeOf(in0), fees1: feeOf(in1) };
+}
+
+// Human token1 per token0 from sqrtPriceX96
+function sqrtPriceToPrice(sqrtPriceX96, decimals0, decimals1) {
+  const ratio = (Number(sqrtPriceX96) / 2 ** 96) ** 2;
+  return ratio * 10 ** (decimals0 - decimals1);
+}
+
+// USD prices for both tokens; one the oracle can't price is derived from the other through the pool
+function usdPrices(usd0, usd1, price) {
+  if (usd0 != null && usd1 != null) return { usd0, usd1, derived: null };
+  if (usd0 != null && price > 0) return { usd0, usd1: usd0 / price, derived: "token1" };
+  if (usd1 != null) return { usd0: usd1 * price, usd1, derived: "token0" };
+  return { usd0: null, usd1: null, derived: null };
+}
+
+// Every pool between the profile's tokens and `quotes` (plus the profile's labelled pools), across all
+// fee tiers, with live state and a rolling window of Swap events kept in `${name}.json`
+function createPoolAnalytics({
+  provider,
+  network,
+  registry,
+  oracle,
+  name = "pool-swaps",
+  quotes = ["USDT"],
+  windowSeconds = DAY,
+  discoveryTtlMs = 60 * 60_000,
+  maxAgeMs = 60_000,
+  startBlock = Number(process.env.INDEXER_START_BLOCK || 0)
+}) {
+  const file = `${name}.json`;
+  const factory = new ethers.Contract(network.factory, FACTORY_ABI, provider);
+  const iface = new ethers.Interface(POOL_ABI);
+  const swapTopic = iface.getEvent("Swap").topicHash;
+  const symbolOf = new Map(Object.entries(network.tokens).map(([s, a]) => [a.toLowerCase(), s]));
+
+  const saved = readJSON(file, { lastBlock: null, scanned: [], swaps: [] });
+  let lastBlock = saved.lastBlock;
+  // Pools whose swaps have been scanned since the window start; later discoveries are backfilled
+  const scanned = new Set(saved.scanned);
+  let swaps = saved.swaps;
+
+  const pools = new Map();
+  let discoveredAt = 0;
+  let snapshot = null;
+  let inflight = null;
+  const blockTimes = new Map();
+
+  async function timestampOf(blockNumber) {
+    if (!blockTimes.has(blockNumber)) blockTimes.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    return blockTimes.get(blockNumber);
+  }
+
+  // First block at or after `timestamp`
+  async function blockAt(timestamp, head) {
+    let lo = startBlock;
+    let hi = head;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await timestampOf(mid)) < timestamp) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  async function describe(address) {
+    const pool = new ethers.Contract(address, POOL_ABI, provider);
+    const [token0, token1, fee, tickSpacing] = await Promise.all([pool.token0(), pool.token1(), pool.fee(), pool.tickSpacing()]);
+    return { address: address.toLowerCase(), contract: pool, token0: token0.toLowerCase(), token1: token1.toLowerCase(), fee: Number(fee), tickSpacing: Number(tickSpacing) };
+  }
+
+  async function discover() {
+    if (Date.now() - discoveredAt < discoveryTtlMs) return;
+    const candidates = new Set(Object.values(network.pools || {}).map(a => a.toLowerCase()));
+    const quoteAddrs = quotes.map(q => network.tokens[q]).filter(Boolean);
+    const lookups = [];
+    for (const quote of quoteAddrs) {
+      for (const token of Object.values(network.tokens)) {
+        if (token.toLowerCase() === quote.toLowerCase()) continue;
+        // Each pair once when both sides are quotes
+        if (quoteAddrs.includes(token) && token.toLowerCase() > quote.toLowerCase()) continue;
+        for (const fee of FEE_TIERS) lookups.push(factory.getPool(token, quote, fee));
+      }
+    }
+    for (const addr of await Promise.all(lookups)) if (addr !== ethers.ZeroAddress) candidates.add(addr.toLowerCase());
+
+    for (const address of candidates) {
+      if (pools.has(address)) continue;
+      try {
+        pools.set(address, await describe(address));
+      } catch (e) {
+        console.log(`⚠️ Pool ${address} skipped: ${e.shortMessage || e.message}`);
+      }
+    }
+    discoveredAt = Date.now();
+  }
+
+  async function scan(addresses, fromBlock, toBlock) {
+    const found = [];
+    for (let from = fromBlock; from <= toBlock; from += LOG_BATCH) {
+      const to = Math.min(from + LOG_BATCH - 1, toBlock);
+      const logs = await provider.getLogs({ address: addresses, topics: [swapTopic], fromBlock: from, toBlock: to });
+      for (const log of logs) {
+        const { args } = iface.parseLog(log);
+        found.push({
+          pool: log.address.toLowerCase(),
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+          timestamp: await timestampOf(log.blockNumber),
+          amount0: BigInt(args.amount0),
+          amount1: BigInt(args.amount1)
+        });
+      }
+    }
+    return found;
+  }
+
+  async function syncSwaps() {
+    const head = await provider.getBlockNumber();
+    const since = Math.floor(Date.now() / 1000) - windowSeconds;
+    const all = [...pools.keys()];
+    const fresh = all.filter(a => !scanned.has(a));
+
+    if (lastBlock === null) {
+      lastBlock = (await blockAt(since, head)) - 1;
+    } else if (fresh.length && lastBlock >= startBlock) {
+      swaps.push(...(await scan(fresh, await blockAt(since, lastBlock), lastBlock)));
+    }
+    fresh.forEach(a => scanned.add(a));
+    if (all.length && head > lastBlock) swaps.push(...(await scan(all, lastBlock + 1, head)));
+    lastBlock = Math.max(lastBlock, head);
+
+    swaps = swaps.filter(s => s.timestamp >= since).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    for (const [block, timestamp] of blockTimes) if (timestamp < since) blockTimes.delete(block);
+    writeJSON(file, { lastBlock, scanned: [...scanned], swaps });
+  }
+
+  async function poolStats(p, usd) {
+    const [slot0, liquidity, reserve0, reserve1, meta0, meta1] = await Promise.all([
+      p.contract.slot0(),
+      p.contract.liquidity(),
+      new ethers.Contract(p.token0, ERC20_ABI, provider).balanceOf(p.address),
+      new ethers.Contract(p.token1, ERC20_ABI, provider).balanceOf(p.address),
+      registry.resolve(p.token0),
+      registry.resolve(p.token1)
+    ]);
+    const price = sqrtPriceToPrice(slot0[0], meta0.decimals, meta1.decimals);
+    const { usd0, usd1, derived } = usdPrices(usd[p.token0], usd[p.token1], price);
+    const volume = swapVolume(swaps.filter(s => s.pool === p.address), p.fee);
+    const value = (raw0, raw1) => (usd0 === null ? null
+      : Number(toHuman(raw0, meta0.decimals)) * usd0 + Number(toHuman(raw1, meta1.decimals)) * usd1);
+
+    return {
+      address: p.address,
+      token0: { address: p.token0, symbol: meta0.symbol, decimals: meta0.decimals },
+      token1: { address: p.token1, symbol: meta1.symbol, decimals: meta1.decimals },
+      fee: p.fee,
+      tickSpacing: p.tickSpacing,
+      sqrtPriceX96: slot0[0],
+      tick: Number(slot0[1]),
+      // token1 per token0, and the other way round
+      price,
+      priceInverse: price > 0 ? 1 / price : null,
+      liquidity,
+      reserves: { token0: toHuman(reserve0, meta0.decimals), token1: toHuman(reserve1, meta1.decimals) },
+      usdPrices: { token0: usd0, token1: usd1, derivedFromPool: derived },
+      tvlUsd: value(reserve0, reserve1),
+      window: { seconds: windowSeconds, swaps: volume.swaps },
+      volume: {
+        token0: toHuman(volume.volume0, meta0.decimals),
+        token1: toHuman(volume.volume1, meta1.decimals),
+        usd: value(volume.volume0, volume.volume1)
+      },
+      fees: {
+        token0: toHuman(volume.fees0, meta0.decimals),
+        token1: toHuman(volume.fees1, meta1.decimals),
+        usd: value(volume.fees0, volume.fees1)
+      }
+    };
+  }
+
+  async function refresh() {
+    await discover();
+    await syncSwaps();
+
+    const symbols = [...new Set([...pools.values()].flatMap(p => [symbolOf.get(p.token0), symbolOf.get(p.token1)]))].filter(Boolean);
+    const prices = await unitPrices(oracle, symbols);
+    const usd = {};
+    for (const [address, symbol] of symbolOf) usd[address] = prices[symbol] ?? null;
+
+    const stats = [];
+    for (const p of pools.values()) {
+      try {
+        stats.push(await poolStats(p, usd));
+      } catch (e) {
+        console.log(`⚠️ Pool ${p.address}: ${e.shortMessage || e.message}`);
+      }
+    }
+    stats.sort((a, b) => (b.tvlUsd ?? -1) - (a.tvlUsd ?? -1));
+    snapshot = { updatedAt: Date.now(), block: lastBlock, pools: stats };
+    return snapshot;
+  }
+
+  // Served from the last refresh while it's younger than maxAgeMs; concurrent callers share one refresh.
+  // The first one backfills a whole window of swaps, so until it's done callers get an empty list
+  // instead of waiting on it.
+  async function list() {
+    if (snapshot && Date.now() - snapshot.updatedAt < maxAgeMs) return snapshot;
+    if (!inflight) {
+      inflight = refresh().finally(() => (inflight = null));
+      if (!snapshot) inflight.catch(e => console.log(`⚠️ Pool analytics: ${e.message}`));
+    }
+    return snapshot ? inflight : { updatedAt: null, block: null, pools: [], syncing: true };
+  }
+
+  async function get(address) {
+    const { pools: stats } = await list();
+    return stats.find(p => p.address === address.toLowerCase()) || null;
+  }
+
+  return {
+    list,
+    get,
+    refresh,
+    status: () => ({ pools: pools.size, lastBlock, swaps: swaps.length, updatedAt: snapshot?.updatedAt ?? null })
+  };
+}
+
+export { FEE_TIERS, swapVolume, sqrtPriceToPrice, usdPrices, createPoolAnalytics };
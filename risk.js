@@ -0,0 +1,184 @@
+import { EventEmitter } from "events";
+import { readJSON, writeJSON } from "./storage.js";
+
+// Notional is in quote (USDT) units, reserves in each token's human units
+const RISK_DEFAULTS = {
+  maxNotionalPerToken: { default: Infinity },
+  maxNotionalTotal: Infinity,
+  maxOrdersPerPair: Infinity,
+  minReserve: {},
+  maxOracleDeviation: 0.15,
+  breaker: {
+    maxPriceMove: 0.1,
+    priceMoveWindowMs: 5 * 60_000,
+    maxTxFailures: 5,
+    txFailureWindowMs: 10 * 60_000,
+    maxDrawdown: 0.2,
+    cancelOnTrip: false
+  }
+};
+
+function rejection(reason) {
+  const err = new Error(`Risk limit: ${reason}`);
+  err.code = "RISK_LIMIT";
+  return err;
+}
+
+// Pre-trade limits plus a circuit breaker. admit() is called before every order with the bot's
+// current open orders; admitted orders count as in flight until their ticket is released, so orders
+// sent in parallel can't all squeeze under the same limit. A tripped breaker persists across restarts
+// and stays tripped until reset().
+function createRiskManager({ limits = {}, name = "risk", now = () => Date.now(), persist = true }) {
+  const cfg = {
+    ...RISK_DEFAULTS,
+    ...limits,
+    maxNotionalPerToken: { ...RISK_DEFAULTS.maxNotionalPerToken, ...(limits.maxNotionalPerToken || {}) },
+    breaker: { ...RISK_DEFAULTS.breaker, ...(limits.breaker || {}) }
+  };
+  const file = `${name}.json`;
+  const state = persist ? readJSON(file, { tripped: null, peakEquity: null }) : { tripped: null, peakEquity: null };
+  const events = new EventEmitter();
+  const pending = new Set();
+  const prices = new Map();
+  let failures = [];
+
+  function save() {
+    if (persist) writeJSON(file, state);
+  }
+
+  function trip(reason) {
+    if (state.tripped) return;
+    state.tripped = { reason, at: now() };
+    save();
+    console.log(`🛑 Circuit breaker tripped: ${reason}`);
+    events.emit("trip", { ...state.tripped, cancelOrders: cfg.breaker.cancelOnTrip });
+  }
+
+  function reset() {
+    state.tripped = null;
+    state.peakEquity = null;
+    failures = [];
+    prices.clear();
+    save();
+  }
+
+  // order: { symbol, pair, tokenInSymbol, amountIn, notional, price, oraclePrice, balanceIn }
+  // open: [{ symbol, pair, notional }] for orders already in the book
+  function admit(order, open = []) {
+    if (state.tripped) throw rejection(`circuit breaker tripped (${state.tripped.reason})`);
+
+    const book = [...open, ...pending];
+    const tokenLimit = cfg.maxNotionalPerToken[order.symbol] ?? cfg.maxNotionalPerToken.default;
+    const tokenNotional = book.filter(o => o.symbol === order.symbol).reduce((s, o) => s + o.notional, 0);
+    if (tokenNotional + order.notional > tokenLimit) {
+      throw rejection(`${order.symbol} open notional ${tokenNotional + order.notional} > ${tokenLimit}`);
+    }
+
+    const total = book.reduce((s, o) => s + o.notional, 0);
+    if (total + order.notional > cfg.maxNotionalTotal) {
+      throw rejection(`total open notional ${total + order.notional} > ${cfg.maxNotionalTotal}`);
+    }
+
+    const pairOrders = book.filter(o => o.pair === order.pair).length;
+    if (pairOrders + 1 > cfg.maxOrdersPerPair) throw rejection(`${order.pair} already has ${pairOrders} orders`);
+
+    const reserve = cfg.minReserve[order.tokenInSymbol];
+    if (reserve !== undefined) {
+      const inFlight = [...pending].filter(o => o.tokenInSymbol === order.tokenInSymbol).reduce((s, o) => s + o.amountIn, 0);
+      const left = order.balanceIn - inFlight - order.amountIn;
+      if (left < reserve) throw rejection(`${order.tokenInSymbol} would drop to ${left}, reserve is ${reserve}`);
+    }
+
+    if (!(order.oraclePrice > 0)) throw rejection(`no oracle price for ${order.symbol}`);
+    const deviation = Math.abs(order.price - order.oraclePrice) / order.oraclePrice;
+    if (deviation > cfg.maxOracleDeviation) {
+      throw rejection(`${order.symbol} price ${order.price} is ${(deviation * 100).toFixed(2)}% from oracle ${order.oraclePrice}`);
+    }
+
+    const ticket = { ...order };
+    pending.add(ticket);
+    return { release: () => pending.delete(ticket) };
+  }
+
+  // Trips when a price moves more than maxPriceMove within priceMoveWindowMs
+  function recordPrice(symbol, price) {
+    const t = now();
+    const history = (prices.get(symbol) || []).filter(p => t - p.t <= cfg.breaker.priceMoveWindowMs);
+    history.push({ t, price });
+    prices.set(symbol, history);
+    for (const p of history) {
+      const move = Math.abs(price - p.price) / p.price;
+      if (move > cfg.breaker.maxPriceMove) {
+        trip(`${symbol} moved ${(move * 100).toFixed(2)}% within ${cfg.breaker.priceMoveWindowMs / 1000}s`);
+        return;
+      }
+    }
+  }
+
+  function recordTxFailure(desc) {
+    const t = now();
+    failures = failures.filter(f => t - f <= cfg.breaker.txFailureWindowMs);
+    failures.push(t);
+    if (failures.length >= cfg.breaker.maxTxFailures) {
+      trip(`${failures.length} failed transactions within ${cfg.breaker.txFailureWindowMs / 1000}s (last: ${desc})`);
+    }
+  }
+
+  // Equity in quote units; the drawdown is measured from the highest equity seen since the last reset
+  function recordEquity(value) {
+    if (state.peakEquity === null || value > state.peakEquity) {
+      state.peakEquity = value;
+      save();
+      return;
+    }
+    const drawdown = state.peakEquity > 0 ? 1 - value / state.peakEquity : 0;
+    if (drawdown > cfg.breaker.maxDrawdown) {
+      trip(`drawdown ${(drawdown * 100).toFixed(2)}% from peak equity ${state.peakEquity}`);
+    }
+  }
+
+  return {
+    on: (type, fn) => events.on(type, fn),
+    off: (type, fn) => events.off(type, fn),
+    admit,
+    recordPrice,
+    recordTxFailure,
+    recordEquity,
+    trip,
+    reset,
+    tripped: () => state.tripped,
+    limits: () => cfg
+  };
+}
+
+// Env maps use the oracle's "KEY:value;KEY:value" form, e.g. RISK_MIN_RESERVE="USDT:50;ETH:0.01"
+function parseMap(raw = "") {
+  const out = {};
+  for (const part of raw.split(";").map(s => s.trim()).filter(Boolean)) {
+    const [key, value] = part.split(":");
+    if (key && value !== undefined) out[key.trim()] = Number(value);
+  }
+  return out;
+}
+
+function riskLimitsFromEnv(env = process.env) {
+  const num = (key, fallback) => (env[key] ? Number(env[key]) : fallback);
+  const b = RISK_DEFAULTS.breaker;
+  return {
+    maxNotionalPerToken: { default: num("RISK_MAX_NOTIONAL_PER_TOKEN", Infinity), ...parseMap(env.RISK_MAX_NOTIONAL_TOKENS) },
+    maxNotionalTotal: num("RISK_MAX_NOTIONAL_TOTAL", Infinity),
+    maxOrdersPerPair: num("RISK_MAX_ORDERS_PER_PAIR", Infinity),
+    minReserve: parseMap(env.RISK_MIN_RESERVE),
+    maxOracleDeviation: num("RISK_MAX_ORACLE_DEVIATION", RISK_DEFAULTS.maxOracleDeviation),
+    breaker: {
+      maxPriceMove: num("RISK_BREAKER_PRICE_MOVE", b.maxPriceMove),
+      priceMoveWindowMs: num("RISK_BREAKER_PRICE_WINDOW_MS", b.priceMoveWindowMs),
+      maxTxFailures: num("RISK_BREAKER_TX_FAILURES", b.maxTxFailures),
+      txFailureWindowMs: num("RISK_BREAKER_TX_WINDOW_MS", b.txFailureWindowMs),
+      maxDrawdown: num("RISK_BREAKER_DRAWDOWN", b.maxDrawdown),
+      cancelOnTrip: env.RISK_CANCEL_ON_TRIP === "true"
+    }
+  };
+}
+
+export { RISK_DEFAULTS, createRiskManager, riskLimitsFromEnv };
@@ -0,0 +1,48 @@
+import { readJSON, writeJSON } from "./storage.js";
+
+const LISTS = ["selfMatch", "makerAllow", "makerDeny"];
+
+// Matcher settings that can change without a restart; persisted so they survive one
+function createRuntimeConfig({ name = "matcher-config", defaults }) {
+  const file = `${name}.json`;
+  const config = { ...defaults, ...readJSON(file, {}) };
+
+  function save() {
+    writeJSON(file, config);
+  }
+
+  function set(key, value) {
+    config[key] = value;
+    save();
+    return config[key];
+  }
+
+  function addTo(list, address) {
+    const a = address.toLowerCase();
+    if (!config[list].includes(a)) set(list, [...config[list], a]);
+    return config[list];
+  }
+
+  function removeFrom(list, address) {
+    const a = address.toLowerCase();
+    return set(list, config[list].filter(x => x !== a));
+  }
+
+  // An empty allow list means every maker is allowed; the deny list always wins
+  function makerAllowed(maker) {
+    const m = maker.toLowerCase();
+    if (config.makerDeny.includes(m)) return false;
+    return config.makerAllow.length === 0 || config.makerAllow.includes(m);
+  }
+
+  return {
+    get: () => ({ ...config }),
+    set,
+    addTo,
+    removeFrom,
+    isSelfMatch: maker => config.selfMatch.includes(maker.toLowerCase()),
+    makerAllowed
+  };
+}
+
+export { createRuntimeConfig, LISTS };
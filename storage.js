@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+
+const DATA_DIR = process.env.DATA_DIR || "./data";
+
+// BigInts are written as "123n" strings and revived on load
+function replacer(key, value) {
+  return typeof value === "bigint" ? `${value}n` : value;
+}
+
+function reviver(key, value) {
+  return typeof value === "string" && /^-?\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value;
+}
+
+// For API responses: BigInts become plain decimal strings
+function jsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function dataPath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+function readJSON(name, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(name), "utf8"), reviver);
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written checkpoint
+function writeJSON(name, data) {
+  const file = dataPath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, replacer));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Append-only logs: one JSON document per line, never rewritten
+function appendJSONL(name, entry) {
+  const file = dataPath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry, replacer) + "\n");
+}
+
+function readJSONL(name) {
+  try {
+    return fs.readFileSync(dataPath(name), "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l, reviver));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+export { DATA_DIR, dataPath, readJSON, writeJSON, appendJSONL, readJSONL, replacer, reviver, jsonSafe };
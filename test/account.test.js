@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL } from "../matchingEngine.js";
+import { buildAccount, formatRefund } from "../account.js";
+
+const ETH = "0x00000000000000000000000000000000000000e1";
+const USDT = "0x00000000000000000000000000000000000000f6";
+const ME = "0x00000000000000000000000000000000000000a1";
+const OTHER = "0x00000000000000000000000000000000000000b2";
+const NOW = 1_700_000_000;
+
+function order(id, fields = {}) {
+  return {
+    id, maker: ME, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: 10n, originalAmountIn: 10n,
+    expiry: NOW + 3600, status: "open", claimed: false, refundedAmount: 0n, updatedBlock: id, ...fields
+  };
+}
+
+const orders = [
+  order(1),
+  order(2, { orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: 500n }),
+  order(3, { expiry: NOW - 1 }),
+  order(4, { status: "cancelled", amountIn: 0n, refundedAmount: 10n, closedBlock: 40, closedTx: "0xcancel" }),
+  order(5, { status: "cancelled", amountIn: 0n, refundedAmount: 4n, closedBlock: 50 }),
+  order(6, { status: "expired", claimed: true, amountIn: 0n, refundedAmount: 10n, closedBlock: 60, closedTx: "0xclaim" }),
+  order(7, { status: "filled", amountIn: 0n }),
+  order(8, { maker: OTHER })
+];
+
+const trade = (blockNumber, logIndex, buyMaker, sellMaker) => ({
+  id: `0x${blockNumber}:${logIndex}`, blockNumber, logIndex, buyMaker, sellMaker, buyOrderId: 100 + blockNumber, sellOrderId: 200 + blockNumber
+});
+
+const trades = [trade(1, 0, ME, OTHER), trade(2, 0, OTHER, ME), trade(2, 1, ME, ME), trade(3, 0, OTHER, OTHER)];
+
+test("open orders are live ones, newest first, and the address is matched case-insensitively", () => {
+  const account = buildAccount(`0x${ME.slice(2).toUpperCase()}`, { orders, trades, now: NOW });
+
+  assert.equal(account.address, ME);
+  assert.deepEqual(account.openOrders.map(o => o.id), [2, 1]);
+});
+
+test("locked funds include expired orders until their refund is claimed", () => {
+  const { locked } = buildAccount(ME, { orders, trades, now: NOW });
+  assert.deepEqual(locked, { [ETH]: { amount: 20n, orders: 2 }, [USDT]: { amount: 500n, orders: 1 } });
+});
+
+test("fills are per side, newest first, with a self-match on both", () => {
+  const { fills } = buildAccount(ME, { orders, trades, now: NOW });
+  assert.deepEqual(fills.map(f => [f.id, f.side, f.orderId, f.counterOrderId]), [
+    ["0x2:1", "BUY", 102, 202],
+    ["0x2:1", "SELL", 202, 102],
+    ["0x2:0", "SELL", 202, 102],
+    ["0x1:0", "BUY", 101, 201]
+  ]);
+});
+
+test("cancellations and claimed refunds are listed by the block they closed in", () => {
+  const account = buildAccount(ME, { orders, trades, now: NOW });
+  assert.deepEqual(account.cancellations.map(o => o.id), [5, 4]);
+  assert.deepEqual(account.expiredRefunds.map(o => o.id), [6]);
+
+  const tokens = { [ETH]: { symbol: "ETH", decimals: 1 } };
+  assert.deepEqual(formatRefund(orders[3], tokens), {
+    orderId: 4,
+    token: { address: ETH, symbol: "ETH", decimals: 1 },
+    refundedAmount: { raw: "10", human: "1.0" },
+    blockNumber: 40,
+    txHash: "0xcancel"
+  });
+  assert.equal(formatRefund(orders[4], tokens).txHash, null);
+});
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "admin-test-"));
+const { createAdminRouter, parseKeys, sign } = await import("../admin.js");
+const { createRuntimeConfig } = await import("../runtimeConfig.js");
+
+const SECRET = "s3cret";
+const MAKER = "0x00000000000000000000000000000000000000A1";
+
+async function serve() {
+  const config = createRuntimeConfig({
+    name: `admin-config-${Date.now()}`,
+    defaults: { paused: false, intervalMs: 5000, selfMatch: [], makerAllow: [], makerDeny: [] }
+  });
+  const app = express();
+  app.use("/admin", createAdminRouter({ keys: new Map([["ops", SECRET]]), config, executor: { interface: null }, txManager: null, indexer: null, tokens: {} }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  return { config, server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+function signed(method, urlPath, body, { key = "ops", secret = SECRET, timestamp = Date.now() } = {}) {
+  const raw = body === undefined ? "" : JSON.stringify(body);
+  return {
+    method,
+    headers: {
+      "content-type": "application/json",
+      "x-api-key": key,
+      "x-timestamp": String(timestamp),
+      "x-signature": sign(secret, { timestamp: String(timestamp), method, path: urlPath, body: raw })
+    },
+    ...(raw ? { body: raw } : {})
+  };
+}
+
+test("parseKeys reads id:secret pairs and keeps colons in the secret", () => {
+  const keys = parseKeys(" ops:one, alice:two:three ,broken,:nokey");
+  assert.deepEqual([...keys], [["ops", "one"], ["alice", "two:three"]]);
+  assert.equal(parseKeys().size, 0);
+});
+
+test("a signed request goes through and lands in the audit log", async t => {
+  const { config, server, base } = await serve();
+  t.after(() => server.close());
+
+  const res = await fetch(`${base}/admin/pause`, signed("POST", "/admin/pause", {}));
+  assert.equal(res.status, 200);
+  assert.equal(config.get().paused, true);
+
+  const added = await fetch(`${base}/admin/lists/makerDeny`, signed("POST", "/admin/lists/makerDeny", { address: MAKER }));
+  assert.deepEqual(await added.json(), { makerDeny: [MAKER.toLowerCase()] });
+
+  const log = await (await fetch(`${base}/admin/audit?limit=2`, signed("GET", "/admin/audit?limit=2"))).json();
+  assert.deepEqual(log.map(e => [e.keyId, e.action, e.ok]), [["ops", "list.add", true], ["ops", "matcher.pause", true]]);
+});
+
+test("bad keys, signatures and timestamps are rejected and kept in memory", async t => {
+  const { config, server, base } = await serve();
+  t.after(() => server.close());
+
+  const cases = [
+    [signed("POST", "/admin/pause", {}, { key: "nobody" }), "Unknown API key"],
+    [signed("POST", "/admin/pause", {}, { secret: "wrong" }), "Bad signature"],
+    [signed("POST", "/admin/pause", {}, { timestamp: Date.now() - 10 * 60_000 }), "Stale or missing timestamp"],
+    // Signed for a different path
+    [signed("POST", "/admin/resume", {}), "Bad signature"]
+  ];
+  for (const [init, error] of cases) {
+    const res = await fetch(`${base}/admin/pause`, init);
+    assert.equal(res.status, 401);
+    assert.deepEqual(await res.json(), { error });
+  }
+  assert.equal(config.get().paused, false);
+
+  const rejected = await (await fetch(`${base}/admin/audit/rejected`, signed("GET", "/admin/audit/rejected"))).json();
+  assert.deepEqual(rejected.map(r => r.error).reverse(), cases.map(([, error]) => error));
+});
+
+test("a body changed after signing fails the signature", async t => {
+  const { server, base } = await serve();
+  t.after(() => server.close());
+
+  const init = signed("PUT", "/admin/interval", { intervalMs: 2000 });
+  const res = await fetch(`${base}/admin/interval`, { ...init, body: JSON.stringify({ intervalMs: 1000 }) });
+  assert.equal(res.status, 401);
+});
+
+test("a signature is only accepted once", async t => {
+  const { server, base } = await serve();
+  t.after(() => server.close());
+
+  const init = signed("PUT", "/admin/interval", { intervalMs: 2000 });
+  assert.equal((await fetch(`${base}/admin/interval`, init)).status, 200);
+
+  const replay = await fetch(`${base}/admin/interval`, init);
+  assert.equal(replay.status, 401);
+  assert.deepEqual(await replay.json(), { error: "Replayed request" });
+});
+
+test("invalid parameters are a 400 and audited as failures", async t => {
+  const { server, base } = await serve();
+  t.after(() => server.close());
+
+  const res = await fetch(`${base}/admin/interval`, signed("PUT", "/admin/interval", { intervalMs: 10 }));
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /intervalMs must be/);
+
+  const owner = await fetch(`${base}/admin/owner`, signed("POST", "/admin/owner", { newOwner: MAKER, confirm: "0x00" }));
+  assert.deepEqual([owner.status, (await owner.json()).error], [400, "confirm must repeat newOwner"]);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL } from "../matchingEngine.js";
+import { poolState, poolPrice, swapExactIn, findOpportunity } from "../arbitrage.js";
+
+const ETH = "0x00000000000000000000000000000000000000e1";
+const USDT = "0x00000000000000000000000000000000000000f6";
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+const e6 = n => BigInt(Math.round(n * 1e6));
+
+// ETH is token0 (18 decimals), USDT token1 (6); raw token1 per token0 at 2000 is 2000e6 / 1e18
+const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(2000e6 / 1e18) * 2 ** 96));
+const pool = poolState({ sqrtPriceX96, liquidity: 10n ** 16n, token0: ETH, fee: 3000, base: ETH, baseDecimals: 18, quoteDecimals: 6 });
+
+const near = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test("poolPrice is quote per base on either side of the pool", () => {
+  near(poolPrice(pool), 2000, 1e-6);
+
+  const flipped = poolState({ sqrtPriceX96, liquidity: 10n ** 16n, token0: ETH, fee: 3000, base: USDT, baseDecimals: 6, quoteDecimals: 18 });
+  near(poolPrice(flipped), 1 / 2000, 1e-12);
+});
+
+test("small swaps get the pool price less the fee, bigger ones slip", () => {
+  const small = swapExactIn(pool, true, 1e15);
+  near(small / 1e6, 0.001 * 2000 * 0.997, 1e-3);
+
+  const back = swapExactIn(pool, false, 2e6);
+  near(back / 1e18, (2 / 2000) * 0.997, 1e-8);
+
+  const big = swapExactIn(pool, true, 100e18);
+  assert.ok(big / 1e6 < 100 * 2000 * 0.997);
+  assert.equal(swapExactIn(pool, true, 0), 0);
+  assert.equal(swapExactIn({ ...pool, L: 0 }, true, 1e18), 0);
+});
+
+test("an ask below the pool is bought on the book and sold into the pool", () => {
+  const ask = { id: 1, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(0.5), targetPrice1e18: e18(1900) };
+  const opp = findOpportunity([ask], pool, { slippageBps: 50 });
+
+  assert.equal(opp.direction, "BOOK_TO_POOL");
+  assert.equal(opp.order, ask);
+  assert.equal(opp.baseAmount, e18(0.5));
+  assert.equal(opp.quoteAmount, e6(950));
+  // 1000 USDT at the pool price, less the 0.3% fee, ~0.2% price impact and the 0.5% slippage tolerance
+  near(opp.profit, Number(opp.poolMinOut) / 1e6 - 950, 1e-9);
+  assert.ok(opp.profit > 39 && opp.profit < 40);
+  assert.equal(opp.fee, 3000);
+});
+
+test("a bid above the pool is filled with base bought from the pool", () => {
+  const bid = { id: 2, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(1050), targetPrice1e18: e18(2100) };
+  const opp = findOpportunity([bid], pool, { slippageBps: 50 });
+
+  assert.equal(opp.direction, "POOL_TO_BOOK");
+  assert.ok(opp.quoteAmount <= bid.amountIn);
+  assert.ok(opp.baseAmount <= e18(0.5));
+  assert.ok(opp.profit > 0);
+});
+
+test("orders within the pool's fee, or eaten by gas, aren't worth anything", () => {
+  const inside = [
+    { id: 3, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(1), targetPrice1e18: e18(1995) },
+    { id: 4, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(2005), targetPrice1e18: e18(2005) }
+  ];
+  assert.equal(findOpportunity(inside, pool), null);
+
+  const ask = { id: 5, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(0.01), targetPrice1e18: e18(1950) };
+  assert.ok(findOpportunity([ask], pool, { gasCostQuote: 5 }).profit < 0);
+});
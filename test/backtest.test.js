@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { BUY, SELL, quoteToBase } from "../matchingEngine.js";
+import { createExecutorModel } from "../executorModel.js";
+import { priceAlignment, quoteOrderArgs } from "../marketMaker.js";
+
+const ETH = "eth";
+const USDT = "usdt";
+const decimals = { [ETH]: 18, [USDT]: 6 };
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+const e6 = n => BigInt(Math.round(n * 1e6));
+
+function funded() {
+  const model = createExecutorModel({ decimals });
+  model.credit("alice", USDT, e6(10_000));
+  model.credit("bob", ETH, e18(10));
+  return model;
+}
+
+const bid = (model, amount, price, ttl = 3600, now = 0) => model.depositAndCreateOrder("alice", [USDT, ETH, e6(amount * price), 1n, e18(price), ttl, BUY], now);
+const ask = (model, amount, price, ttl = 3600, now = 0) => model.depositAndCreateOrder("bob", [ETH, USDT, e18(amount), 1n, e18(price), ttl, SELL], now);
+
+test("creating an order escrows its input and an unfunded one reverts", () => {
+  const model = funded();
+  const id = ask(model, 2, 2000);
+
+  assert.equal(model.balanceOf("bob", ETH), e18(8));
+  assert.equal(model.getOrder(id).status, "open");
+  assert.throws(() => ask(model, 9, 2000), err => err.code === "CALL_EXCEPTION" && /insufficient eth balance/.test(err.message));
+  assert.equal(model.gasUsed("bob").depositAndCreateOrder, 260_000);
+});
+
+test("a match fills at the older order's price and pays both makers", () => {
+  const model = funded();
+  const sellId = ask(model, 1, 1990);
+  const buyId = bid(model, 2, 2000);
+
+  const fill = model.matchOrders("matcher", buyId, sellId, 10);
+  assert.equal(fill.price1e18, e18(1990));
+  assert.equal(fill.baseAmount, e18(1));
+  assert.equal(fill.quoteAmount, e6(1990));
+  assert.equal(model.getOrder(sellId).status, "filled");
+  assert.equal(model.getOrder(buyId).amountIn, e6(4000 - 1990));
+  assert.equal(model.balanceOf("alice", ETH), e18(1));
+  assert.equal(model.balanceOf("bob", USDT), e6(1990));
+  assert.equal(model.getLastExecutedPrice(USDT, ETH), e18(1990));
+
+  assert.throws(() => model.matchOrders("matcher", buyId, sellId, 10), /order not open/);
+});
+
+test("orders that don't cross, or have expired, can't be matched", () => {
+  const model = funded();
+  const sellId = ask(model, 1, 2100, 100);
+  const buyId = bid(model, 1, 2000);
+
+  assert.throws(() => model.matchOrders("matcher", buyId, sellId, 10), /prices do not cross/);
+  assert.throws(() => model.matchOrders("matcher", sellId, buyId, 10), /wrong sides/);
+  assert.throws(() => model.claimExpired("matcher", sellId, 99), /has not expired/);
+  assert.deepEqual(model.sweepExpired("matcher", 100), [sellId]);
+  assert.equal(model.balanceOf("bob", ETH), e18(10));
+});
+
+test("cancel refunds the remainder to the maker only", () => {
+  const model = funded();
+  const id = ask(model, 1, 2000);
+
+  assert.throws(() => model.cancelOrder("alice", id, 1), /not the maker/);
+  model.cancelOrder("bob", id, 1);
+  assert.deepEqual([model.getOrder(id).status, model.getOrder(id).refunded], ["cancelled", e18(1)]);
+  assert.equal(model.balanceOf("bob", ETH), e18(10));
+});
+
+test("a matcher cycle runs the same plan as the live matcher", () => {
+  const model = funded();
+  ask(model, 1, 1990);
+  ask(model, 1, 2010);
+  bid(model, 1.5, 2020);
+
+  // Each ask is older than the bid, so each fills at its own price until the bid's quote runs out
+  const fills = model.runMatcher("matcher", 10);
+  assert.deepEqual(fills.map(f => [f.sellId, f.baseAmount]), [[1, e18(1)], [2, quoteToBase(e6(3030 - 1990), e18(2010), 18, 6)]]);
+  assert.equal(model.getOrder(2).status, "open");
+  assert.equal(model.gasUsed("matcher").matchOrders, 2 * 190_000);
+});
+
+test("quoteOrderArgs builds either side of depositAndCreateOrder", () => {
+  const tokens = { base: ETH, quote: USDT, baseDecimals: 18, quoteDecimals: 6 };
+  assert.deepEqual(quoteOrderArgs({ side: "BUY", price: 2000, size: 0.5, ttlSeconds: 60 }, tokens), [USDT, ETH, e6(1000), e18(0.5), e18(2000), 60, BUY]);
+  assert.deepEqual(quoteOrderArgs({ side: "SELL", price: 2000, size: 0.5, ttlSeconds: 60 }, tokens), [ETH, USDT, e18(0.5), e6(1000), e18(2000), 60, SELL]);
+  assert.equal(quoteOrderArgs({ side: "SELL", price: 0.000001, size: 0.1, ttlSeconds: 60 }, tokens), null);
+});
+
+test("priceAlignment uses a wider band for cheap tokens", () => {
+  assert.equal(priceAlignment(2000, 2005).aligned, true);
+  assert.equal(priceAlignment(2000, 2020).aligned, false);
+  assert.equal(priceAlignment(0.5, 0.51).aligned, true);
+  assert.equal(priceAlignment(0, 2000).aligned, false);
+});
+
+test("a backtest run replays prices and flow into a report", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-test-"));
+  const start = 1_700_000_000;
+  const prices = [2000, 2010, 2030, 1990, 2000].map((p, i) => `${start + i * 300},${p}`);
+  fs.writeFileSync(path.join(dir, "prices.csv"), ["timestamp,price", ...prices].join("\n"));
+  // Someone lifts the bot's first ask and hits its first bid
+  fs.writeFileSync(path.join(dir, "flow.jsonl"), [
+    { timestamp: start + 100, side: "buy", price: 2050, amount: 0.01, maker: "taker" },
+    { timestamp: start + 700, side: "sell", price: 1900, amount: 0.01, maker: "taker" }
+  ].map(l => JSON.stringify(l)).join("\n"));
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({
+    symbol: "eth",
+    prices: path.join(dir, "prices.csv"),
+    flow: path.join(dir, "flow.jsonl"),
+    balances: { base: 1, quote: 2000 },
+    strategyConfig: { size: 0.01, levels: 2 },
+    align: { enabled: false },
+    out: "report.json"
+  }));
+
+  const script = fileURLToPath(new URL("../backtest.js", import.meta.url));
+  execFileSync(process.execPath, [script, path.join(dir, "config.json")], { env: { ...process.env, DATA_DIR: dir }, stdio: "pipe", timeout: 60_000 });
+  const report = JSON.parse(fs.readFileSync(path.join(dir, "report.json"), "utf8"));
+
+  assert.equal(report.symbol, "ETH");
+  assert.equal(report.cycles, 5);
+  // The taker's bid lifts the 2040 ask, then its leftover rests and takes the refilled ask at its own price
+  assert.deepEqual([report.fills.buys, report.fills.sells, report.fills.self], [1, 2, 0]);
+  assert.deepEqual(report.fillLog.map(f => [f.side, f.price]), [["SELL", 2040], ["SELL", 2050], ["BUY", 1960]]);
+  assert.equal(report.rejectedOrders, 0);
+  assert.ok(report.gas.bot.byMethod.depositAndCreateOrder > 0);
+  assert.equal(report.pnl.startEquity, 4000);
+});
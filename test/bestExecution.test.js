@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL, quoteToBase, baseToQuote } from "../matchingEngine.js";
+import { simulateBook } from "../bestExecution.js";
+
+const ETH = "0xeth";
+const USDT = "0xusdt";
+const decimals = { [ETH]: 18, [USDT]: 6 };
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+const e6 = n => BigInt(Math.round(n * 1e6));
+
+const orders = [
+  { id: 1, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(1), targetPrice1e18: e18(2010) },
+  { id: 2, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(0.5), targetPrice1e18: e18(2000) },
+  { id: 3, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(1990), targetPrice1e18: e18(1990) },
+  { id: 4, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(985), targetPrice1e18: e18(1970) }
+];
+
+test("paying quote walks the asks from the cheapest", () => {
+  const sim = simulateBook(orders, { tokenIn: USDT, tokenOut: ETH, amountIn: e6(2000), decimals });
+
+  assert.equal(sim.orderType, BUY);
+  assert.deepEqual(sim.fills.map(f => [f.id, f.amountIn]), [[2, e6(1000)], [1, e6(1000)]]);
+  assert.equal(sim.amountIn, e6(2000));
+  assert.equal(sim.amountOut, e18(0.5) + quoteToBase(e6(1000), e18(2010), 18, 6));
+  assert.equal(sim.bestPrice1e18, e18(2000));
+  assert.equal(sim.limitPrice1e18, e18(2010));
+  assert.deepEqual([sim.base, sim.quote], [ETH, USDT]);
+});
+
+test("paying base walks the bids from the highest", () => {
+  const sim = simulateBook(orders, { tokenIn: ETH, tokenOut: USDT, amountIn: e18(1.2), decimals });
+
+  assert.equal(sim.orderType, SELL);
+  assert.deepEqual(sim.fills.map(f => [f.id, f.amountIn, f.amountOut]), [
+    [3, e18(1), e6(1990)],
+    [4, e18(0.2), baseToQuote(e18(0.2), e18(1970), 18, 6)]
+  ]);
+  assert.equal(sim.limitPrice1e18, e18(1970));
+});
+
+test("input beyond the book's depth is left over", () => {
+  const sim = simulateBook(orders, { tokenIn: USDT, tokenOut: ETH, amountIn: e6(10_000), decimals });
+
+  assert.equal(sim.amountOut, e18(1.5));
+  assert.equal(sim.amountIn, e6(1000) + e6(2010));
+});
+
+test("no resting orders on the other side means no fill", () => {
+  assert.equal(simulateBook(orders, { tokenIn: USDT, tokenOut: "0xother", amountIn: e6(1), decimals }), null);
+  assert.equal(simulateBook(orders.filter(o => o.orderType === BUY), { tokenIn: USDT, tokenOut: ETH, amountIn: e6(1), decimals }), null);
+});
@@ -0,0 +1,118 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EventEmitter } from "events";
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "sweeper-test-"));
+process.env.DATA_DIR = DATA_DIR;
+const { createExpirySweeper, buildRanges } = await import("../expirySweeper.js");
+
+const USDT = "0xusdt";
+const PAST = 1_000;
+const FUTURE = 4_000_000_000;
+
+const order = (id, expiry = PAST, fields = {}) => ({ id, maker: "0xmaker", tokenIn: USDT, amountIn: 10n, expiry, status: "open", claimed: false, refundedAmount: 0n, ...fields });
+
+function createIndexer(orders) {
+  const indexer = new EventEmitter();
+  indexer.getOrders = () => orders;
+  return indexer;
+}
+
+// Estimates 100k gas per order in the range, and reverts for the ids in `reverting`
+function createExecutor(reverting = []) {
+  const estimates = [];
+  const estimateGas = async (fromId, toId) => {
+    estimates.push([fromId, toId]);
+    if (reverting.some(id => id >= fromId && id <= toId)) throw Object.assign(new Error("execution reverted"), { reason: "Nothing to distribute" });
+    return BigInt(toId - fromId + 1) * 100_000n;
+  };
+  return { estimates, distributeExpiredOrders: { estimateGas }, interface: null };
+}
+
+function createTxManager() {
+  const sent = [];
+  return {
+    sent,
+    send: async (_, method, args) => {
+      sent.push([method, ...args]);
+      return { hash: `0xsweep${sent.length}`, wait: async () => ({ hash: `0xsweep${sent.length}`, gasUsed: 1n }) };
+    }
+  };
+}
+
+const claimed = (id, txHash, logIndex) => ({
+  type: "claimed",
+  order: order(id, PAST, { status: "expired", claimed: true, amountIn: 0n, refundedAmount: 10n }),
+  txHash,
+  logIndex,
+  blockNumber: 1
+});
+
+test("buildRanges groups ids across small gaps and caps the batch size", () => {
+  assert.deepEqual(buildRanges([1, 2, 3, 5, 20, 21], 50, 5), [[1, 5], [20, 21]]);
+  assert.deepEqual(buildRanges([1, 2, 3, 4], 2, 5), [[1, 2], [3, 4]]);
+  assert.deepEqual(buildRanges([1, 8], 50, 5), [[1, 1], [8, 8]]);
+  assert.deepEqual(buildRanges([], 50, 5), []);
+});
+
+test("only expired, unclaimed orders with funds left are swept", async () => {
+  const orders = [
+    order(1), order(2), order(3, FUTURE), order(4, PAST, { amountIn: 0n }),
+    order(5, PAST, { status: "cancelled" }), order(6), order(30)
+  ];
+  const txManager = createTxManager();
+  const sweeper = createExpirySweeper({ indexer: createIndexer(orders), executor: createExecutor(), txManager, name: "sweeper-select" });
+
+  assert.equal(sweeper.status().expiredUnclaimed, 4);
+  await sweeper.run();
+  assert.deepEqual(txManager.sent, [["distributeExpiredOrders", 1, 6], ["distributeExpiredOrders", 30, 30]]);
+  assert.deepEqual(sweeper.status().recentSweeps.map(s => s.status), ["confirmed", "confirmed"]);
+});
+
+test("ranges over the gas limit are halved and a reverting order is parked", async () => {
+  const orders = [1, 2, 3, 4].map(id => order(id));
+  const executor = createExecutor([4]);
+  const txManager = createTxManager();
+  const sweeper = createExpirySweeper({ indexer: createIndexer(orders), executor, txManager, name: "sweeper-split", maxGas: 200_000n });
+
+  await sweeper.run();
+  assert.deepEqual(txManager.sent.map(s => s.slice(1)), [[1, 2], [3, 3]]);
+  assert.deepEqual(sweeper.status().parked, [4]);
+
+  // Parked orders sit out the next cycles
+  txManager.sent.length = 0;
+  await sweeper.run();
+  assert.deepEqual(txManager.sent.map(s => s.slice(1)), [[1, 2], [3, 3]]);
+});
+
+test("a dry run only logs the batches", async () => {
+  const txManager = createTxManager();
+  const sweeper = createExpirySweeper({ indexer: createIndexer([order(1)]), executor: createExecutor(), txManager, name: "sweeper-dry", dryRun: true });
+
+  await sweeper.run();
+  assert.deepEqual(txManager.sent, []);
+});
+
+test("refunds are recorded once per log and saved once the batch is synced", () => {
+  const orders = [order(7, PAST, { status: "expired", claimed: true, amountIn: 0n, refundedAmount: 10n })];
+  const indexer = createIndexer(orders);
+  const file = path.join(DATA_DIR, "sweeper-refunds.json");
+  createExpirySweeper({ indexer, executor: createExecutor(), txManager: createTxManager(), name: "sweeper-refunds" });
+
+  indexer.emit("event", claimed(7, "0xa", 0));
+  indexer.emit("event", claimed(7, "0xa", 0));
+  indexer.emit("event", claimed(8, "0xa", 1));
+  assert.ok(!fs.existsSync(file));
+
+  indexer.emit("synced", { fromBlock: 1, lastBlock: 1 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).refunds.map(r => [r.orderId, r.logIndex]), [[7, 0], [8, 1]]);
+
+  // A restart keeps deduping against what was saved
+  const again = createExpirySweeper({ indexer, executor: createExecutor(), txManager: createTxManager(), name: "sweeper-refunds" });
+  indexer.emit("event", claimed(7, "0xa", 0));
+  assert.equal(again.status().recentRefunds.length, 2);
+  assert.deepEqual(again.status().refundedByToken, { [USDT]: 10n });
+});
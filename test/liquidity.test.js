@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { sdkToken, sdkPool, poolPriceHuman, tickToHuman, rangeAround } from "../liquidity.js";
+
+const require = createRequire(import.meta.url);
+const { TickMath } = require("@uniswap/v3-sdk");
+
+const WETH = sdkToken(1, { address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", decimals: 18, symbol: "WETH" });
+const USDT = sdkToken(1, { address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", decimals: 6, symbol: "USDT" });
+
+// WETH sorts first; tick -200311 puts it near 2000 USDT
+const tick = -200311;
+const pool = sdkPool({ tokenA: USDT, tokenB: WETH, fee: 3000, sqrtPriceX96: TickMath.getSqrtRatioAtTick(tick), liquidity: 10n ** 16n, tick });
+const price = poolPriceHuman(pool, WETH);
+
+test("the fixture pool prices WETH near 2000", () => {
+  assert.equal(pool.token0.address, WETH.address);
+  assert.ok(Math.abs(price - 2000) < 1);
+});
+
+test("rangeAround spans the requested width on usable ticks", () => {
+  const { tickLower, tickUpper } = rangeAround(pool, WETH, price, 500);
+
+  assert.equal(Math.abs(tickLower % pool.tickSpacing), 0);
+  assert.equal(Math.abs(tickUpper % pool.tickSpacing), 0);
+  assert.ok(tickLower < tick && tick < tickUpper);
+  // Within one tick spacing (0.6%) of ±5%
+  assert.ok(Math.abs(tickToHuman(pool, WETH, tickLower) / price - 0.95) < 0.007);
+  assert.ok(Math.abs(tickToHuman(pool, WETH, tickUpper) / price - 1.05) < 0.007);
+});
+
+test("rangeAround orders the ticks when the base is token1", () => {
+  const { tickLower, tickUpper } = rangeAround(pool, USDT, 1 / price, 500);
+
+  assert.ok(tickLower < tick && tick < tickUpper);
+  assert.deepEqual({ tickLower, tickUpper }, rangeAround(pool, WETH, price, 500));
+});
+
+test("a range narrower than a tick spacing is widened to one", () => {
+  const { tickLower, tickUpper } = rangeAround(pool, WETH, price, 1);
+  assert.equal(tickUpper - tickLower, pool.tickSpacing);
+});
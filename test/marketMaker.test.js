@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LADDER_DEFAULTS, createLadderStrategy, createMarketMaker, inventoryImbalance } from "../marketMaker.js";
+
+const ladder = createLadderStrategy();
+const config = { ...LADDER_DEFAULTS, levels: 3, size: 1 };
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// Orders are live until cancelled; `failCancel` ids refuse to cancel
+function createAdapter({ base = 1, quote = 2000, failCancel = [] } = {}) {
+  const live = new Set();
+  const placed = [];
+  let next = 1;
+  return {
+    live,
+    placed,
+    isLive: async id => live.has(id),
+    inventory: async () => ({ base, quote }),
+    place: async q => {
+      placed.push(q);
+      live.add(next);
+      return next++;
+    },
+    cancel: async id => {
+      if (failCancel.includes(id)) return false;
+      return live.delete(id);
+    }
+  };
+}
+
+test("inventoryImbalance is -1 all quote, 0 on target, 1 all base", () => {
+  assert.equal(inventoryImbalance({ base: 0, quote: 100 }, 2000, 0.5), -1);
+  assert.equal(inventoryImbalance({ base: 1, quote: 2000 }, 2000, 0.5), 0);
+  assert.equal(inventoryImbalance({ base: 1, quote: 0 }, 2000, 0.5), 1);
+  assert.equal(inventoryImbalance({ base: 0, quote: 0 }, 2000, 0.5), 0);
+});
+
+test("a balanced ladder is symmetric around the reference price", () => {
+  const quotes = ladder.quotes({ refPrice: 100, inventory: { base: 10, quote: 1000 }, config });
+
+  assert.deepEqual(quotes.map(q => [q.side, q.level]), [["BUY", 0], ["SELL", 0], ["BUY", 1], ["SELL", 1], ["BUY", 2], ["SELL", 2]]);
+  // spreadBps / 2 + level * levelSpacingBps: 2%, 4.5%, 7%
+  [0.02, 0.045, 0.07].forEach((offset, level) => {
+    near(quotes[level * 2].price, 100 * (1 - offset));
+    near(quotes[level * 2 + 1].price, 100 * (1 + offset));
+  });
+  assert.ok(quotes.every(q => q.size === 1));
+});
+
+test("long inventory skews the ladder down and sizes asks up", () => {
+  const quotes = ladder.quotes({ refPrice: 100, inventory: { base: 15, quote: 500 }, config: { ...config, levels: 1 } });
+  const [bid, ask] = quotes;
+
+  // Base is 75% of the value against a 50% target: imbalance 0.5, 50 bps of skew
+  near(bid.price, 99.5 * 0.98);
+  near(ask.price, 99.5 * 1.02);
+  near(bid.size, 0.5);
+  near(ask.size, 1.5);
+
+  const allBase = ladder.quotes({ refPrice: 100, inventory: { base: 1, quote: 0 }, config: { ...config, levels: 1 } });
+  assert.deepEqual(allBase.map(q => q.side), ["SELL"]);
+});
+
+test("sizes grow by level", () => {
+  const quotes = ladder.quotes({ refPrice: 100, inventory: { base: 10, quote: 1000 }, config: { ...config, sizeGrowth: 2 } });
+  assert.deepEqual(quotes.filter(q => q.side === "BUY").map(q => q.size), [1, 2, 4]);
+});
+
+test("the ladder is re-placed only past the reprice threshold", () => {
+  assert.equal(ladder.needsReprice({ refPrice: 100, anchor: null, config }), true);
+  assert.equal(ladder.needsReprice({ refPrice: 101.9, anchor: 100, config }), false);
+  assert.equal(ladder.needsReprice({ refPrice: 97.9, anchor: 100, config }), true);
+});
+
+test("the maker places a ladder, refills filled levels and reprices on a move", async () => {
+  const adapter = createAdapter();
+  const mm = createMarketMaker({ strategy: ladder, adapter, configFor: () => config, persist: false });
+
+  assert.deepEqual(await mm.run("ETH", 2000), { anchor: 2000, cancelled: 0, placed: 6, orders: 6 });
+  assert.ok(adapter.placed.every(q => q.symbol === "ETH" && q.ttlSeconds === config.ttlSeconds));
+
+  // Level 0's ask fills; a small move keeps the ladder where it was and only refills it
+  adapter.live.delete(2);
+  assert.deepEqual(await mm.run("ETH", 2010), { anchor: 2000, cancelled: 0, placed: 1, orders: 6 });
+  assert.deepEqual(adapter.placed.slice(-1).map(q => [q.side, q.level, q.price]), [["SELL", 0, 2000 * 1.02]]);
+
+  assert.deepEqual(await mm.run("ETH", 2100), { anchor: 2100, cancelled: 6, placed: 6, orders: 6 });
+  assert.equal(mm.state("ETH").anchor, 2100);
+  assert.equal(mm.state("BTC"), null);
+});
+
+test("a level whose cancel failed is not placed twice and the reprice is retried", async () => {
+  const adapter = createAdapter({ failCancel: [1] });
+  const mm = createMarketMaker({ strategy: ladder, adapter, configFor: () => config, persist: false });
+  await mm.run("ETH", 2000);
+
+  const result = await mm.run("ETH", 2100);
+  assert.deepEqual(result, { anchor: 2000, cancelled: 5, placed: 5, orders: 6 });
+  assert.ok(!adapter.placed.slice(6).some(q => q.side === "BUY" && q.level === 0));
+
+  adapter.live.delete(1);
+  assert.deepEqual(await mm.run("ETH", 2100), { anchor: 2100, cancelled: 5, placed: 6, orders: 6 });
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "match-stats-test-"));
+const { createMatchStats, classifyError, successRate } = await import("../matchStats.js");
+
+const DAY = 24 * 3600_000;
+const attempt = (outcome, extra = {}) => ({ pair: "ETH/USDT", base: "0xeth", quote: "0xusdt", buyId: 1, sellId: 2, outcome, ...extra });
+
+test("classifyError tells reverts from everything else", () => {
+  assert.equal(classifyError({ code: "CALL_EXCEPTION" }), "revert");
+  assert.equal(classifyError({ receipt: { status: 0 } }), "revert");
+  assert.equal(classifyError({ code: "NONCE_EXPIRED" }), "error");
+  assert.equal(classifyError(undefined), "error");
+});
+
+test("summary counts outcomes per window and pair, with volume on successes only", () => {
+  const stats = createMatchStats({ name: "match-stats-summary" });
+  stats.record(attempt("success", { baseAmount: 2n, quoteAmount: 4000n }));
+  stats.record(attempt("success", { baseAmount: 1n, quoteAmount: 2000n }));
+  stats.record(attempt("revert", { baseAmount: 5n, quoteAmount: 9999n }));
+  stats.record(attempt("error"));
+
+  const { windows, lifetime, lastTradeTime } = stats.summary();
+  const day = windows["24h"];
+  assert.deepEqual([day.attempts, day.successes, day.reverts, day.errors], [4, 2, 1, 1]);
+  assert.equal(day.pairs["ETH/USDT"].baseVolume, 3n);
+  assert.equal(day.pairs["ETH/USDT"].quoteVolume, 6000n);
+  assert.equal(windows["7d"].attempts, 4);
+  assert.equal(lifetime.attempts, 4);
+  assert.ok(lastTradeTime <= Date.now());
+  assert.equal(successRate(day), 50);
+});
+
+test("older attempts fall out of the 24h window before the 7d one", () => {
+  const stats = createMatchStats({ name: "match-stats-windows" });
+  stats.record(attempt("success"));
+
+  const { windows } = stats.summary(Date.now() + 2 * DAY);
+  assert.equal(windows["24h"].attempts, 0);
+  assert.deepEqual(windows["24h"].pairs, {});
+  assert.equal(windows["7d"].attempts, 1);
+  assert.equal(successRate(windows["24h"]), 0);
+});
+
+test("stats survive a restart", () => {
+  createMatchStats({ name: "match-stats-restart" }).record(attempt("revert"));
+
+  const { windows, lifetime } = createMatchStats({ name: "match-stats-restart" }).summary();
+  assert.equal(lifetime.reverts, 1);
+  assert.equal(windows["24h"].reverts, 1);
+});
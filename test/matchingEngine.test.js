@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL, pairKey, pricesMatch, baseToQuote, quoteToBase, buildMatchPlan } from "../matchingEngine.js";
+
+const ETH = "0xeth";
+const USDT = "0xusdt";
+const decimals = { [ETH]: 18, [USDT]: 6 };
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+const e6 = n => BigInt(Math.round(n * 1e6));
+
+const bid = (id, price, quote, maker = "0xa") =>
+  ({ id, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(quote), targetPrice1e18: e18(price), maker });
+const ask = (id, price, base, maker = "0xb") =>
+  ({ id, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(base), targetPrice1e18: e18(price), maker });
+
+test("pairKey ignores order and case", () => {
+  assert.equal(pairKey("0xB", "0xa"), pairKey("0xa", "0xb"));
+  assert.equal(pairKey("0xB", "0xa"), "0xa-0xb");
+});
+
+test("baseToQuote and quoteToBase convert across decimals", () => {
+  assert.equal(baseToQuote(e18(1.5), e18(2000), 18, 6), e6(3000));
+  assert.equal(quoteToBase(e6(3000), e18(2000), 18, 6), e18(1.5));
+  assert.equal(quoteToBase(e6(3000), 0n, 18, 6), 0n);
+});
+
+test("pricesMatch allows a one bps shortfall", () => {
+  const buy = e18(1);
+  assert.ok(pricesMatch(buy, buy));
+  assert.ok(pricesMatch(buy, buy + buy / 10_000n));
+  assert.ok(!pricesMatch(buy, buy + buy / 10_000n + 1n));
+});
+
+test("fills in price-time priority at the resting order's price", () => {
+  const orders = [bid(1, 2000, 2000), ask(2, 1990, 1), bid(3, 2010, 1005)];
+  const { matches } = buildMatchPlan(orders, { decimals });
+
+  assert.deepEqual(matches.map(m => [m.buyId, m.sellId]), [[3, 2], [1, 2]]);
+  // #2 rests under #3, #1 rests under #2
+  assert.equal(matches[0].price1e18, e18(1990));
+  assert.equal(matches[1].price1e18, e18(2000));
+  assert.equal(matches[0].baseAmount + matches[1].baseAmount, e18(1));
+  assert.ok(matches[0].quoteAmount <= e6(1005));
+  assert.equal(matches[0].pair, pairKey(ETH, USDT));
+});
+
+test("carries a partly filled bid across ask levels", () => {
+  const orders = [bid(1, 2000, 3000), ask(2, 1990, 0.5), ask(3, 2000, 1)];
+  const { matches } = buildMatchPlan(orders, { decimals });
+
+  assert.deepEqual(matches.map(m => [m.buyId, m.sellId, m.baseAmount]), [[1, 2, e18(0.5)], [1, 3, e18(1)]]);
+  assert.equal(matches[0].quoteAmount + matches[1].quoteAmount, e6(3000));
+});
+
+test("books that don't cross produce nothing", () => {
+  assert.deepEqual(buildMatchPlan([bid(1, 1990, 1990), ask(2, 2000, 1)], { decimals }).matches, []);
+});
+
+test("skips self-matches unless the maker is allowed", () => {
+  const orders = [bid(1, 2000, 2000, "0xA"), ask(2, 1990, 1, "0xa"), ask(3, 1995, 1, "0xc")];
+
+  assert.deepEqual(buildMatchPlan(orders, { decimals }).matches.map(m => m.sellId), [3]);
+  const allowed = buildMatchPlan(orders, { decimals, canSelfMatch: maker => maker === "0xA" });
+  assert.deepEqual(allowed.matches.map(m => m.sellId), [2]);
+});
+
+test("reports dust and books with unknown decimals", () => {
+  const other = { ...ask(5, 1, 1), tokenIn: "0xother" };
+  const plan = buildMatchPlan([bid(1, 2000, 2000), ask(2, 1990, 0.000001), other, { ...bid(6, 1, 1), tokenOut: "0xother" }], {
+    decimals,
+    isDust: o => o.tokenIn === ETH && o.amountIn < e18(0.001)
+  });
+
+  assert.deepEqual(plan.matches, []);
+  assert.deepEqual(plan.dust.map(o => o.id), [2]);
+  assert.deepEqual(plan.skipped, [{ base: "0xother", quote: USDT, reason: "unknown decimals" }]);
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPriceOracle, staticSource, parseTokenSources, median, unitPrices } from "../oracle.js";
+
+const NOW = 1_700_000_000_000;
+
+// A source answering fixed prices, `ageMs` old
+function source(name, prices, ageMs = 0) {
+  return {
+    name,
+    async getPrices(symbols) {
+      return Object.fromEntries(symbols.filter(s => s in prices).map(s => [s, { price: prices[s], timestamp: NOW - ageMs }]));
+    }
+  };
+}
+
+const failing = name => ({ name, getPrices: async () => { throw new Error("rate limited"); } });
+
+test("median of an odd and even number of values", () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+});
+
+test("the price is the median of the sources that quote a token", async () => {
+  const oracle = createPriceOracle({ sources: [source("a", { ETH: 2000 }), source("b", { ETH: 2010 }), source("c", { ETH: 2030, BTC: 60000 })] });
+  const { prices, failures } = await oracle.getPrices(["ETH", "BTC", "DOGE"], NOW);
+
+  assert.equal(prices.ETH.price, 2010);
+  assert.deepEqual(prices.ETH.sources.map(s => s.source), ["a", "b", "c"]);
+  assert.equal(prices.BTC.price, 60000);
+  assert.deepEqual(prices.DOGE, { price: null, sources: [], rejected: [] });
+  assert.deepEqual(failures, {});
+});
+
+test("quotes far from the median are rejected as outliers", async () => {
+  const oracle = createPriceOracle({ sources: [source("a", { ETH: 2000 }), source("b", { ETH: 2020 }), source("c", { ETH: 2500 })] });
+  const { prices } = await oracle.getPrices(["ETH"], NOW);
+
+  assert.equal(prices.ETH.price, 2010);
+  assert.deepEqual(prices.ETH.rejected.map(r => r.source), ["c"]);
+  assert.match(prices.ETH.rejected[0].reason, /outlier vs median 2020/);
+});
+
+test("two sources that disagree leave no price", async () => {
+  const oracle = createPriceOracle({ sources: [source("a", { ETH: 2000 }), source("b", { ETH: 3000 })] });
+  const { prices } = await oracle.getPrices(["ETH"], NOW);
+
+  assert.equal(prices.ETH.price, null);
+  assert.equal(prices.ETH.rejected.length, 2);
+});
+
+test("stale quotes are dropped, with per-source age limits", async () => {
+  const oracle = createPriceOracle({
+    sources: [source("fresh", { ETH: 2000 }, 1000), source("slow", { ETH: 2010 }, 20 * 60_000), source("chain", { ETH: 2020 }, 20 * 60_000)],
+    maxAgeMs: { chain: 60 * 60_000 }
+  });
+  const { prices } = await oracle.getPrices(["ETH"], NOW);
+
+  assert.equal(prices.ETH.price, 2010);
+  assert.deepEqual(prices.ETH.sources.map(s => s.source), ["fresh", "chain"]);
+  assert.deepEqual(prices.ETH.rejected.map(r => [r.source, r.reason]), [["slow", "stale (1200s)"]]);
+});
+
+test("per-token sources, minimum source count and failing sources", async () => {
+  const oracle = createPriceOracle({
+    sources: [source("a", { ETH: 2000, DOGE: 0.1 }), source("b", { ETH: 2002, DOGE: 0.2 }), failing("c")],
+    tokenSources: { DOGE: ["a"] },
+    minSources: 2
+  });
+  const { prices, failures } = await oracle.getPrices(["ETH", "DOGE"], NOW);
+
+  assert.deepEqual(oracle.sourcesFor("DOGE"), ["a"]);
+  assert.equal(prices.ETH.price, 2001);
+  assert.equal(prices.DOGE.price, null);
+  assert.deepEqual(failures, { c: "rate limited" });
+});
+
+test("parseTokenSources reads SYMBOL:a+b pairs", () => {
+  assert.deepEqual(parseTokenSources("eth:coingecko+uniswap; DOGE:coingecko;bad"), { ETH: ["coingecko", "uniswap"], DOGE: ["coingecko"] });
+  assert.deepEqual(parseTokenSources(), {});
+});
+
+test("the static source re-reads its file on every call", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "oracle-test-")), "prices.json");
+  fs.writeFileSync(file, JSON.stringify({ ETH: 2000, BAD: "x" }));
+  const s = staticSource({ file });
+
+  assert.deepEqual(Object.keys(await s.getPrices(["ETH", "BAD", "BTC"])), ["ETH"]);
+  fs.writeFileSync(file, JSON.stringify({ ETH: 2100 }));
+  assert.equal((await s.getPrices(["ETH"])).ETH.price, 2100);
+});
+
+test("unitPrices prices USDT at 1 and looks up everything else", async () => {
+  const asked = [];
+  const oracle = createPriceOracle({ sources: [source("a", { ETH: 2000, USDC: 0.999 })] });
+  const spy = { getPrices: symbols => { asked.push(symbols); return oracle.getPrices(symbols, NOW); } };
+
+  assert.deepEqual(await unitPrices(spy, ["ETH", "USDT", "USDC", "DOGE"]), { ETH: 2000, USDT: 1, USDC: 0.999, DOGE: null });
+  assert.deepEqual(asked, [["ETH", "USDC", "DOGE"]]);
+
+  assert.deepEqual(await unitPrices(spy, ["USDT"]), { USDT: 1 });
+  assert.equal(asked.length, 1);
+});
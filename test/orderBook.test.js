@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL } from "../matchingEngine.js";
+import { bookSides, aggregateDepth } from "../orderBook.js";
+
+const ETH = "0xeth";
+const USDT = "0xusdt";
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+const e6 = n => BigInt(Math.round(n * 1e6));
+
+const orders = [
+  { id: 1, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(1000), targetPrice1e18: e18(2000) },
+  { id: 2, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: e6(2000.5), targetPrice1e18: e18(2000.5) },
+  { id: 3, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(1), targetPrice1e18: e18(2001.5) },
+  { id: 4, orderType: SELL, tokenIn: ETH, tokenOut: USDT, amountIn: e18(2), targetPrice1e18: e18(2100) },
+  { id: 5, orderType: SELL, tokenIn: "0xother", tokenOut: USDT, amountIn: e18(1), targetPrice1e18: e18(1) }
+];
+const opts = { base: ETH, quote: USDT, baseDecimals: 18, quoteDecimals: 6 };
+
+test("bookSides keeps one pair, whatever the address case", () => {
+  const { bids, asks } = bookSides(orders, "0xETH", "0xUSDT");
+  assert.deepEqual(bids.map(o => o.id), [1, 2]);
+  assert.deepEqual(asks.map(o => o.id), [3, 4]);
+});
+
+test("levels are best first with running totals", () => {
+  const depth = aggregateDepth(orders, opts);
+
+  assert.equal(depth.bestBid, "2000.5");
+  assert.equal(depth.bestAsk, "2001.5");
+  assert.equal(depth.mid, "2001.0");
+  assert.equal(depth.spread, "1.0");
+  assert.equal(depth.spreadBps, 4.99);
+  assert.deepEqual(depth.bids.map(l => [l.price, l.size, l.cumulativeSize]), [["2000.5", "1.0", "1.0"], ["2000.0", "0.5", "1.5"]]);
+  assert.deepEqual(depth.asks.map(l => [l.price, l.total, l.cumulativeTotal]), [["2001.5", "2001.5", "2001.5"], ["2100.0", "4200.0", "6201.5"]]);
+});
+
+test("a tick rounds bids down and asks up into shared levels", () => {
+  const depth = aggregateDepth(orders, { ...opts, tick: e18(1) });
+
+  assert.deepEqual(depth.bids, [{ price: "2000.0", size: "1.5", total: "3000.5", orders: 2, cumulativeSize: "1.5", cumulativeTotal: "3000.5" }]);
+  assert.equal(depth.asks[0].price, "2002.0");
+  // Best prices stay exact
+  assert.equal(depth.bestBid, "2000.5");
+});
+
+test("depth limits the levels and a one-sided book has no spread", () => {
+  const depth = aggregateDepth(orders.filter(o => o.orderType === SELL), { ...opts, depth: 1 });
+
+  assert.equal(depth.asks.length, 1);
+  assert.deepEqual(depth.bids, []);
+  assert.equal(depth.bestBid, null);
+  assert.equal(depth.mid, null);
+  assert.equal(depth.spreadBps, null);
+});
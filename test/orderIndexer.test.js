@@ -0,0 +1,193 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { ethers } from "ethers";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+const { createOrderIndexer, orderStatus, isOpen } = await import("../orderIndexer.js");
+
+const require = createRequire(import.meta.url);
+const iface = new ethers.Interface(require("../ABI/LimitOrder.json"));
+const EXECUTOR = "0x00000000000000000000000000000000000000e0";
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const ETH = "0x00000000000000000000000000000000000000e1";
+const USDT = "0x00000000000000000000000000000000000000f6";
+const FAR = 4_000_000_000;
+const EMPTY = { maker: ethers.ZeroAddress, amountIn: 0n, expiry: 0, filled: false, cancelled: false, claimed: false, orderType: 0 };
+
+// An executor and chain in memory: blocks with hashes and logs, and every order's state per block
+function createChain() {
+  const blocks = [{ hash: "0xgenesis", logs: [] }];
+  const states = new Map();
+  const reads = [];
+  let fork = 0;
+
+  const chain = {
+    reads,
+    mine(...events) {
+      const number = blocks.length;
+      const hash = `0x${number}-${fork}`;
+      const logs = events.map(([name, args], index) => {
+        const { data, topics } = iface.encodeEventLog(name, args);
+        return { address: EXECUTOR, topics, data, blockNumber: number, blockHash: hash, index, transactionHash: `0xtx${number}-${index}` };
+      });
+      blocks.push({ hash, logs });
+      return number;
+    },
+    setOrder(id, fields) {
+      const history = states.get(id) || [];
+      const prev = history.length ? history[history.length - 1].order : {};
+      history.push({ block: blocks.length, order: { ...prev, ...fields } });
+      states.set(id, history);
+    },
+    // Drops blocks from `number` on, along with the order states they produced
+    reorg(number) {
+      fork++;
+      blocks.length = number;
+      for (const history of states.values()) {
+        while (history.length && history[history.length - 1].block >= number) history.pop();
+      }
+    }
+  };
+
+  const executor = {
+    interface: iface,
+    getAddress: async () => EXECUTOR,
+    getOrder: async (id, { blockTag } = {}) => {
+      reads.push([Number(id), blockTag]);
+      const at = (states.get(Number(id)) || []).filter(s => blockTag === undefined || s.block <= blockTag);
+      return at.length ? at[at.length - 1].order : { ...EMPTY };
+    }
+  };
+  const provider = {
+    getBlockNumber: async () => blocks.length - 1,
+    getBlock: async n => (blocks[n] ? { number: n, hash: blocks[n].hash } : null),
+    getLogs: async ({ fromBlock, toBlock }) => blocks.slice(fromBlock, toBlock + 1).flatMap(b => b.logs)
+  };
+  return { chain, executor, provider };
+}
+
+function create(chain, id, orderType, amountIn, price) {
+  const [tokenIn, tokenOut] = orderType === 0 ? [USDT, ETH] : [ETH, USDT];
+  chain.setOrder(id, {
+    maker: MAKER, tokenIn, tokenOut, amountIn, amountOutMin: 1n, originalAmountIn: amountIn, targetPrice1e18: price,
+    expiry: FAR, filled: false, cancelled: false, claimed: false, orderType
+  });
+  return ["OrderCreated", [id, MAKER, tokenIn, tokenOut, amountIn, price, orderType]];
+}
+
+const indexerFor = ({ executor, provider }, name) => createOrderIndexer({ executor, provider, name, startBlock: 1, confirmations: 0 });
+
+test("builds orders from created, matched and cancelled events", async () => {
+  const setup = createChain();
+  const { chain } = setup;
+  chain.mine(create(chain, 1, 0, 2000n, 10n), create(chain, 2, 1, 3n, 10n));
+  chain.setOrder(1, { amountIn: 0n, filled: true });
+  chain.setOrder(2, { amountIn: 1n });
+  const matchBlock = chain.mine(["OrderMatched", [1, 2, 2000n, 2n, 10n]]);
+  chain.mine(["OrderCancelled", [2, 1n]]);
+
+  const indexer = indexerFor(setup, "build");
+  const seen = [];
+  indexer.on("event", e => seen.push(e.type));
+  await indexer.sync();
+
+  assert.deepEqual(seen, ["created", "created", "matched", "cancelled"]);
+  assert.equal(indexer.getOrder(1).status, "filled");
+  assert.equal(indexer.getOrder(1).amountIn, 0n);
+  assert.deepEqual(
+    [indexer.getOrder(2).status, indexer.getOrder(2).amountIn, indexer.getOrder(2).refundedAmount],
+    ["cancelled", 0n, 1n]
+  );
+  assert.deepEqual(indexer.getOpenOrders(), []);
+  assert.equal(indexer.status().lastBlock, 3);
+  // Remainders are read as of the match, not the head
+  assert.ok(setup.chain.reads.some(([id, tag]) => id === 2 && tag === matchBlock));
+});
+
+test("a replayed range sees the order state of its own blocks", async () => {
+  const setup = createChain();
+  const { chain } = setup;
+  chain.mine(create(chain, 1, 1, 5n, 10n));
+  chain.setOrder(1, { amountIn: 3n });
+  chain.mine(["OrderMatched", [9, 1, 20n, 2n, 10n]]);
+  // Filled later, in a block past the range indexed below
+  chain.setOrder(1, { amountIn: 0n, filled: true });
+  chain.mine(["OrderMatched", [9, 1, 30n, 3n, 10n]]);
+
+  const indexer = indexerFor(setup, "replay");
+  await indexer.sync();
+  indexer.rewind(2);
+
+  assert.equal(indexer.getOrder(1).amountIn, 3n);
+  assert.equal(indexer.getOrder(1).status, "open");
+});
+
+test("rewind undoes blocks in reverse and re-sync replays them", async () => {
+  const setup = createChain();
+  const { chain } = setup;
+  chain.mine(create(chain, 1, 1, 5n, 10n));
+  chain.mine(["OrderCancelled", [1, 5n]]);
+
+  const indexer = indexerFor(setup, "rewind");
+  const rewinds = [];
+  indexer.on("rewind", e => rewinds.push(e.toBlock));
+  await indexer.sync();
+  assert.equal(indexer.getOrder(1).status, "cancelled");
+
+  indexer.rewind(1);
+  assert.deepEqual(rewinds, [1]);
+  assert.equal(indexer.getOrder(1).status, "open");
+  assert.equal(indexer.getOrder(1).amountIn, 5n);
+  indexer.rewind(0);
+  assert.equal(indexer.getOrder(1), null);
+
+  await indexer.sync();
+  assert.equal(indexer.getOrder(1).status, "cancelled");
+});
+
+test("a reorg rolls back to the last block the chain still agrees with", async () => {
+  const setup = createChain();
+  const { chain } = setup;
+  chain.mine(create(chain, 1, 1, 5n, 10n));
+  chain.mine(["OrderCancelled", [1, 5n]]);
+
+  const indexer = indexerFor(setup, "reorg");
+  await indexer.sync();
+  assert.equal(indexer.getOrder(1).status, "cancelled");
+
+  // Block 2 is replaced by one where the order is matched instead
+  chain.reorg(2);
+  chain.setOrder(1, { amountIn: 0n, filled: true });
+  chain.mine(["OrderMatched", [9, 1, 50n, 5n, 10n]]);
+  await indexer.sync();
+
+  assert.equal(indexer.getOrder(1).status, "filled");
+  assert.equal(indexer.getOrder(1).refundedAmount, 0n);
+});
+
+test("a restart resumes from the saved checkpoint", async () => {
+  const setup = createChain();
+  const { chain } = setup;
+  chain.mine(create(chain, 1, 1, 5n, 10n));
+  await indexerFor(setup, "resume").sync();
+
+  const reads = chain.reads.length;
+  const again = indexerFor(setup, "resume");
+  await again.sync();
+  assert.equal(again.getOrder(1).amountIn, 5n);
+  assert.equal(chain.reads.length, reads);
+});
+
+test("orders past their expiry count as expired but not closed", () => {
+  const o = { status: "open", expiry: 100, amountIn: 1n };
+  assert.equal(orderStatus(o, 99), "open");
+  assert.equal(orderStatus(o, 100), "expired");
+  assert.ok(isOpen(o, 99));
+  assert.ok(!isOpen(o, 100));
+  assert.ok(!isOpen({ ...o, amountIn: 0n }, 99));
+  assert.equal(orderStatus({ ...o, status: "filled" }, 0), "filled");
+});
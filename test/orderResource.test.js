@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BUY, SELL } from "../matchingEngine.js";
+import { derivedStatus, formatOrder, queryOrders } from "../orderResource.js";
+
+const ETH = "0x00000000000000000000000000000000000000e1";
+const USDT = "0x00000000000000000000000000000000000000f6";
+const BTC = "0x00000000000000000000000000000000000000b7";
+const ALICE = "0x00000000000000000000000000000000000000a1";
+const BOB = "0x00000000000000000000000000000000000000b2";
+const NOW = 1_700_000_000;
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+
+const tokens = {
+  [ETH]: { symbol: "ETH", decimals: 18 },
+  [USDT]: { symbol: "USDT", decimals: 6 },
+  [BTC]: { symbol: "BTC", decimals: 8 }
+};
+
+function order(id, fields = {}) {
+  return {
+    id, maker: ALICE, orderType: SELL, tokenIn: ETH, tokenOut: USDT,
+    amountIn: e18(1), originalAmountIn: e18(1), amountOutMin: 1n, targetPrice1e18: e18(2000),
+    expiry: NOW + 3600, status: "open", claimed: false, refundedAmount: 0n, ...fields
+  };
+}
+
+const orders = [
+  order(1),
+  order(2, { maker: BOB, orderType: BUY, tokenIn: USDT, tokenOut: ETH, amountIn: 2_000_000_000n, originalAmountIn: 2_000_000_000n }),
+  order(3, { tokenOut: BTC }),
+  order(4, { status: "filled", amountIn: 0n }),
+  order(5, { expiry: NOW - 1 }),
+  order(6, { expiry: NOW - 1, status: "expired", claimed: true, amountIn: 0n, refundedAmount: e18(1) })
+];
+
+test("derivedStatus reports expiry and claimed refunds", () => {
+  assert.deepEqual(orders.map(o => derivedStatus(o, NOW)), ["open", "open", "open", "filled", "expired", "claimed"]);
+});
+
+test("orders page newest first by id cursor", () => {
+  const first = queryOrders(orders, { limit: 4 }, NOW);
+  assert.deepEqual(first.orders.map(o => o.id), [6, 5, 4, 3]);
+  assert.equal(first.nextCursor, 3);
+
+  const rest = queryOrders(orders, { limit: 4, cursor: first.nextCursor }, NOW);
+  assert.deepEqual(rest.orders.map(o => o.id), [2, 1]);
+  assert.equal(rest.nextCursor, null);
+});
+
+test("the pair filter matches both sides of the book", () => {
+  const { orders: eth } = queryOrders(orders, { base: ETH, quote: USDT }, NOW);
+  assert.deepEqual(eth.map(o => o.id), [6, 5, 4, 2, 1]);
+
+  const { orders: btc } = queryOrders(orders, { base: ETH, quote: BTC }, NOW);
+  assert.deepEqual(btc.map(o => o.id), [3]);
+});
+
+test("maker and status filters combine", () => {
+  assert.deepEqual(queryOrders(orders, { maker: `0x${BOB.slice(2).toUpperCase()}` }, NOW).orders.map(o => o.id), [2]);
+  assert.deepEqual(queryOrders(orders, { maker: ALICE, status: "open" }, NOW).orders.map(o => o.id), [3, 1]);
+  assert.deepEqual(queryOrders(orders, { status: "expired" }, NOW).orders.map(o => o.id), [5]);
+});
+
+test("formatOrder splits the input into filled, remaining and refunded", () => {
+  const partly = order(7, { amountIn: e18(0.25), refundedAmount: e18(0.25), status: "cancelled" });
+  const f = formatOrder(partly, tokens, NOW);
+
+  assert.equal(f.type, "SELL");
+  assert.equal(f.pair, "ETH/USDT");
+  assert.equal(f.filledAmountIn.human, "0.5");
+  assert.equal(f.remainingAmountIn.raw, e18(0.25).toString());
+  assert.equal(f.targetPrice.human, "2000.0");
+  assert.equal(f.status, "cancelled");
+
+  const buy = formatOrder(orders[1], tokens, NOW);
+  assert.deepEqual([buy.type, buy.pair, buy.amountIn.human], ["BUY", "ETH/USDT", "2000.0"]);
+
+  const unknown = formatOrder(orders[0], { ...tokens, [USDT]: { symbol: "USDT", decimals: null } }, NOW);
+  assert.equal(unknown.amountOutMin.human, null);
+});
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { swapVolume, sqrtPriceToPrice, usdPrices } from "../poolAnalytics.js";
+
+test("swapVolume counts what traders paid in on each side, and the fee on it", () => {
+  const swaps = [
+    { amount0: 1_000_000n, amount1: -1_990n },
+    { amount0: -500_000n, amount1: 1_000n },
+    { amount0: 2_000_000n, amount1: -3_980n }
+  ];
+
+  assert.deepEqual(swapVolume(swaps, 3000), { swaps: 3, volume0: 3_000_000n, volume1: 1_000n, fees0: 9_000n, fees1: 3n });
+  assert.deepEqual(swapVolume([], 500), { swaps: 0, volume0: 0n, volume1: 0n, fees0: 0n, fees1: 0n });
+});
+
+test("sqrtPriceToPrice is human token1 per token0", () => {
+  const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(2000e6 / 1e18) * 2 ** 96));
+  assert.ok(Math.abs(sqrtPriceToPrice(sqrtPriceX96, 18, 6) - 2000) < 1e-6);
+});
+
+test("usdPrices derives a missing side through the pool price", () => {
+  assert.deepEqual(usdPrices(2000, 1, 2000), { usd0: 2000, usd1: 1, derived: null });
+  assert.deepEqual(usdPrices(2000, null, 4), { usd0: 2000, usd1: 500, derived: "token1" });
+  assert.deepEqual(usdPrices(null, 1, 2000), { usd0: 2000, usd1: 1, derived: "token0" });
+  assert.deepEqual(usdPrices(null, null, 2000), { usd0: null, usd1: null, derived: null });
+});
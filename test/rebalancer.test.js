@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { poolState, poolPrice, deepestPool } from "../arbitrage.js";
+import { rebalanceSide } from "../marketMaker.js";
+
+const ETH = "0x00000000000000000000000000000000000000e1";
+const sqrtPriceAt = price => BigInt(Math.round(Math.sqrt(price / 1e12) * 2 ** 96));
+const pool = (fee, price, liquidity) => ({
+  address: `0xpool${fee}`,
+  state: poolState({ sqrtPriceX96: sqrtPriceAt(price), liquidity, token0: ETH, fee, base: ETH, baseDecimals: 18, quoteDecimals: 6 })
+});
+
+test("the deepest fee tier is the one with the most active liquidity", () => {
+  const pools = [pool(500, 2000, 10n ** 15n), pool(3000, 2100, 10n ** 17n), pool(10000, 1900, 10n ** 16n)];
+
+  const deepest = deepestPool(pools);
+  assert.equal(deepest.address, "0xpool3000");
+  assert.ok(Math.abs(poolPrice(deepest.state) - 2100) < 1e-6);
+});
+
+test("pools without active liquidity are never picked", () => {
+  assert.equal(deepestPool([pool(500, 2000, 0n)]), null);
+  assert.equal(deepestPool([]), null);
+  assert.equal(deepestPool([pool(500, 2000, 0n), pool(3000, 2000, 1n)]).address, "0xpool3000");
+});
+
+test("a pool outside the band gets a buy below the market and a sell above", () => {
+  assert.equal(rebalanceSide(2000, 2000, 0.01), null);
+  assert.equal(rebalanceSide(1980, 2000, 0.01), null);
+  assert.equal(rebalanceSide(2020, 2000, 0.01), null);
+  assert.equal(rebalanceSide(1979, 2000, 0.01), "BUY");
+  assert.equal(rebalanceSide(2021, 2000, 0.01), "SELL");
+});
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRiskManager, riskLimitsFromEnv } from "../risk.js";
+
+const order = (over = {}) => ({
+  symbol: "ETH",
+  pair: "ETH/USDT",
+  tokenInSymbol: "USDT",
+  amountIn: 100,
+  notional: 100,
+  price: 2000,
+  oraclePrice: 2000,
+  balanceIn: 1000,
+  ...over
+});
+
+function clock(start = 0) {
+  let t = start;
+  return { now: () => t, advance: ms => (t += ms) };
+}
+
+test("per-token notional counts open orders and unreleased tickets", () => {
+  const risk = createRiskManager({ limits: { maxNotionalPerToken: { ETH: 250 } }, persist: false });
+
+  const ticket = risk.admit(order(), [{ symbol: "ETH", pair: "ETH/USDT", notional: 100 }]);
+  assert.throws(() => risk.admit(order(), [{ symbol: "ETH", pair: "ETH/USDT", notional: 100 }]), { code: "RISK_LIMIT" });
+  ticket.release();
+  risk.admit(order(), [{ symbol: "ETH", pair: "ETH/USDT", notional: 100 }]);
+  // Other tokens fall back to the unlimited default
+  risk.admit(order({ symbol: "BTC", notional: 10_000 }));
+});
+
+test("total notional and orders per pair", () => {
+  const risk = createRiskManager({ limits: { maxNotionalTotal: 150, maxOrdersPerPair: 1 }, persist: false });
+
+  assert.throws(() => risk.admit(order(), [{ symbol: "BTC", pair: "BTC/USDT", notional: 60 }]), /total open notional/);
+  assert.throws(() => risk.admit(order({ notional: 1 }), [{ symbol: "ETH", pair: "ETH/USDT", notional: 1 }]), /already has 1 orders/);
+});
+
+test("the reserve accounts for in-flight orders", () => {
+  const risk = createRiskManager({ limits: { minReserve: { USDT: 750 } }, persist: false });
+
+  risk.admit(order({ amountIn: 200 }));
+  assert.throws(() => risk.admit(order({ amountIn: 100, symbol: "BTC", pair: "BTC/USDT" })), /would drop to 700/);
+});
+
+test("orders need an oracle price close to theirs", () => {
+  const risk = createRiskManager({ persist: false });
+
+  assert.throws(() => risk.admit(order({ oraclePrice: null })), /no oracle price/);
+  assert.throws(() => risk.admit(order({ price: 2400 })), /20\.00% from oracle/);
+  risk.admit(order({ price: 2200 }));
+});
+
+test("a price move within the window trips the breaker until reset", () => {
+  const { now, advance } = clock();
+  const risk = createRiskManager({ persist: false, now });
+  const trips = [];
+  risk.on("trip", e => trips.push(e));
+
+  risk.recordPrice("ETH", 2000);
+  advance(10 * 60_000);
+  risk.recordPrice("ETH", 2300);
+  assert.equal(risk.tripped(), null);
+
+  advance(60_000);
+  risk.recordPrice("ETH", 2600);
+  assert.match(risk.tripped().reason, /ETH moved 13\.04%/);
+  assert.equal(trips.length, 1);
+  assert.throws(() => risk.admit(order()), /circuit breaker tripped/);
+
+  risk.reset();
+  assert.equal(risk.tripped(), null);
+  risk.admit(order());
+});
+
+test("failed transactions only trip when they cluster", () => {
+  const { now, advance } = clock();
+  const risk = createRiskManager({ limits: { breaker: { maxTxFailures: 2 } }, persist: false, now });
+
+  risk.recordTxFailure("a");
+  advance(11 * 60_000);
+  risk.recordTxFailure("b");
+  assert.equal(risk.tripped(), null);
+  risk.recordTxFailure("c");
+  assert.match(risk.tripped().reason, /2 failed transactions .* \(last: c\)/);
+  // Breaker limits not given keep their defaults
+  assert.equal(risk.limits().breaker.maxPriceMove, 0.1);
+});
+
+test("drawdown is measured from the peak", () => {
+  const risk = createRiskManager({ persist: false });
+
+  risk.recordEquity(1000);
+  risk.recordEquity(1200);
+  risk.recordEquity(970);
+  assert.equal(risk.tripped(), null);
+  risk.recordEquity(950);
+  assert.match(risk.tripped().reason, /drawdown 20\.83%/);
+});
+
+test("riskLimitsFromEnv reads numbers and KEY:value maps", () => {
+  const limits = riskLimitsFromEnv({
+    RISK_MAX_NOTIONAL_PER_TOKEN: "500",
+    RISK_MAX_NOTIONAL_TOKENS: "ETH:1000; BTC:2000",
+    RISK_MIN_RESERVE: "USDT:50",
+    RISK_CANCEL_ON_TRIP: "true"
+  });
+
+  assert.deepEqual(limits.maxNotionalPerToken, { default: 500, ETH: 1000, BTC: 2000 });
+  assert.equal(limits.maxNotionalTotal, Infinity);
+  assert.deepEqual(limits.minReserve, { USDT: 50 });
+  assert.equal(limits.maxOracleDeviation, 0.15);
+  assert.equal(limits.breaker.cancelOnTrip, true);
+});
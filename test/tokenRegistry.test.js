@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { createTokenRegistry, toRaw, toHuman, parsePrice, formatPrice, rawRatioToPrice1e18 } from "../tokenRegistry.js";
+
+const ETH = "0x00000000000000000000000000000000000000E1";
+const USDT = "0x00000000000000000000000000000000000000F6";
+const BROKEN = "0x00000000000000000000000000000000000000bb";
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+
+const erc20 = new ethers.Interface([
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "function decimals() view returns (uint8)"
+]);
+
+// Answers ERC20 metadata calls for the tokens in `chain`; anything else reverts
+function createProvider(chain) {
+  const calls = [];
+  return {
+    calls,
+    call: async ({ to, data }) => {
+      const fn = erc20.parseTransaction({ data }).name;
+      calls.push([to.toLowerCase(), fn]);
+      const token = chain[to.toLowerCase()];
+      if (!token || token[fn] === undefined) throw Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" });
+      return erc20.encodeFunctionResult(fn, [token[fn]]);
+    }
+  };
+}
+
+const chain = {
+  [ETH.toLowerCase()]: { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+  [USDT.toLowerCase()]: { symbol: "USDT", name: "Tether USD", decimals: 6 },
+  [BROKEN]: { symbol: "BRK" }
+};
+const network = { tokens: { ETH, USDT }, tokenMeta: { ETH: { symbol: "ETH", dust: "0.001" } } };
+
+test("toRaw and toHuman convert at the token's decimals", () => {
+  assert.equal(toRaw("1.5", 6), 1_500_000n);
+  assert.equal(toRaw(0.0000001, 18), 100_000_000_000n);
+  assert.equal(toHuman(1_500_000n, 6), "1.5");
+  assert.throws(() => toRaw("1.0000001", 6));
+});
+
+test("prices are 1e18-scaled quote per base", () => {
+  assert.equal(parsePrice("2000.5"), e18(2000.5));
+  assert.equal(formatPrice(e18(2000.5)), "2000.5");
+  // 3000 USDT (6 decimals) for 1.5 ETH (18)
+  assert.equal(rawRatioToPrice1e18(3_000_000_000n, e18(1.5), 18, 6), e18(2000));
+  assert.equal(rawRatioToPrice1e18(1n, 0n, 18, 6), 0n);
+});
+
+test("metadata comes from the chain once, with profile overrides on top", async () => {
+  const provider = createProvider(chain);
+  const tokens = createTokenRegistry({ provider, network, defaultDust: "0.01" });
+
+  const [eth, again] = await Promise.all([tokens.resolve("eth"), tokens.resolve(ETH)]);
+  assert.equal(eth, again);
+  assert.deepEqual(eth, { address: ETH.toLowerCase(), symbol: "ETH", name: "Wrapped Ether", decimals: 18, dust: e18(0.001) });
+  // symbol is overridden, so only name and decimals were read
+  assert.deepEqual(provider.calls.map(c => c[1]).sort(), ["decimals", "name"]);
+
+  const usdt = await tokens.resolve(USDT);
+  assert.equal(usdt.dust, 10_000n);
+  assert.equal(await tokens.toRaw("USDT", "2.5"), 2_500_000n);
+  assert.equal(await tokens.toHuman(ETH, e18(0.25)), "0.25");
+});
+
+test("a token whose decimals can't be read is an error, never a guess", async () => {
+  const tokens = createTokenRegistry({ provider: createProvider(chain), network });
+
+  await assert.rejects(tokens.resolve(BROKEN), /decimals\(\) failed .*add a decimals override/);
+  await assert.rejects(tokens.resolve("DOGE"), /Unknown token DOGE/);
+
+  const found = await tokens.resolveMany(["ETH", BROKEN, "DOGE"]);
+  assert.deepEqual(Object.keys(found), [ETH.toLowerCase()]);
+
+  const fixed = createTokenRegistry({ provider: createProvider(chain), network, overrides: { [BROKEN]: { decimals: 8 } } });
+  assert.equal((await fixed.resolve(BROKEN)).decimals, 8);
+});
+
+test("dust is judged only for tokens already resolved", async () => {
+  const tokens = createTokenRegistry({ provider: createProvider(chain), network });
+
+  assert.equal(tokens.isDust(ETH, 1n), false);
+  assert.equal(tokens.get("ETH"), null);
+  await tokens.resolve(ETH);
+  assert.equal(tokens.isDust(ETH, e18(0.0005)), true);
+  assert.equal(tokens.isDust(ETH, e18(0.001)), false);
+});
@@ -0,0 +1,118 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EventEmitter } from "events";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "trades-test-"));
+const { createTradeHistory, tradeFromMatch } = await import("../tradeHistory.js");
+
+const ETH = "0x00000000000000000000000000000000000000e1";
+const USDT = "0x00000000000000000000000000000000000000f6";
+const e18 = n => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+
+const buy = id => ({ id, orderType: 0, tokenIn: USDT, tokenOut: ETH, maker: "0xbuyer" });
+const sell = id => ({ id, orderType: 1, tokenIn: ETH, tokenOut: USDT, maker: "0xseller" });
+
+function matched(blockNumber, logIndex, price, base = e18(1)) {
+  return {
+    type: "matched",
+    buyOrder: buy(blockNumber * 10 + logIndex),
+    sellOrder: sell(blockNumber * 10 + logIndex + 1),
+    tokenInTransferred: (base * price) / 10n ** 18n,
+    tokenOutTransferred: base,
+    executionPrice1e18: price,
+    blockNumber,
+    txHash: `0xtx${blockNumber}`,
+    logIndex
+  };
+}
+
+// Stands in for the order indexer: blocks are a minute apart from t=0
+function setup(name) {
+  const indexer = new EventEmitter();
+  indexer.getAddress = () => "0xexecutor";
+  indexer.getOrder = () => null;
+  const provider = {
+    getBlock: async n => ({ number: n, timestamp: n * 60 }),
+    getLogs: async () => []
+  };
+  const history = createTradeHistory({ indexer, executor: null, provider, name, startBlock: 1 });
+  const settled = () => new Promise(resolve => setTimeout(resolve, 10));
+  return { indexer, history, settled };
+}
+
+test("tradeFromMatch takes the pair and amounts from the buy side", () => {
+  const t = tradeFromMatch(matched(5, 2, e18(2000)));
+
+  assert.equal(t.id, "0xtx5:2");
+  assert.deepEqual([t.base, t.quote], [ETH, USDT]);
+  assert.equal(t.baseAmount, e18(1));
+  assert.equal(t.quoteAmount, e18(2000));
+  assert.deepEqual([t.buyOrderId, t.sellOrderId], [52, 53]);
+
+  const sellOnly = tradeFromMatch({ ...matched(5, 2, e18(2000)), buyOrder: null });
+  assert.deepEqual([sellOnly.base, sellOnly.quote, sellOnly.buyOrderId], [ETH, USDT, null]);
+});
+
+test("matches are kept once their batch is synced, with block timestamps", async () => {
+  const { indexer, history, settled } = setup("trades-sync");
+  indexer.emit("event", matched(1, 0, e18(2000)));
+  indexer.emit("event", matched(2, 0, e18(2010)));
+  indexer.emit("synced", { fromBlock: 1, lastBlock: 1 });
+  await settled();
+
+  assert.equal(history.all().length, 1);
+  assert.equal(history.all()[0].timestamp, 60);
+
+  indexer.emit("synced", { fromBlock: 2, lastBlock: 2 });
+  indexer.emit("synced", { fromBlock: 2, lastBlock: 2 });
+  await settled();
+  assert.deepEqual(history.status(), { lastBlock: 2, trades: 2 });
+});
+
+test("trades page newest first by cursor", async () => {
+  const { indexer, history, settled } = setup("trades-page");
+  for (let block = 1; block <= 5; block++) indexer.emit("event", matched(block, 0, e18(2000 + block)));
+  indexer.emit("synced", { fromBlock: 1, lastBlock: 5 });
+  await settled();
+
+  const first = history.getTrades(ETH, USDT, { limit: 2 });
+  assert.deepEqual(first.trades.map(t => t.blockNumber), [5, 4]);
+  assert.equal(first.nextCursor, "0xtx4:0");
+
+  const last = history.getTrades(ETH, USDT, { limit: 3, before: first.nextCursor });
+  assert.deepEqual(last.trades.map(t => t.blockNumber), [3, 2, 1]);
+  assert.equal(last.nextCursor, null);
+
+  assert.deepEqual(history.getTrades(USDT, ETH).trades, []);
+});
+
+test("candles bucket trades by interval", async () => {
+  const { indexer, history, settled } = setup("trades-candles");
+  // Blocks 1-4 land in the first 5 minutes, 5-6 in the next
+  const prices = [2000, 2020, 1990, 2005, 2100, 2090];
+  prices.forEach((p, i) => indexer.emit("event", matched(i + 1, 0, e18(p))));
+  indexer.emit("synced", { fromBlock: 1, lastBlock: 6 });
+  await settled();
+
+  const candles = history.getCandles(ETH, USDT, { interval: "5m" });
+  assert.equal(candles.length, 2);
+  assert.deepEqual(
+    [candles[0].time, candles[0].open, candles[0].high, candles[0].low, candles[0].close, candles[0].trades],
+    [0, e18(2000), e18(2020), e18(1990), e18(2005), 4]
+  );
+  assert.equal(candles[1].baseVolume, e18(2));
+  assert.throws(() => history.getCandles(ETH, USDT, { interval: "3m" }), /Unsupported interval/);
+});
+
+test("a rewind drops trades past the new head", async () => {
+  const { indexer, history, settled } = setup("trades-rewind");
+  for (let block = 1; block <= 3; block++) indexer.emit("event", matched(block, 0, e18(2000)));
+  indexer.emit("synced", { fromBlock: 1, lastBlock: 3 });
+  indexer.emit("rewind", { toBlock: 1 });
+  await settled();
+
+  assert.deepEqual(history.status(), { lastBlock: 1, trades: 1 });
+});
@@ -0,0 +1,211 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { createRequire } from "module";
+import { ethers } from "ethers";
+import { createTokenRegistry } from "../tokenRegistry.js";
+import { PAIR_DEFAULTS, loadPairConfig, createTxRouter } from "../txBuilder.js";
+
+const require = createRequire(import.meta.url);
+const USDT = "0x00000000000000000000000000000000000000F6";
+const USDC = "0x00000000000000000000000000000000000000C6";
+const ETH = "0x00000000000000000000000000000000000000E1";
+const EXECUTOR = "0x00000000000000000000000000000000000000E0";
+const FROM = "0x000000000000000000000000000000000000bEEF";
+const lower = a => a.toLowerCase();
+
+function pairFile(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pairs-test-")), "pairs.json");
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test("without a pair list every token trades against the configured quotes", () => {
+  const pairs = loadPairConfig(pairFile({ quotes: ["usdt", "usdc"], default: { minNotional: "5" } }));
+
+  assert.deepEqual(pairs("ETH", "USDT"), { ...PAIR_DEFAULTS, minNotional: "5" });
+  assert.ok(pairs("ETH", "USDC"));
+  assert.equal(pairs("USDT", "ETH"), null);
+  assert.equal(pairs("USDT", "USDT"), null);
+  assert.ok(loadPairConfig(null)("ETH", "USDT"));
+});
+
+test("a pair list limits trading to those pairs, each with its own overrides", () => {
+  const pairs = loadPairConfig(pairFile({ default: { minTtl: 300 }, pairs: { "eth/usdt": { minSize: "0.01" } } }));
+
+  assert.deepEqual(pairs("ETH", "USDT"), { ...PAIR_DEFAULTS, minTtl: 300, minSize: "0.01" });
+  assert.equal(pairs("ETH", "USDC"), null);
+});
+
+// A node that knows three tokens, the wallet's balances and allowance, and an executor that
+// can't be simulated until the allowance is in place
+function createProvider(wallet) {
+  const erc20 = new ethers.Interface([
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function name() view returns (string)",
+    "function allowance(address,address) view returns (uint256)",
+    "function balanceOf(address) view returns (uint256)"
+  ]);
+  const meta = { [lower(ETH)]: ["ETH", 18], [lower(USDT)]: ["USDT", 6], [lower(USDC)]: ["USDC", 6] };
+  return {
+    getNetwork: async () => ({ chainId: 1n }),
+    getFeeData: async () => ({ maxFeePerGas: 2n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n, gasPrice: null }),
+    estimateGas: async tx => {
+      if (lower(tx.to) === lower(EXECUTOR) && wallet.allowance === 0n) throw Object.assign(new Error("execution reverted"), { reason: "insufficient allowance" });
+      return 100_000n;
+    },
+    call: async ({ to, data }) => {
+      const fn = erc20.parseTransaction({ data });
+      const [symbol, decimals] = meta[lower(to)];
+      const value = {
+        symbol,
+        name: symbol,
+        decimals,
+        allowance: wallet.allowance,
+        balanceOf: wallet.balances[symbol] ?? 0n
+      }[fn.name];
+      return erc20.encodeFunctionResult(fn.name, [value]);
+    }
+  };
+}
+
+async function serve({ prices = { ETH: 2500, USDC: 1 }, allowance = 0n, orders = {} } = {}) {
+  const wallet = { allowance, balances: { ETH: 10n ** 18n, USDT: 5000n * 10n ** 6n, USDC: 5000n * 10n ** 6n } };
+  const provider = createProvider(wallet);
+  const network = { executor: EXECUTOR, tokens: { USDT, USDC, ETH } };
+  const registry = createTokenRegistry({ provider, network });
+  const executor = new ethers.Contract(EXECUTOR, require("../ABI/LimitOrder.json"), provider);
+  const oracle = {
+    getPrices: async symbols => ({ prices: Object.fromEntries(symbols.map(s => [s, { price: prices[s] ?? null }])), failures: {} })
+  };
+  const indexer = { getOrder: id => orders[id] || null };
+  const pairConfig = loadPairConfig(pairFile({ quotes: ["USDT", "USDC"] }));
+
+  const app = express();
+  app.use("/tx", createTxRouter({ provider, network, registry, indexer, oracle, executor, pairConfig }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  const post = async (route, body) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/tx/${route}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  return { server, post, executor };
+}
+
+test("a buy comes back as an approval then the order, encoded for the executor", async t => {
+  const { server, post, executor } = await serve();
+  t.after(() => server.close());
+
+  const { status, body } = await post("create-order", { from: FROM, pair: "eth/usdt", side: "buy", size: "0.5", price: "2490.5", ttl: 3600 });
+  assert.equal(status, 200);
+  assert.deepEqual(body.warnings, []);
+  assert.equal(body.order.amountIn, "1245.25");
+  assert.equal(body.order.referencePrice, 2500);
+
+  const [approve, create] = body.transactions;
+  assert.equal(lower(approve.to), lower(USDT));
+  assert.equal(approve.gasEstimated, true);
+  // The order can't be simulated before the approval lands, so its gas is the executor's usual
+  assert.equal(create.gasEstimated, false);
+  const args = executor.interface.decodeFunctionData("depositAndCreateOrder", create.data);
+  assert.deepEqual(args.map(String), [lower(USDT), lower(ETH), "1245250000", "500000000000000000", "2490500000000000000000", "3600", "0"]);
+});
+
+test("with enough allowance only the order is returned", async t => {
+  const { server, post } = await serve({ allowance: 10n ** 30n });
+  t.after(() => server.close());
+
+  const { body } = await post("create-order", { from: FROM, pair: "ETH/USDT", side: "SELL", size: "0.1", price: "2400" });
+  assert.equal(body.transactions.length, 1);
+  assert.equal(body.transactions[0].gasEstimated, true);
+  assert.equal(body.order.ttl, PAIR_DEFAULTS.defaultTtl);
+});
+
+test("a price that pays too much is rejected, one that won't fill is a warning", async t => {
+  const { server, post } = await serve({ allowance: 10n ** 30n });
+  t.after(() => server.close());
+
+  const high = await post("create-order", { from: FROM, pair: "ETH/USDT", side: "BUY", size: "0.1", price: "3500" });
+  assert.equal(high.status, 400);
+  assert.match(high.body.error, /BUY at 3500 is 40\.0% above the reference 2500/);
+
+  const low = await post("create-order", { from: FROM, pair: "ETH/USDT", side: "BUY", size: "0.1", price: "1500" });
+  assert.equal(low.status, 200);
+  assert.match(low.body.warnings[0], /40\.0% from the reference 2500 and may not fill/);
+});
+
+test("the reference price is taken through the oracle for either side of the pair", async t => {
+  // USDC off its peg at 0.8: ETH/USDC is 2500 / 0.8
+  const { server, post } = await serve({ prices: { ETH: 2500, USDC: 0.8 }, allowance: 10n ** 30n });
+  t.after(() => server.close());
+
+  const { body } = await post("create-order", { from: FROM, pair: "ETH/USDC", side: "SELL", size: "0.1", price: "3100" });
+  assert.equal(body.order.referencePrice, 3125);
+
+  const { server: unpriced, post: postUnpriced } = await serve({ prices: {}, allowance: 10n ** 30n });
+  t.after(() => unpriced.close());
+  const { body: unchecked } = await postUnpriced("create-order", { from: FROM, pair: "ETH/USDC", side: "SELL", size: "0.1", price: "3100" });
+  assert.deepEqual(unchecked.warnings, ["No reference price for ETH/USDC, price not checked"]);
+});
+
+test("malformed and untradable orders are a 400", async t => {
+  const { server, post } = await serve({ allowance: 10n ** 30n });
+  t.after(() => server.close());
+
+  const order = { from: FROM, pair: "ETH/USDT", side: "BUY", size: "0.1", price: "2500" };
+  const cases = [
+    [{ from: "nobody" }, /from must be the signer's address/],
+    [{ pair: "ETH" }, /pair must look like BASE\/QUOTE/],
+    [{ pair: "DOGE/USDT" }, /Unknown token in DOGE\/USDT/],
+    [{ pair: "USDT/ETH" }, /USDT\/ETH is not a tradable pair/],
+    [{ side: "HOLD" }, /side must be BUY or SELL/],
+    [{ size: "-1" }, /size must be positive/],
+    [{ size: "0.1234567890123456789" }, /size must be a decimal number with at most 18 decimals/],
+    [{ size: "0.0000001" }, /size is below the ETH\/USDT minimum/],
+    [{ ttl: 10 }, /ttl must be whole seconds from 60/],
+    [{ size: "5" }, /Insufficient USDT: order needs 12500\.0, balance is 5000\.0/]
+  ];
+  for (const [change, error] of cases) {
+    const { status, body } = await post("create-order", { ...order, ...change });
+    assert.equal(status, 400, JSON.stringify(change));
+    assert.match(body.error, error);
+  }
+});
+
+test("cancel-order only builds a cancel for the maker's open orders", async t => {
+  const maker = lower(FROM);
+  const future = Math.floor(Date.now() / 1000) + 3600;
+  const orders = {
+    7: { id: 7, maker, status: "open", expiry: future, amountIn: 1n },
+    8: { id: 8, maker, status: "open", expiry: 1000, amountIn: 1n },
+    9: { id: 9, maker, status: "filled", expiry: future, amountIn: 0n }
+  };
+  const { server, post, executor } = await serve({ allowance: 10n ** 30n, orders });
+  t.after(() => server.close());
+
+  const ok = await post("cancel-order", { orderId: 7, from: FROM });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.transactions[0].from, FROM);
+  assert.deepEqual(executor.interface.decodeFunctionData("cancelOrder", ok.body.transactions[0].data).map(Number), [7]);
+
+  const errors = [
+    [{ orderId: 7, from: "0x0000000000000000000000000000000000000001" }, /belongs to/],
+    [{ orderId: 8 }, /has expired; its deposit is refunded by claimExpired/],
+    [{ orderId: 9 }, /is filled/],
+    [{ orderId: 10 }, /Unknown order #10/],
+    [{ orderId: "x" }, /orderId must be an order id/]
+  ];
+  for (const [body, error] of errors) {
+    const res = await post("cancel-order", body);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, error);
+  }
+});
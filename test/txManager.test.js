@@ -0,0 +1,151 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "tx-manager-test-"));
+const { createTxManager } = await import("../txManager.js");
+
+// The manager logs every send, and a chatty test file can garble node 20's test runner report
+mock.method(console, "log", () => { });
+
+const gwei = n => ethers.parseUnits(String(n), "gwei");
+const TO = "0x00000000000000000000000000000000000000c0";
+
+// A wallet over a fake node: sent txs are recorded, `mine(hash)` gives one a receipt
+function createWallet({ nonce = 7, fees = { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2), gasPrice: null } } = {}) {
+  const sent = [];
+  const receipts = new Map();
+  const failures = [];
+  let mined = nonce;
+
+  const provider = {
+    getTransactionCount: async (_, tag) => (tag === "pending" ? nonce + sent.filter(s => !s.replacement).length : mined),
+    getFeeData: async () => fees,
+    estimateGas: async () => 100_000n,
+    getTransactionReceipt: async hash => receipts.get(hash) ?? null
+  };
+  const wallet = {
+    address: "0x00000000000000000000000000000000000000aa",
+    provider,
+    sendTransaction: async req => {
+      const fail = failures.shift();
+      if (fail) throw fail;
+      const hash = `0x${sent.length + 1}`;
+      sent.push({ ...req, hash, replacement: sent.some(s => s.nonce === req.nonce) });
+      return { hash };
+    }
+  };
+  return {
+    wallet,
+    sent,
+    failNext: err => failures.push(err),
+    mine(hash, status = 1) {
+      const tx = sent.find(s => s.hash === hash);
+      mined = Math.max(mined, tx.nonce + 1);
+      receipts.set(hash, { hash, status, gasUsed: 50_000n });
+    }
+  };
+}
+
+const manager = (node, name, opts = {}) => createTxManager({ wallet: node.wallet, name, pollMs: 1, ...opts });
+
+test("concurrent sends take consecutive nonces from the node's pending count", async () => {
+  const node = createWallet();
+  const txs = manager(node, "tx-nonces");
+
+  const sent = await Promise.all([1, 2, 3].map(i => txs.sendTransaction({ to: TO, data: "0x" }, { desc: `tx ${i}` })));
+  assert.deepEqual(sent.map(t => t.nonce).sort(), [7, 8, 9]);
+  // Estimate plus the default 20% margin
+  assert.ok(node.sent.every(s => s.gasLimit === 120_000n));
+  assert.equal(txs.pending().length, 3);
+
+  for (const s of node.sent) node.mine(s.hash);
+  const receipts = await Promise.all(sent.map(t => t.wait()));
+  assert.ok(receipts.every(r => r.status === 1));
+  assert.equal(txs.pending().length, 0);
+});
+
+test("a nonce clash resyncs from the node and retries", async () => {
+  const node = createWallet();
+  const txs = manager(node, "tx-clash");
+  const first = await txs.sendTransaction({ to: TO, data: "0x" });
+
+  // Someone else sharing the key took nonce 8
+  node.sent.push({ nonce: 8, hash: "0xother" });
+  node.failNext(Object.assign(new Error("nonce too low"), { code: "NONCE_EXPIRED" }));
+  const tx = await txs.sendTransaction({ to: TO, data: "0x" });
+  assert.equal(tx.nonce, 9);
+
+  node.mine(first.hash);
+  node.mine(tx.hash);
+  await Promise.all([first.wait(), tx.wait()]);
+});
+
+test("a send that fails for other reasons gives its nonce back", async () => {
+  const node = createWallet();
+  const txs = manager(node, "tx-release");
+
+  node.failNext(new Error("insufficient funds"));
+  await assert.rejects(txs.sendTransaction({ to: TO, data: "0x" }), /insufficient funds/);
+  const tx = await txs.sendTransaction({ to: TO, data: "0x" });
+  assert.equal(tx.nonce, 7);
+
+  node.mine(tx.hash);
+  await tx.wait();
+});
+
+test("a stuck transaction is replaced with bumped fees at the same nonce", async () => {
+  const node = createWallet();
+  const txs = manager(node, "tx-replace", { replaceAfterMs: 0, bumpPercent: 15, maxReplacements: 1 });
+  const tx = await txs.sendTransaction({ to: TO, data: "0x" });
+
+  while (node.sent.length < 2) await new Promise(r => setTimeout(r, 2));
+  const [first, second] = node.sent;
+  assert.equal(second.nonce, first.nonce);
+  assert.equal(second.maxFeePerGas, gwei(34.5));
+  assert.equal(second.maxPriorityFeePerGas, gwei(2.3));
+  assert.equal(tx.hash, second.hash);
+
+  node.mine(second.hash);
+  const receipt = await tx.wait();
+  assert.equal(receipt.hash, second.hash);
+  assert.equal(node.sent.length, 2);
+});
+
+test("fees above the caps are clamped and no replacement is sent once capped", async () => {
+  const node = createWallet({ fees: { maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(5), gasPrice: null } });
+  const txs = manager(node, "tx-caps", { maxFeePerGasCap: gwei(40), maxPriorityFeeCap: gwei(3), replaceAfterMs: 0 });
+  const tx = await txs.sendTransaction({ to: TO, data: "0x" });
+
+  assert.equal(node.sent[0].maxFeePerGas, gwei(40));
+  assert.equal(node.sent[0].maxPriorityFeePerGas, gwei(3));
+
+  await new Promise(r => setTimeout(r, 20));
+  assert.equal(node.sent.length, 1);
+  node.mine(tx.hash);
+  await tx.wait();
+});
+
+test("a reverted receipt rejects wait() as a call exception", async () => {
+  const node = createWallet();
+  const txs = manager(node, "tx-revert");
+  const tx = await txs.sendTransaction({ to: TO, data: "0x" }, { desc: "Match 1/2" });
+
+  node.mine(tx.hash, 0);
+  await assert.rejects(tx.wait(), err => err.code === "CALL_EXCEPTION" && /Match 1\/2 reverted/.test(err.message));
+});
+
+test("pending transactions are picked up again after a restart", async () => {
+  const node = createWallet();
+  const tx = await manager(node, "tx-resume").sendTransaction({ to: TO, data: "0x" }, { desc: "Cancel 3" });
+
+  const [resumed] = manager(node, "tx-resume").resume();
+  assert.equal(resumed.desc, "Cancel 3");
+  assert.equal(resumed.nonce, tx.nonce);
+
+  node.mine(tx.hash);
+  assert.equal((await resumed.wait()).hash, tx.hash);
+});
@@ -0,0 +1,128 @@
+import { ethers } from "ethers";
+
+const PRICE_DECIMALS = 18;
+const ERC20_META_ABI = [
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+// Numbers are fixed to the token's decimals first, parseUnits rejects "1e-7"
+function toRaw(human, decimals) {
+  const text = typeof human === "number" ? human.toFixed(decimals) : String(human);
+  return ethers.parseUnits(text, decimals);
+}
+
+function toHuman(raw, decimals) {
+  return ethers.formatUnits(raw, decimals);
+}
+
+// Prices are human quote-per-base scaled by 1e18, the executor's targetPrice1e18
+function parsePrice(human) {
+  return toRaw(human, PRICE_DECIMALS);
+}
+
+function formatPrice(price1e18) {
+  return ethers.formatUnits(price1e18, PRICE_DECIMALS);
+}
+
+function priceToNumber(price1e18) {
+  return Number(formatPrice(price1e18));
+}
+
+// Raw quote units per raw base unit -> 1e18 human price
+function rawRatioToPrice1e18(quoteRaw, baseRaw, baseDecimals, quoteDecimals) {
+  if (baseRaw === 0n) return 0n;
+  return (quoteRaw * 10n ** BigInt(baseDecimals) * 10n ** BigInt(PRICE_DECIMALS)) / (baseRaw * 10n ** BigInt(quoteDecimals));
+}
+
+// Resolves symbol, name and decimals on chain once per token. Overrides (from the network profile's
+// token entries or passed in) win over the chain; decimals that can't be read are an error, never a guess.
+function createTokenRegistry({
+  provider,
+  network,
+  overrides = {},
+  defaultDust = process.env.DUST_THRESHOLD_DEFAULT || "0.000001"
+}) {
+  const bySymbol = new Map(Object.entries(network?.tokens || {}).map(([s, a]) => [s.toUpperCase(), a.toLowerCase()]));
+  const manual = new Map();
+  for (const [key, meta] of Object.entries({ ...(network?.tokenMeta || {}), ...overrides })) {
+    manual.set((bySymbol.get(key.toUpperCase()) || key).toLowerCase(), meta);
+  }
+  const cache = new Map();
+  const inflight = new Map();
+
+  // Accepts a profile symbol or an address; null when it's neither
+  function addressOf(token) {
+    const bySym = bySymbol.get(String(token).toUpperCase());
+    if (bySym) return bySym;
+    return ethers.isAddress(token) ? token.toLowerCase() : null;
+  }
+
+  async function load(address) {
+    const o = manual.get(address) || {};
+    const c = new ethers.Contract(address, ERC20_META_ABI, provider);
+    const [symbol, name, decimals] = await Promise.all([
+      o.symbol ?? c.symbol().catch(() => null),
+      o.name ?? c.name().catch(() => null),
+      o.decimals ?? c.decimals().then(Number).catch(e => {
+        throw new Error(`decimals() failed for ${address} (${e.shortMessage || e.message}); add a decimals override`);
+      })
+    ]);
+
+    const info = {
+      address,
+      symbol: symbol ?? address.substring(0, 6),
+      name: name ?? symbol ?? null,
+      decimals,
+      dust: toRaw(o.dust ?? defaultDust, decimals)
+    };
+    cache.set(address, info);
+    return info;
+  }
+
+  async function resolve(token) {
+    const address = addressOf(token);
+    if (!address) throw new Error(`Unknown token ${token}`);
+    if (cache.has(address)) return cache.get(address);
+    if (!inflight.has(address)) inflight.set(address, load(address).finally(() => inflight.delete(address)));
+    return inflight.get(address);
+  }
+
+  // Resolves what it can; tokens that fail are logged and left out
+  async function resolveMany(tokens) {
+    const out = {};
+    await Promise.all([...new Set(tokens)].map(async t => {
+      try {
+        const info = await resolve(t);
+        out[info.address] = info;
+      } catch (e) {
+        console.log(`⚠️ Token ${t}: ${e.message}`);
+      }
+    }));
+    return out;
+  }
+
+  function get(token) {
+    const address = addressOf(token);
+    return address ? cache.get(address) || null : null;
+  }
+
+  // Only tokens already resolved can be judged; an unknown token is never treated as dust
+  function isDust(token, raw) {
+    const info = get(token);
+    return info !== null && raw < info.dust;
+  }
+
+  return {
+    addressOf,
+    resolve,
+    resolveMany,
+    get,
+    isDust,
+    toRaw: async (token, human) => toRaw(human, (await resolve(token)).decimals),
+    toHuman: async (token, raw) => toHuman(raw, (await resolve(token)).decimals)
+  };
+}
+
+export { createTokenRegistry, toRaw, toHuman, parsePrice, formatPrice, priceToNumber, rawRatioToPrice1e18, PRICE_DECIMALS };
@@ -0,0 +1,207 @@
+import { ethers } from "ethers";
+import { readJSON, writeJSON } from "./storage.js";
+import { baseOf, quoteOf } from "./matchingEngine.js";
+
+const LOG_BATCH = 2000;
+const INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "1h": 3600,
+  "1d": 86400
+};
+
+// OrderMatched amounts are from the buy order's side: tokenIn is the quote it paid,
+// tokenOut the base it received
+function matchAmounts({ tokenInTransferred, tokenOutTransferred }) {
+  return { baseAmount: BigInt(tokenOutTransferred), quoteAmount: BigInt(tokenInTransferred) };
+}
+
+function tradeFromMatch({ buyOrder, sellOrder, executionPrice1e18, blockNumber, txHash, logIndex, ...amounts }) {
+  const ref = buyOrder || sellOrder;
+  return {
+    id: `${txHash}:${logIndex}`,
+    blockNumber,
+    logIndex,
+    txHash,
+    timestamp: null,
+    base: baseOf(ref),
+    quote: quoteOf(ref),
+    buyOrderId: buyOrder?.id ?? null,
+    sellOrderId: sellOrder?.id ?? null,
+    buyMaker: buyOrder?.maker ?? null,
+    sellMaker: sellOrder?.maker ?? null,
+    price1e18: executionPrice1e18,
+    ...matchAmounts(amounts)
+  };
+}
+
+function compareTrades(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function createTradeHistory({
+  indexer,
+  executor,
+  provider,
+  name = "trades",
+  startBlock = Number(process.env.INDEXER_START_BLOCK || 0)
+}) {
+  const file = `${name}.json`;
+  const saved = readJSON(file, { lastBlock: startBlock - 1, trades: [] });
+
+  let lastBlock = saved.lastBlock;
+  let trades = saved.trades;
+  let pending = [];
+  let queue = Promise.resolve();
+  const blockTimes = new Map();
+
+  async function timestampOf(blockNumber) {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block.timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  }
+
+  // Fills a hole left by a missing or older trades file, using orders the indexer already knows
+  async function backfill(fromBlock, toBlock) {
+    const address = indexer.getAddress();
+    const topic = executor.interface.getEvent("OrderMatched").topicHash;
+    const found = [];
+
+    for (let from = fromBlock; from <= toBlock; from += LOG_BATCH) {
+      const to = Math.min(from + LOG_BATCH - 1, toBlock);
+      const logs = await provider.getLogs({ address, topics: [topic], fromBlock: from, toBlock: to });
+      for (const log of logs) {
+        const ev = executor.interface.parseLog(log);
+        const buyOrder = indexer.getOrder(ev.args.buyOrderId);
+        const sellOrder = indexer.getOrder(ev.args.sellOrderId);
+        if (!buyOrder && !sellOrder) continue;
+        found.push(tradeFromMatch({
+          buyOrder,
+          sellOrder,
+          tokenInTransferred: BigInt(ev.args.tokenInTransferred),
+          tokenOutTransferred: BigInt(ev.args.tokenOutTransferred),
+          executionPrice1e18: BigInt(ev.args.executionPrice1e18),
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash,
+          logIndex: log.index
+        }));
+      }
+    }
+
+    if (found.length) console.log(`📈 Backfilled ${found.length} trades from blocks ${fromBlock}-${toBlock}`);
+    return found;
+  }
+
+  async function commit(fromBlock, toBlock, batch) {
+    const fresh = lastBlock < fromBlock - 1 ? await backfill(lastBlock + 1, fromBlock - 1) : [];
+    const known = new Set(trades.map(t => t.id));
+
+    for (const t of [...fresh, ...batch]) {
+      if (known.has(t.id)) continue;
+      t.timestamp = await timestampOf(t.blockNumber);
+      trades.push(t);
+      known.add(t.id);
+    }
+
+    trades.sort(compareTrades);
+    lastBlock = Math.max(lastBlock, toBlock);
+    writeJSON(file, { lastBlock, trades });
+  }
+
+  indexer.on("event", e => {
+    if (e.type === "matched" && (e.buyOrder || e.sellOrder)) pending.push(tradeFromMatch(e));
+  });
+
+  indexer.on("synced", ({ fromBlock, lastBlock: toBlock }) => {
+    const batch = pending.filter(t => t.blockNumber <= toBlock);
+    pending = pending.filter(t => t.blockNumber > toBlock);
+    queue = queue
+      .then(() => commit(fromBlock, toBlock, batch))
+      .catch(e => console.log(`⚠️ Trade history: ${e.message}`));
+  });
+
+  indexer.on("rewind", ({ toBlock }) => {
+    queue = queue.then(() => {
+      pending = pending.filter(t => t.blockNumber <= toBlock);
+      trades = trades.filter(t => t.blockNumber <= toBlock);
+      lastBlock = Math.min(lastBlock, toBlock);
+      writeJSON(file, { lastBlock, trades });
+    });
+  });
+
+  function pairTrades(base, quote) {
+    return trades.filter(t => t.base === base && t.quote === quote);
+  }
+
+  // Newest first; the cursor is the id of the last trade on the previous page
+  function getTrades(base, quote, { limit = 50, before = null } = {}) {
+    let list = pairTrades(base, quote).reverse();
+    if (before) {
+      const i = list.findIndex(t => t.id === before);
+      list = i === -1 ? [] : list.slice(i + 1);
+    }
+    const page = list.slice(0, limit);
+    return { trades: page, nextCursor: list.length > limit ? page[page.length - 1].id : null };
+  }
+
+  function getCandles(base, quote, { interval = "1h", from = 0, to = Infinity, limit = 500 } = {}) {
+    const step = INTERVALS[interval];
+    if (!step) throw new Error(`Unsupported interval ${interval}`);
+
+    const buckets = new Map();
+    for (const t of pairTrades(base, quote)) {
+      if (t.timestamp === null || t.timestamp < from || t.timestamp >= to) continue;
+      const time = Math.floor(t.timestamp / step) * step;
+      const c = buckets.get(time);
+      if (!c) {
+        buckets.set(time, {
+          time, open: t.price1e18, high: t.price1e18, low: t.price1e18, close: t.price1e18,
+          baseVolume: t.baseAmount, quoteVolume: t.quoteAmount, trades: 1
+        });
+        continue;
+      }
+      if (t.price1e18 > c.high) c.high = t.price1e18;
+      if (t.price1e18 < c.low) c.low = t.price1e18;
+      c.close = t.price1e18;
+      c.baseVolume += t.baseAmount;
+      c.quoteVolume += t.quoteAmount;
+      c.trades++;
+    }
+
+    return [...buckets.values()].sort((a, b) => a.time - b.time).slice(-limit);
+  }
+
+  return {
+    getTrades,
+    getCandles,
+    all: () => trades,
+    status: () => ({ lastBlock, trades: trades.length })
+  };
+}
+
+function formatTrade(t, baseDecimals, quoteDecimals) {
+  return {
+    ...t,
+    price: ethers.formatUnits(t.price1e18, 18),
+    baseAmount: ethers.formatUnits(t.baseAmount, baseDecimals),
+    quoteAmount: ethers.formatUnits(t.quoteAmount, quoteDecimals),
+    price1e18: t.price1e18.toString()
+  };
+}
+
+function formatCandle(c, baseDecimals, quoteDecimals) {
+  return {
+    time: c.time,
+    open: ethers.formatUnits(c.open, 18),
+    high: ethers.formatUnits(c.high, 18),
+    low: ethers.formatUnits(c.low, 18),
+    close: ethers.formatUnits(c.close, 18),
+    baseVolume: ethers.formatUnits(c.baseVolume, baseDecimals),
+    quoteVolume: ethers.formatUnits(c.quoteVolume, quoteDecimals),
+    trades: c.trades
+  };
+}
+
+export { INTERVALS, matchAmounts, tradeFromMatch, createTradeHistory, formatTrade, formatCandle };
@@ -0,0 +1,224 @@
+import fs from "fs";
+import express from "express";
+import { ethers } from "ethers";
+import { BUY, SELL, baseToQuote } from "./matchingEngine.js";
+import { toRaw, toHuman, formatPrice } from "./tokenRegistry.js";
+import { orderStatus } from "./orderIndexer.js";
+import { decodeRevert } from "./txErrors.js";
+import { jsonSafe } from "./storage.js";
+import { GAS_DEFAULTS } from "./executorModel.js";
+import { unitPrices } from "./oracle.js";
+
+const ERC20_ABI = [
+  "function allowance(address,address) view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)"
+];
+
+const PAIR_DEFAULTS = {
+  // Base units; null means the base token's dust threshold
+  minSize: null,
+  // Quote units
+  minNotional: "0",
+  // How far past the reference price an order may cross, as a fraction
+  maxPriceDeviation: 0.2,
+  defaultTtl: 3 * 86400,
+  minTtl: 60,
+  maxTtl: 30 * 86400
+};
+
+// { "default": { ... }, "quotes": ["USDT"], "pairs": { "ETH/USDT": { "minSize": "0.001" } } }
+// With "pairs" only those are tradable, otherwise every profile token against each of "quotes".
+function loadPairConfig(file = process.env.PAIR_CONFIG_FILE) {
+  const raw = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const quotes = (raw.quotes || ["USDT"]).map(q => q.toUpperCase());
+  const listed = raw.pairs ? new Map(Object.entries(raw.pairs).map(([k, v]) => [k.toUpperCase(), v])) : null;
+
+  return (base, quote) => {
+    const key = `${base}/${quote}`;
+    if (listed ? !listed.has(key) : base === quote || !quotes.includes(quote)) return null;
+    return { ...PAIR_DEFAULTS, ...(raw.default || {}), ...(listed?.get(key) || {}) };
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function amount(value, decimals, field) {
+  let raw;
+  try {
+    raw = toRaw(typeof value === "number" ? value : String(value), decimals);
+  } catch {
+    throw badRequest(`${field} must be a decimal number with at most ${decimals} decimals`);
+  }
+  if (raw <= 0n) throw badRequest(`${field} must be positive`);
+  return raw;
+}
+
+// Unsigned transactions for wallets: the server does the price and amount encoding, the wallet only signs.
+// Nothing is sent from here, so no key is involved.
+function createTxRouter({ provider, network, registry, indexer, oracle, executor, pairConfig = loadPairConfig() }) {
+  const router = express.Router();
+  const executorAddress = network.executor;
+  router.use(express.json());
+
+  function handle(handler) {
+    return async (req, res) => {
+      try {
+        res.json(jsonSafe(await handler(req)));
+      } catch (err) {
+        res.status(err.status || 500).json({ error: err.status ? err.message : decodeRevert(err, executor.interface) });
+      }
+    };
+  }
+
+  async function feeFields() {
+    const fee = await provider.getFeeData();
+    return fee.maxFeePerGas !== null
+      ? { maxFeePerGas: fee.maxFeePerGas, maxPriorityFeePerGas: fee.maxPriorityFeePerGas }
+      : { gasPrice: fee.gasPrice };
+  }
+
+  // estimateGas simulates the call, so a revert here is a request that would fail on chain. `fallback`
+  // covers calls that can't be simulated yet because an earlier transaction (an approval) must land first.
+  async function unsigned(from, to, data, { fallback = null } = {}) {
+    const tx = { from, to, data, value: 0n };
+    let gas;
+    let estimated = true;
+    try {
+      gas = await provider.estimateGas(tx);
+    } catch (err) {
+      if (fallback === null) throw badRequest(`Transaction would revert: ${decodeRevert(err, executor.interface)}`);
+      gas = BigInt(fallback);
+      estimated = false;
+    }
+    const margin = BigInt(100 + Number(process.env.TX_GAS_MARGIN_PERCENT || 20));
+    return { ...tx, gasLimit: (gas * margin) / 100n, gasEstimate: gas, gasEstimated: estimated, chainId: (await provider.getNetwork()).chainId };
+  }
+
+  function parsePair(pair) {
+    const [base, quote] = String(pair || "").toUpperCase().split("/");
+    if (!base || !quote) throw badRequest("pair must look like BASE/QUOTE");
+    if (!network.tokens[base] || !network.tokens[quote]) throw badRequest(`Unknown token in ${pair}`);
+    const config = pairConfig(base, quote);
+    if (!config) throw badRequest(`${base}/${quote} is not a tradable pair`);
+    return { base, quote, config };
+  }
+
+  // Base priced in quote through the oracle, whatever the quote is; null when either side is missing
+  async function referencePrice(base, quote) {
+    const prices = await unitPrices(oracle, [base, quote]);
+    return prices[base] && prices[quote] ? prices[base] / prices[quote] : null;
+  }
+
+  router.post("/create-order", handle(async req => {
+    const { pair, side, size, price, ttl, from } = req.body || {};
+    if (!ethers.isAddress(from)) throw badRequest("from must be the signer's address");
+    const { base, quote, config } = parsePair(pair);
+    const s = String(side || "").toUpperCase();
+    if (s !== "BUY" && s !== "SELL") throw badRequest("side must be BUY or SELL");
+
+    const baseAddr = network.tokens[base];
+    const quoteAddr = network.tokens[quote];
+    const [b, q] = await Promise.all([registry.resolve(baseAddr), registry.resolve(quoteAddr)]);
+    const amtBase = amount(size, b.decimals, "size");
+    const price1e18 = amount(price, 18, "price");
+    // The executor's own conversion, so the order asks for exactly what it will be filled at
+    const amtQuote = baseToQuote(amtBase, price1e18, b.decimals, q.decimals);
+    const ttlSeconds = ttl === undefined ? config.defaultTtl : Number(ttl);
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < config.minTtl || ttlSeconds > config.maxTtl) {
+      throw badRequest(`ttl must be whole seconds from ${config.minTtl} to ${config.maxTtl}`);
+    }
+
+    const minSize = config.minSize === null ? b.dust : toRaw(String(config.minSize), b.decimals);
+    if (amtBase < minSize) throw badRequest(`size is below the ${base}/${quote} minimum of ${toHuman(minSize, b.decimals)} ${base}`);
+    const minNotional = toRaw(String(config.minNotional), q.decimals);
+    if (amtQuote === 0n || amtQuote < minNotional) {
+      throw badRequest(`size * price is below the ${base}/${quote} minimum of ${toHuman(minNotional, q.decimals)} ${quote}`);
+    }
+
+    // Only the side that pays too much is rejected; a far-away resting order is just a limit order
+    const warnings = [];
+    const ref = await referencePrice(base, quote).catch(() => null);
+    const p = Number(formatPrice(price1e18));
+    if (ref === null) {
+      warnings.push(`No reference price for ${base}/${quote}, price not checked`);
+    } else {
+      const deviation = (p - ref) / ref;
+      const crossing = s === "BUY" ? deviation : -deviation;
+      if (crossing > config.maxPriceDeviation) {
+        throw badRequest(`${s} at ${price} is ${(Math.abs(deviation) * 100).toFixed(1)}% ${deviation > 0 ? "above" : "below"} the reference ${ref}`);
+      }
+      if (-crossing > config.maxPriceDeviation) warnings.push(`Price is ${(Math.abs(deviation) * 100).toFixed(1)}% from the reference ${ref} and may not fill`);
+    }
+
+    const [tokenIn, tokenOut, amountIn, amountOutMin, orderType] = s === "BUY"
+      ? [quoteAddr, baseAddr, amtQuote, amtBase, BUY]
+      : [baseAddr, quoteAddr, amtBase, amtQuote, SELL];
+    const token = new ethers.Contract(tokenIn, ERC20_ABI, provider);
+    const [balance, allowance, fees] = await Promise.all([token.balanceOf(from), token.allowance(from, executorAddress), feeFields()]);
+    const inSym = s === "BUY" ? quote : base;
+    const inDecimals = s === "BUY" ? q.decimals : b.decimals;
+    if (balance < amountIn) {
+      throw badRequest(`Insufficient ${inSym}: order needs ${toHuman(amountIn, inDecimals)}, balance is ${toHuman(balance, inDecimals)}`);
+    }
+
+    // Exact-amount approvals: the wallet can always choose to approve more itself
+    const approval = allowance < amountIn
+      ? { ...(await unsigned(from, tokenIn, token.interface.encodeFunctionData("approve", [executorAddress, amountIn]), { fallback: GAS_DEFAULTS.approve })), ...fees }
+      : null;
+    const args = [tokenIn, tokenOut, amountIn, amountOutMin, price1e18, ttlSeconds, orderType];
+    const create = await unsigned(from, executorAddress, executor.interface.encodeFunctionData("depositAndCreateOrder", args), {
+      fallback: approval ? GAS_DEFAULTS.depositAndCreateOrder : null
+    });
+
+    return {
+      order: {
+        pair: `${base}/${quote}`,
+        side: s,
+        size: toHuman(amtBase, b.decimals),
+        price: formatPrice(price1e18),
+        targetPrice1e18: price1e18,
+        tokenIn,
+        tokenOut,
+        amountIn: toHuman(amountIn, inDecimals),
+        amountOutMin: toHuman(amountOutMin, s === "BUY" ? b.decimals : q.decimals),
+        ttl: ttlSeconds,
+        referencePrice: ref
+      },
+      // Sign and send in this order
+      transactions: [
+        ...(approval ? [{ description: `Approve ${toHuman(amountIn, inDecimals)} ${inSym} for the executor`, ...approval }] : []),
+        { description: `${s} ${toHuman(amtBase, b.decimals)} ${base} at ${formatPrice(price1e18)} ${quote}`, ...create, ...fees }
+      ],
+      warnings
+    };
+  }));
+
+  router.post("/cancel-order", handle(async req => {
+    const { orderId, from } = req.body || {};
+    const id = Number(orderId);
+    if (!Number.isInteger(id) || id < 0) throw badRequest("orderId must be an order id");
+    const o = indexer.getOrder(id);
+    if (!o) throw badRequest(`Unknown order #${id}`);
+    if (from !== undefined && (!ethers.isAddress(from) || from.toLowerCase() !== o.maker)) {
+      throw badRequest(`Order #${id} belongs to ${o.maker}`);
+    }
+    const status = orderStatus(o);
+    if (status === "expired") throw badRequest(`Order #${id} has expired; its deposit is refunded by claimExpired`);
+    if (status !== "open") throw badRequest(`Order #${id} is ${status}`);
+
+    const [tx, fees] = await Promise.all([
+      unsigned(ethers.getAddress(o.maker), executorAddress, executor.interface.encodeFunctionData("cancelOrder", [id])),
+      feeFields()
+    ]);
+    return { orderId: id, transactions: [{ description: `Cancel order #${id}`, ...tx, ...fees }] };
+  }));
+
+  return router;
+}
+
+export { PAIR_DEFAULTS, loadPairConfig, createTxRouter };
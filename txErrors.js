@@ -0,0 +1,29 @@
+// Some RPCs put the revert payload on the error itself, others nest it under info/error
+function revertData(err) {
+  const data = err?.data ?? err?.info?.error?.data ?? err?.error?.data ?? null;
+  return typeof data === "string" && data.startsWith("0x") ? data : null;
+}
+
+function formatArgs(args) {
+  return [...(args || [])].map(a => a.toString()).join(", ");
+}
+
+// Turns an ethers call/tx error into a readable reason: require() strings, panics and
+// custom errors from the given contract interface
+function decodeRevert(err, iface = null) {
+  if (err?.reason) return err.reason;
+  if (err?.revert) return `${err.revert.name}(${formatArgs(err.revert.args)})`;
+
+  const data = revertData(err);
+  if (data && data.length >= 10 && iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return `${parsed.name}(${formatArgs(parsed.args)})`;
+    } catch { }
+  }
+  if (data === "0x") return "reverted without reason";
+
+  return err?.shortMessage || err?.message || String(err);
+}
+
+export { revertData, decodeRevert };
@@ -0,0 +1,275 @@
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import { readJSON, writeJSON } from "./storage.js";
+
+const KEEP_FINISHED = 200;
+const NONCE_RETRIES = 3;
+
+function gwei(value) {
+  return value ? ethers.parseUnits(String(value), "gwei") : null;
+}
+
+function capped(value, cap) {
+  return cap !== null && value > cap ? cap : value;
+}
+
+function bumped(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function isNonceError(err) {
+  const msg = `${err?.shortMessage || ""} ${err?.message || ""}`.toLowerCase();
+  return err?.code === "NONCE_EXPIRED" || err?.code === "REPLACEMENT_UNDERPRICED" ||
+    msg.includes("nonce too low") || msg.includes("already known") || msg.includes("replacement transaction underpriced");
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Shared transaction pipeline: local nonces, EIP-1559 fees with caps, estimated gas limits,
+// replacement of stuck transactions and a journal so pending ones survive a restart.
+// send() returns as soon as the tx is broadcast, so several can be in flight at once.
+function createTxManager({
+  wallet,
+  name = "tx-journal",
+  gasMarginPercent = Number(process.env.TX_GAS_MARGIN_PERCENT || 20),
+  maxFeePerGasCap = gwei(process.env.TX_MAX_FEE_GWEI),
+  maxPriorityFeeCap = gwei(process.env.TX_MAX_PRIORITY_FEE_GWEI),
+  replaceAfterMs = Number(process.env.TX_REPLACE_AFTER_MS || 60_000),
+  bumpPercent = Number(process.env.TX_BUMP_PERCENT || 15),
+  maxReplacements = Number(process.env.TX_MAX_REPLACEMENTS || 5),
+  pollMs = 2000
+}) {
+  const provider = wallet.provider;
+  const file = `${name}.json`;
+
+  const events = new EventEmitter();
+  let entries = readJSON(file, { entries: [] }).entries;
+  let nextNonce = null;
+  const freeNonces = [];
+  let lock = Promise.resolve();
+  let seq = entries.reduce((max, e) => Math.max(max, e.id), 0);
+
+  function save() {
+    const pending = entries.filter(e => e.status === "pending");
+    const finished = entries.filter(e => e.status !== "pending").slice(-KEEP_FINISHED);
+    entries = [...finished, ...pending].sort((a, b) => a.id - b.id);
+    writeJSON(file, { entries });
+  }
+
+  function exclusive(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => { });
+    return run;
+  }
+
+  async function syncNonce() {
+    const chainNonce = await provider.getTransactionCount(wallet.address, "pending");
+    const journalNonce = entries
+      .filter(e => e.status === "pending")
+      .reduce((max, e) => Math.max(max, e.nonce + 1), 0);
+    nextNonce = Math.max(chainNonce, journalNonce);
+    freeNonces.length = 0;
+  }
+
+  function takeNonce() {
+    if (freeNonces.length) return freeNonces.shift();
+    return nextNonce++;
+  }
+
+  function releaseNonce(nonce) {
+    freeNonces.push(nonce);
+    freeNonces.sort((a, b) => a - b);
+  }
+
+  async function feeFields() {
+    const fee = await provider.getFeeData();
+    if (fee.maxFeePerGas === null) {
+      return { gasPrice: capped(fee.gasPrice, maxFeePerGasCap) };
+    }
+    const maxPriorityFeePerGas = capped(fee.maxPriorityFeePerGas, maxPriorityFeeCap);
+    let maxFeePerGas = capped(fee.maxFeePerGas, maxFeePerGasCap);
+    if (maxFeePerGas < maxPriorityFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  function txRequest(entry) {
+    const req = { to: entry.to, data: entry.data, value: entry.value, gasLimit: entry.gasLimit, nonce: entry.nonce };
+    if (entry.gasPrice !== undefined) req.gasPrice = entry.gasPrice;
+    else Object.assign(req, { maxFeePerGas: entry.maxFeePerGas, maxPriorityFeePerGas: entry.maxPriorityFeePerGas });
+    return req;
+  }
+
+  function finish(entry, receipt) {
+    entry.hash = receipt.hash;
+    entry.gasUsed = receipt.gasUsed;
+    entry.status = receipt.status === 1 ? "confirmed" : "reverted";
+    entry.finishedAt = Date.now();
+    save();
+    events.emit("finished", { entry, status: entry.status, receipt });
+
+    if (entry.status === "reverted") {
+      const err = new Error(`${entry.desc} reverted (${receipt.hash})`);
+      err.code = "CALL_EXCEPTION";
+      err.receipt = receipt;
+      throw err;
+    }
+    return receipt;
+  }
+
+  function drop(entry, reason) {
+    entry.status = "dropped";
+    entry.error = reason;
+    entry.finishedAt = Date.now();
+    save();
+    events.emit("finished", { entry, status: "dropped", receipt: null });
+    throw new Error(`${entry.desc} dropped: ${reason}`);
+  }
+
+  async function replace(entry) {
+    const current = await feeFields();
+    const next = {};
+
+    if (entry.gasPrice !== undefined) {
+      const target = bumped(entry.gasPrice, bumpPercent);
+      next.gasPrice = capped(current.gasPrice > target ? current.gasPrice : target, maxFeePerGasCap);
+      if (next.gasPrice <= entry.gasPrice) return false;
+    } else {
+      const tip = bumped(entry.maxPriorityFeePerGas, bumpPercent);
+      const max = bumped(entry.maxFeePerGas, bumpPercent);
+      next.maxPriorityFeePerGas = capped(current.maxPriorityFeePerGas > tip ? current.maxPriorityFeePerGas : tip, maxPriorityFeeCap);
+      next.maxFeePerGas = capped(current.maxFeePerGas > max ? current.maxFeePerGas : max, maxFeePerGasCap);
+      if (next.maxFeePerGas < next.maxPriorityFeePerGas) next.maxFeePerGas = next.maxPriorityFeePerGas;
+      // Nodes only accept a replacement that raises both fields
+      if (next.maxFeePerGas <= entry.maxFeePerGas || next.maxPriorityFeePerGas <= entry.maxPriorityFeePerGas) return false;
+    }
+
+    try {
+      const tx = await wallet.sendTransaction(txRequest({ ...entry, ...next }));
+      Object.assign(entry, next);
+      entry.hashes.push(tx.hash);
+      entry.replacements++;
+      entry.lastSentAt = Date.now();
+      save();
+      console.log(`⛽ Sped up ${entry.desc} (nonce ${entry.nonce}): ${tx.hash}`);
+      return true;
+    } catch (e) {
+      // Usually the original just got mined; the next poll will see its receipt
+      console.log(`⚠️ Replacing ${entry.desc} failed: ${e.shortMessage || e.message}`);
+      return false;
+    }
+  }
+
+  async function monitor(entry) {
+    let consumedPolls = 0;
+    let capWarned = false;
+
+    while (true) {
+      for (const hash of [...entry.hashes].reverse()) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return finish(entry, receipt);
+      }
+
+      const mined = await provider.getTransactionCount(wallet.address, "latest");
+      if (mined > entry.nonce) {
+        // Give the node a few polls to serve the receipt before concluding another tx took the nonce
+        if (++consumedPolls > 3) return drop(entry, `nonce ${entry.nonce} used by another transaction`);
+      } else if (Date.now() - entry.lastSentAt > replaceAfterMs) {
+        if (entry.replacements >= maxReplacements) {
+          if (!capWarned) console.log(`⚠️ ${entry.desc} still pending after ${entry.replacements} replacements`);
+          capWarned = true;
+        } else if (!(await replace(entry)) && !capWarned) {
+          console.log(`⚠️ ${entry.desc} is stuck but fees are at their cap`);
+          capWarned = true;
+        }
+      }
+
+      await sleep(pollMs);
+    }
+  }
+
+  function track(entry) {
+    const done = monitor(entry);
+    done.catch(() => { });
+    return {
+      id: entry.id,
+      desc: entry.desc,
+      nonce: entry.nonce,
+      get hash() { return entry.hashes[entry.hashes.length - 1]; },
+      wait: () => done
+    };
+  }
+
+  async function broadcast(entry) {
+    for (let i = 0; ; i++) {
+      try {
+        return await exclusive(async () => {
+          if (nextNonce === null) await syncNonce();
+          entry.nonce = takeNonce();
+          try {
+            return await wallet.sendTransaction(txRequest(entry));
+          } catch (e) {
+            if (isNonceError(e)) await syncNonce();
+            else releaseNonce(entry.nonce);
+            throw e;
+          }
+        });
+      } catch (e) {
+        // Another process sharing the key may have used our nonce; resynced above, try again
+        if (!isNonceError(e) || i >= NONCE_RETRIES) throw e;
+      }
+    }
+  }
+
+  async function sendTransaction({ to, data, value = 0n, gasLimit = null }, { desc = "Tx" } = {}) {
+    const from = wallet.address;
+    const estimate = gasLimit ?? await provider.estimateGas({ from, to, data, value });
+    const entry = {
+      id: ++seq,
+      desc,
+      to,
+      data,
+      value,
+      gasLimit: gasLimit ?? (estimate * BigInt(100 + gasMarginPercent)) / 100n,
+      ...(await feeFields()),
+      nonce: null,
+      hashes: [],
+      replacements: 0,
+      status: "pending",
+      createdAt: Date.now()
+    };
+
+    const tx = await broadcast(entry);
+    entry.hashes.push(tx.hash);
+    entry.lastSentAt = Date.now();
+    entries.push(entry);
+    save();
+
+    console.log(`📤 ${desc} (nonce ${entry.nonce}): ${tx.hash}`);
+    return track(entry);
+  }
+
+  // Gas estimation doubles as a pre-flight check: a call that would revert throws before using a nonce
+  async function send(contract, method, args = [], { desc = method, value = 0n, gasLimit = null } = {}) {
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+    return sendTransaction({ to, data, value, gasLimit }, { desc });
+  }
+
+  // Picks up whatever was still pending when the process last stopped
+  function resume() {
+    const pending = entries.filter(e => e.status === "pending");
+    if (pending.length) console.log(`📒 Resuming ${pending.length} pending transaction(s)`);
+    return pending.map(track);
+  }
+
+  return {
+    send,
+    sendTransaction,
+    resume,
+    on: (type, fn) => events.on(type, fn),
+    off: (type, fn) => events.off(type, fn),
+    pending: () => entries.filter(e => e.status === "pending").map(e => ({ id: e.id, desc: e.desc, nonce: e.nonce, hash: e.hashes[e.hashes.length - 1] }))
+  };
+}
+
+export { createTxManager };